@@ -0,0 +1,300 @@
+/**
+ * Classifier Feedback
+ * Labels reviewers give to classified comments ("this isn't actionable", "this
+ * is a high-severity fix, not a suggestion"), stored in
+ * data/classifier-feedback.json keyed by repository, PR and comment. The labels
+ * are used to measure the classifier - overall and per-rule precision/recall,
+ * type and severity accuracy - and to train the optional naive Bayes model the
+ * classifier can use alongside its rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NaiveBayesClassifier = require('./naive-bayes');
+const { stripMarkdown } = require('./comment-parser');
+
+const DEFAULT_FEEDBACK_FILE = path.join(__dirname, 'data', 'classifier-feedback.json');
+const SEVERITIES = ['low', 'medium', 'high'];
+const COMMENT_TYPES = ['review_comment', 'general_comment', 'review'];
+const CROSS_VALIDATION_FOLDS = 5;
+
+// Same "owner/name#123:type:id" key the snapshot store uses for comments
+function feedbackKey({ repository, prNumber, commentType, commentId }) {
+  return `${repository}#${prNumber}:${commentType}:${commentId}`;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+// Precision/recall from true positive, false positive and false negative counts
+function precisionRecall({ truePositives, falsePositives, falseNegatives }) {
+  return {
+    precision: ratio(truePositives, truePositives + falsePositives),
+    recall: ratio(truePositives, truePositives + falseNegatives)
+  };
+}
+
+// Naive Bayes models for "is it actionable", and - for actionable labels - the type and severity
+function trainModels(entries) {
+  const actionable = new NaiveBayesClassifier();
+  const type = new NaiveBayesClassifier();
+  const severity = new NaiveBayesClassifier();
+
+  entries.forEach(entry => {
+    const text = stripMarkdown(entry.body);
+    actionable.train(text, entry.label.actionable ? 'actionable' : 'not_actionable');
+    if (entry.label.actionable && entry.label.type) type.train(text, entry.label.type);
+    if (entry.label.actionable && entry.label.severity) severity.train(text, entry.label.severity);
+  });
+
+  return { actionable, type, severity };
+}
+
+// k-fold estimate of how the actionable model does on comments it wasn't trained on
+function crossValidate(entries, folds = CROSS_VALIDATION_FOLDS) {
+  const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, correct: 0 };
+  if (entries.length < folds) return null;
+
+  for (let fold = 0; fold < folds; fold++) {
+    const training = entries.filter((entry, index) => index % folds !== fold);
+    const testing = entries.filter((entry, index) => index % folds === fold);
+    const { actionable } = trainModels(training);
+
+    testing.forEach(entry => {
+      const prediction = actionable.predict(stripMarkdown(entry.body));
+      const predicted = Boolean(prediction) && prediction.label === 'actionable';
+      if (predicted === entry.label.actionable) counts.correct++;
+      if (predicted && entry.label.actionable) counts.truePositives++;
+      if (predicted && !entry.label.actionable) counts.falsePositives++;
+      if (!predicted && entry.label.actionable) counts.falseNegatives++;
+    });
+  }
+
+  return {
+    folds,
+    accuracy: ratio(counts.correct, entries.length),
+    ...precisionRecall(counts)
+  };
+}
+
+class ClassifierFeedback {
+  constructor({ classifier, file = process.env.CLASSIFIER_FEEDBACK_FILE || DEFAULT_FEEDBACK_FILE }) {
+    this.classifier = classifier;
+    this.file = file;
+  }
+
+  // Re-read on every call, like the snapshot index, so the file can be edited or shared
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading classifier feedback:', error.message);
+    }
+    return { labels: {} };
+  }
+
+  save(store) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Labeled comments, newest first, optionally for one repository ("owner/name")
+  list({ repository } = {}) {
+    return Object.entries(this.load().labels)
+      .map(([key, entry]) => ({ key, ...entry }))
+      .filter(entry => !repository || entry.repository.toLowerCase() === repository.toLowerCase())
+      .sort((a, b) => new Date(b.labeledAt) - new Date(a.labeledAt));
+  }
+
+  // Attach each comment's label (or null) as `feedback`, for a PR's comment list
+  annotate(repository, prNumber, comments) {
+    const { labels } = this.load();
+    return comments.map(comment => {
+      const entry = labels[feedbackKey({ repository, prNumber, commentType: comment.type, commentId: comment.id })];
+      return { ...comment, feedback: entry ? entry.label : null };
+    });
+  }
+
+  // Store (or replace) the label for a comment. `label` is { actionable, type, severity };
+  // `predicted` is what the classifier said when the reviewer labeled it.
+  record({ repository, prNumber, commentType, commentId, body, predicted = null, label, labeledBy = null }) {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(repository || '')) {
+      throw new Error('repository must be "owner/name"');
+    }
+    if (!Number.isInteger(Number(prNumber)) || Number(prNumber) <= 0) {
+      throw new Error('prNumber must be a pull request number');
+    }
+    if (!COMMENT_TYPES.includes(commentType)) {
+      throw new Error(`commentType must be one of ${COMMENT_TYPES.join(', ')}`);
+    }
+    if (commentId === undefined || commentId === null || commentId === '') {
+      throw new Error('commentId is required');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('body is required');
+    }
+    if (!label || typeof label.actionable !== 'boolean') {
+      throw new Error('label.actionable must be true or false');
+    }
+    const types = this.classifier.knownTypes();
+    if (label.actionable && label.type && !types.includes(label.type)) {
+      throw new Error(`Unknown type "${label.type}" - expected one of ${types.join(', ')}`);
+    }
+    if (label.actionable && label.severity && !SEVERITIES.includes(label.severity)) {
+      throw new Error(`Unknown severity "${label.severity}" - expected ${SEVERITIES.join(', ')}`);
+    }
+
+    const entry = {
+      repository,
+      prNumber: Number(prNumber),
+      commentType,
+      commentId,
+      body,
+      predicted,
+      label: {
+        actionable: label.actionable,
+        type: label.actionable ? label.type || null : null,
+        severity: label.actionable ? label.severity || null : null
+      },
+      labeledBy,
+      labeledAt: new Date().toISOString()
+    };
+    const key = feedbackKey(entry);
+
+    const store = this.load();
+    store.labels[key] = entry;
+    this.save(store);
+    console.log(`🏷️  Recorded classifier feedback for ${key} (${entry.label.actionable ? entry.label.type || 'actionable' : 'not actionable'})`);
+    return { key, ...entry };
+  }
+
+  remove(key) {
+    const store = this.load();
+    if (!store.labels[key]) return false;
+    delete store.labels[key];
+    this.save(store);
+    return true;
+  }
+
+  // How the current classifier does on the labeled comments. A rule's positives are
+  // the comments it's meant to catch: actionable ones for positive rules, and
+  // non-actionable ones for negative rules such as "lgtm".
+  metrics({ repository } = {}) {
+    const entries = this.list({ repository });
+    const overall = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+    const typeAccuracy = { correct: 0, labeled: 0 };
+    const severityAccuracy = { correct: 0, labeled: 0 };
+    const rules = new Map();
+
+    const ruleStats = (id, weight, description) => {
+      if (!rules.has(id)) {
+        rules.set(id, { rule: id, weight, description: description || null, fired: 0, truePositives: 0, falsePositives: 0, falseNegatives: 0 });
+      }
+      return rules.get(id);
+    };
+
+    entries.forEach(entry => {
+      const result = this.classifier.classify(entry.body, { repository: entry.repository });
+      const actual = entry.label.actionable;
+      const fired = new Map(result.matches.map(match => [match.rule, match]));
+
+      // Every rule that could have fired, plus the model when it voted. The model
+      // votes either way, so each vote is scored by its own sign - and it's scored
+      // on its own training data (see model.crossValidation for a fair estimate).
+      const candidates = this.classifier.getRuleSet(entry.repository).rules
+        .map(rule => ({ id: rule.id, weight: rule.weight, description: rule.description }))
+        .concat(result.matches.filter(match => match.rule === 'model').map(match => ({ id: match.rule, weight: this.classifier.modelSettings.weight, description: match.description })));
+
+      candidates.forEach(candidate => {
+        const match = fired.get(candidate.id);
+        const weight = match ? match.weight : candidate.weight;
+        const stats = ruleStats(candidate.id, candidate.weight, candidate.description);
+        const positive = weight > 0 ? actual : !actual;
+        if (match) {
+          stats.fired++;
+          if (positive) stats.truePositives++; else stats.falsePositives++;
+        } else if (positive) {
+          stats.falseNegatives++;
+        }
+      });
+
+      if (result.actionable && actual) overall.truePositives++;
+      if (result.actionable && !actual) overall.falsePositives++;
+      if (!result.actionable && actual) overall.falseNegatives++;
+      if (!result.actionable && !actual) overall.trueNegatives++;
+
+      if (result.actionable && actual && entry.label.type) {
+        typeAccuracy.labeled++;
+        if (result.type === entry.label.type) typeAccuracy.correct++;
+      }
+      if (result.actionable && actual && entry.label.severity) {
+        severityAccuracy.labeled++;
+        if (result.severity === entry.label.severity) severityAccuracy.correct++;
+      }
+    });
+
+    const model = this.classifier.model;
+    return {
+      labeled: entries.length,
+      actionable: entries.filter(entry => entry.label.actionable).length,
+      overall: {
+        ...overall,
+        ...precisionRecall(overall),
+        typeAccuracy: ratio(typeAccuracy.correct, typeAccuracy.labeled),
+        severityAccuracy: ratio(severityAccuracy.correct, severityAccuracy.labeled)
+      },
+      rules: Array.from(rules.values())
+        .map(stats => ({ ...stats, ...precisionRecall(stats) }))
+        .sort((a, b) => b.fired - a.fired || a.rule.localeCompare(b.rule)),
+      model: {
+        ...this.classifier.modelSettings,
+        trainedAt: model ? model.trainedAt : null,
+        examples: model ? model.examples : 0,
+        crossValidation: crossValidate(this.list())
+      }
+    };
+  }
+
+  // Train the naive Bayes model on every label and hand it to the classifier
+  train() {
+    const entries = this.list();
+    const models = trainModels(entries);
+    const model = {
+      trainedAt: new Date().toISOString(),
+      examples: entries.length,
+      actionable: models.actionable.toJSON(),
+      type: models.type.toJSON(),
+      severity: models.severity.toJSON()
+    };
+
+    const modelFile = this.classifier.modelFile;
+    const dir = path.dirname(modelFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${modelFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(model));
+    fs.renameSync(tmpFile, modelFile);
+    this.classifier.loadModel();
+
+    console.log(`🧠 Trained classifier model on ${entries.length} labeled comments`);
+    return {
+      trainedAt: model.trainedAt,
+      examples: model.examples,
+      enabled: this.classifier.modelSettings.enabled,
+      active: Boolean(this.classifier.model) && entries.length >= this.classifier.modelSettings.minExamples,
+      crossValidation: crossValidate(entries)
+    };
+  }
+}
+
+module.exports = ClassifierFeedback;
+module.exports.feedbackKey = feedbackKey;
@@ -1,16 +1,19 @@
 #!/usr/bin/env node
 /**
  * Automated Code Analysis Runner
- * Runs twice daily to analyze all h1-aot repositories for code review issues
+ * Runs twice daily to analyze all registered repositories for code review issues
  * Stores results in JSON format for quick loading
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { GitHubClient } = require('./github-client');
+const RepositoryRegistry = require('./repo-registry');
 
 class CodeAnalysisRunner {
-  constructor() {
+  constructor({ client, registry } = {}) {
+    this.github = client || new GitHubClient();
+    this.registry = registry || new RepositoryRegistry({ client: this.github });
     this.resultsDir = path.join(__dirname, 'analysis-results');
     this.ensureResultsDirectory();
   }
@@ -26,53 +29,49 @@ class CodeAnalysisRunner {
     console.log(`[${timestamp}] ${message}`);
   }
 
-  executeCommand(command) {
+  async getAllRepositories() {
+    this.log('📁 Loading repositories from the registry...');
+
     try {
-      return execSync(command, { encoding: 'utf8', timeout: 60000 });
+      const entries = await this.registry.resolveRepositories();
+      return entries.map(entry => entry.details || {
+        name: entry.name,
+        owner: { login: entry.owner },
+        updatedAt: null
+      });
     } catch (error) {
-      this.log(`Command failed: ${command}`);
-      this.log(`Error: ${error.message}`);
-      return null;
+      this.log(`Failed to load repositories: ${error.message}`);
+      return [];
     }
   }
 
-  async getAllRepositories() {
-    this.log('📁 Fetching all h1-aot repositories...');
-    const output = this.executeCommand('gh repo list h1-aot --limit 50 --json name,owner,updatedAt');
-
-    if (!output) return [];
+  async getOpenPRsForRepo(owner, repoName) {
+    this.log(`🔍 Checking PRs for ${owner}/${repoName}...`);
 
     try {
-      return JSON.parse(output);
+      return await this.github.listPullRequests(owner, repoName, {
+        state: 'open',
+        limit: 10,
+        includeFiles: true
+      });
     } catch (error) {
-      this.log(`Failed to parse repositories: ${error.message}`);
+      this.log(`Failed to fetch PRs for ${owner}/${repoName}: ${error.message}`);
       return [];
     }
   }
 
-  async getOpenPRsForRepo(repoName) {
-    this.log(`🔍 Checking PRs for ${repoName}...`);
-    const command = `gh pr list --repo h1-aot/${repoName} --state open --limit 10 --json number,title,createdAt,author,files`;
-    const output = this.executeCommand(command);
-
-    if (!output) return [];
+  async getPRDiff(owner, repoName, prNumber) {
+    this.log(`📄 Getting diff for ${owner}/${repoName} PR #${prNumber}...`);
 
     try {
-      return JSON.parse(output);
+      return (await this.github.getPullRequestDiff(owner, repoName, prNumber)) || '';
     } catch (error) {
-      this.log(`Failed to parse PRs for ${repoName}: ${error.message}`);
-      return [];
+      this.log(`Failed to fetch diff for ${repoName} PR #${prNumber}: ${error.message}`);
+      return '';
     }
   }
 
-  async getPRDiff(repoName, prNumber) {
-    this.log(`📄 Getting diff for ${repoName} PR #${prNumber}...`);
-    const command = `gh pr diff ${prNumber} --repo h1-aot/${repoName}`;
-    const output = this.executeCommand(command);
-    return output || '';
-  }
-
-  analyzeCode(diff, fileName, repoName, prNumber) {
+  analyzeCode(diff, fileName, repoName, prNumber, owner = 'h1-aot') {
     const issues = [];
     const lines = diff.split('\n');
 
@@ -168,7 +167,7 @@ class CodeAnalysisRunner {
             type: pattern.type,
             message: pattern.message,
             codeSnippet: cleanLine.trim(),
-            githubUrl: `https://github.com/h1-aot/${repoName}/pull/${prNumber}/files`,
+            githubUrl: `https://github.com/${owner}/${repoName}/pull/${prNumber}/files`,
             detected: new Date().toISOString()
           });
         }
@@ -215,6 +214,7 @@ class CodeAnalysisRunner {
       // Get all repositories
       const repositories = await this.getAllRepositories();
       results.summary.totalRepositories = repositories.length;
+      this.log(`📁 Found ${repositories.length} repositories to analyze`);
 
       for (const repo of repositories) {
         this.log(`\n📊 Analyzing repository: ${repo.name}`);
@@ -228,7 +228,7 @@ class CodeAnalysisRunner {
         };
 
         // Get open PRs for this repository
-        const prs = await this.getOpenPRsForRepo(repo.name);
+        const prs = await this.getOpenPRsForRepo(repo.owner.login, repo.name);
         results.summary.totalPRs += prs.length;
 
         for (const pr of prs) {
@@ -244,13 +244,13 @@ class CodeAnalysisRunner {
           };
 
           // Get diff for analysis
-          const diff = await this.getPRDiff(repo.name, pr.number);
+          const diff = await this.getPRDiff(repo.owner.login, repo.name, pr.number);
 
           if (diff) {
             const files = this.extractFilesFromDiff(diff);
 
             for (const file of files) {
-              const fileIssues = this.analyzeCode(diff, file, repo.name, pr.number);
+              const fileIssues = this.analyzeCode(diff, file, repo.name, pr.number, repo.owner.login);
               prData.issues.push(...fileIssues);
               repoData.issues.push(...fileIssues);
             }
@@ -347,9 +347,9 @@ Files:
     });
 
   } else {
-    // Run once
-    runner.runFullAnalysis().then(() => {
-      process.exit(0);
+    // Run once (non-zero exit code if the analysis failed)
+    runner.runFullAnalysis().then(results => {
+      process.exit(results ? 0 : 1);
     });
   }
 }
@@ -0,0 +1,354 @@
+/**
+ * Comment Classifier
+ * Decides whether a review comment is actionable, and what kind of action it
+ * asks for, from the weighted rules in config/classifier-rules.json. Every rule
+ * that matches adds its weight to the rule's type; negative rules (weight < 0,
+ * e.g. "LGTM", "thanks") pull the total down. A comment is actionable when the
+ * total reaches the threshold, and takes the type with the highest score.
+ * Rules only see the comment's prose (code, quotes and URLs are stripped), and
+ * an explicit Conventional Comments prefix ("nit:", "issue (blocking):") decides
+ * the type and severity instead of the scores. Comments from bots, ignored
+ * accounts and the PR author themselves are never actionable. Repositories can
+ * override the threshold, rule weights, rules and author filters. The file is
+ * reloaded when it changes on disk.
+ *
+ * When `model.enabled` is set, a naive Bayes model trained on reviewer feedback
+ * (see classifier-feedback.js) votes alongside the rules as the pseudo-rule
+ * "model", adding or subtracting `model.weight` when it is confident enough.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stripMarkdown, parseConventionalPrefix, extractSuggestions } = require('./comment-parser');
+const NaiveBayesClassifier = require('./naive-bayes');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'config', 'classifier-rules.json');
+const DEFAULT_MODEL_FILE = path.join(__dirname, 'data', 'classifier-model.json');
+const DEFAULT_THRESHOLD = 3;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Whose comments are skipped. `bots` and `ignore` are logins or globs ("codecov*").
+const DEFAULT_AUTHOR_FILTERS = {
+  ignoreBots: true,      // GitHub App/bot accounts plus anything matching `bots`
+  bots: ['*[bot]', 'dependabot*', 'renovate*', 'github-actions*', 'codecov*', 'sonarcloud*', 'coveralls*', 'netlify*', 'vercel*'],
+  ignore: [],            // accounts to skip regardless of bot status
+  excludePrAuthor: true  // the PR author's own comments aren't review feedback
+};
+
+// Conventional Comments labels ({ actionable: false } for the ones that ask for
+// nothing) and decorations that change the severity
+const DEFAULT_CONVENTIONAL_COMMENTS = {
+  labels: {
+    issue: { type: 'fix_required', severity: 'medium' },
+    todo: { type: 'request', severity: 'medium' },
+    chore: { type: 'request', severity: 'low' },
+    question: { type: 'question', severity: 'medium' },
+    suggestion: { type: 'suggestion', severity: 'low' },
+    nitpick: { type: 'suggestion', severity: 'low' },
+    nit: { type: 'suggestion', severity: 'low' },
+    typo: { type: 'improvement_needed', severity: 'low' },
+    polish: { type: 'improvement_needed', severity: 'low' },
+    quibble: { type: 'suggestion', severity: 'low' },
+    praise: { actionable: false },
+    thought: { actionable: false },
+    note: { actionable: false }
+  },
+  decorations: {
+    blocking: { severity: 'high' },
+    'non-blocking': { severity: 'low' },
+    'if-minor': { severity: 'low' }
+  }
+};
+
+// Trained text model settings (`model` in the rules file)
+const DEFAULT_MODEL_SETTINGS = {
+  enabled: false,
+  weight: 2,          // added to the score when the model says actionable, subtracted when it says not
+  minConfidence: 0.7, // predictions less certain than this don't vote
+  minExamples: 20     // a model trained on fewer labeled comments isn't used
+};
+
+// Convert a simple glob (`*`, `?`) into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+function matchesAny(name, globs) {
+  return (globs || []).some(glob => globToRegExp(glob).test(name));
+}
+
+// Compile a rule's pattern string (case-insensitive, multi-line)
+function compileRule(rule) {
+  if (!rule.id || typeof rule.pattern !== 'string' || typeof rule.weight !== 'number') {
+    throw new Error(`Invalid classifier rule ${JSON.stringify(rule)} - expected id, pattern and weight`);
+  }
+  if (rule.weight > 0 && (!rule.type || !SEVERITY_RANK[rule.severity])) {
+    throw new Error(`Classifier rule "${rule.id}" needs a type and a severity (low, medium or high)`);
+  }
+  return { ...rule, regex: new RegExp(rule.pattern, 'im') };
+}
+
+class CommentClassifier {
+  constructor({
+    rulesFile = process.env.CLASSIFIER_RULES_FILE || DEFAULT_RULES_FILE,
+    modelFile = process.env.CLASSIFIER_MODEL_FILE || DEFAULT_MODEL_FILE
+  } = {}) {
+    this.rulesFile = rulesFile;
+    this.modelFile = modelFile;
+    this.config = null;
+    this.rules = [];
+    this.authorFilters = { ...DEFAULT_AUTHOR_FILTERS };
+    this.conventionalComments = DEFAULT_CONVENTIONAL_COMMENTS;
+    this.repositoryRules = new Map(); // lowercased "owner/name" -> { threshold, authors, rules }
+    this.modelSettings = { ...DEFAULT_MODEL_SETTINGS };
+    this.model = null;                // { trainedAt, examples, actionable, type, severity } naive Bayes models
+    this.watcher = null;
+    this.load();
+  }
+
+  // Read and compile the rules file. An invalid file keeps the last good rules.
+  load() {
+    try {
+      const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      const rules = (config.rules || []).map(compileRule);
+
+      const repositoryRules = new Map();
+      Object.entries(config.repositories || {}).forEach(([fullName, override]) => {
+        repositoryRules.set(fullName.toLowerCase(), this.applyOverride(config, rules, override));
+      });
+
+      this.config = config;
+      this.authorFilters = { ...DEFAULT_AUTHOR_FILTERS, ...(config.authors || {}) };
+      const conventional = config.conventionalComments || {};
+      this.conventionalComments = {
+        labels: { ...DEFAULT_CONVENTIONAL_COMMENTS.labels, ...(conventional.labels || {}) },
+        decorations: { ...DEFAULT_CONVENTIONAL_COMMENTS.decorations, ...(conventional.decorations || {}) }
+      };
+      this.rules = rules;
+      this.repositoryRules = repositoryRules;
+      this.modelSettings = { ...DEFAULT_MODEL_SETTINGS, ...(config.model || {}) };
+      console.log(`🏷️  Loaded ${rules.length} classifier rules from ${this.rulesFile}`);
+    } catch (error) {
+      console.error(`Error loading classifier rules ${this.rulesFile}:`, error.message);
+      if (!this.config) {
+        this.config = { threshold: DEFAULT_THRESHOLD, rules: [], repositories: {} };
+      }
+    }
+    this.loadModel();
+    return this.config;
+  }
+
+  // Read the trained model when it's enabled. A missing or unreadable model file
+  // just leaves the rules on their own.
+  loadModel() {
+    this.model = null;
+    if (!this.modelSettings.enabled || !fs.existsSync(this.modelFile)) return null;
+
+    try {
+      const json = JSON.parse(fs.readFileSync(this.modelFile, 'utf8'));
+      this.model = {
+        trainedAt: json.trainedAt,
+        examples: json.examples,
+        actionable: NaiveBayesClassifier.fromJSON(json.actionable),
+        type: NaiveBayesClassifier.fromJSON(json.type),
+        severity: NaiveBayesClassifier.fromJSON(json.severity)
+      };
+      console.log(`🧠 Loaded classifier model trained on ${json.examples} labeled comments`);
+    } catch (error) {
+      console.error(`Error loading classifier model ${this.modelFile}:`, error.message);
+    }
+    return this.model;
+  }
+
+  // Every action type a comment can be given (rule types and Conventional Comments types)
+  knownTypes() {
+    const types = new Set();
+    [this.rules, ...Array.from(this.repositoryRules.values()).map(ruleSet => ruleSet.rules)]
+      .forEach(rules => rules.forEach(rule => rule.type && types.add(rule.type)));
+    Object.values(this.conventionalComments.labels).forEach(label => label.type && types.add(label.type));
+    return Array.from(types);
+  }
+
+  // Rule set for a repository: `disabledRules` drops rules, `weights` re-weights
+  // them by id, `rules` adds (or replaces, by id) repository-specific rules, and
+  // `authors` overrides individual author filter settings
+  applyOverride(config, rules, override) {
+    const disabled = new Set(override.disabledRules || []);
+    const weights = override.weights || {};
+    const extraRules = (override.rules || []).map(compileRule);
+    const extraIds = new Set(extraRules.map(rule => rule.id));
+
+    return {
+      threshold: override.threshold !== undefined ? override.threshold : config.threshold,
+      authors: { ...DEFAULT_AUTHOR_FILTERS, ...(config.authors || {}), ...(override.authors || {}) },
+      rules: rules
+        .filter(rule => !disabled.has(rule.id) && !extraIds.has(rule.id))
+        .map(rule => (weights[rule.id] !== undefined ? { ...rule, weight: weights[rule.id] } : rule))
+        .concat(extraRules)
+    };
+  }
+
+  // Reload whenever the rules file is edited by hand
+  watch() {
+    if (this.watcher) return;
+
+    let reloadTimer = null;
+    this.watcher = fs.watch(path.dirname(this.rulesFile), (eventType, filename) => {
+      if (filename !== path.basename(this.rulesFile)) return;
+
+      // Editors often write in several steps - wait for them to settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        console.log('🔁 Classifier rules changed on disk, reloading...');
+        this.load();
+      }, 200);
+    });
+    this.watcher.unref();
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  getRuleSet(repository) {
+    const override = repository && this.repositoryRules.get(repository.toLowerCase());
+    if (override) return override;
+
+    const threshold = this.config.threshold !== undefined ? this.config.threshold : DEFAULT_THRESHOLD;
+    return { threshold, rules: this.rules, authors: this.authorFilters };
+  }
+
+  // Why a comment author is skipped ('pr_author', 'ignored' or 'bot'), or null
+  ignoredAuthorReason(author, { authorIsBot = false, prAuthor = null, authors = this.authorFilters } = {}) {
+    if (!author) return null;
+    if (authors.excludePrAuthor && prAuthor && author.toLowerCase() === prAuthor.toLowerCase()) return 'pr_author';
+    if (matchesAny(author, authors.ignore)) return 'ignored';
+    if (authors.ignoreBots && (authorIsBot || matchesAny(author, authors.bots))) return 'bot';
+    return null;
+  }
+
+  // Type and severity from a Conventional Comments prefix, or null if there is none
+  classifyConventional(text) {
+    const { labels, decorations } = this.conventionalComments;
+    const conventional = parseConventionalPrefix(text, Object.keys(labels));
+    if (!conventional) return null;
+
+    const mapping = labels[conventional.label];
+    if (mapping.actionable === false) {
+      return { conventional, actionable: false, type: null, severity: null };
+    }
+
+    // A decoration like (blocking) overrides the label's default severity
+    const severity = conventional.decorations.reduce((current, decoration) =>
+      (decorations[decoration] && decorations[decoration].severity) || current, mapping.severity);
+    return { conventional, actionable: true, type: mapping.type, severity };
+  }
+
+  // The model's vote as a rule match, or null when it's disabled, under-trained
+  // or not confident enough about this text
+  modelMatch(text) {
+    const { weight, minConfidence, minExamples } = this.modelSettings;
+    if (!this.model || this.model.examples < minExamples) return null;
+
+    const prediction = this.model.actionable.predict(text);
+    if (!prediction) return null;
+
+    const probability = prediction.probabilities.actionable || 0;
+    if (Math.max(probability, 1 - probability) < minConfidence) return null;
+
+    const actionable = probability >= 0.5;
+    const typePrediction = actionable && this.model.type.predict(text);
+    const severityPrediction = actionable && this.model.severity.predict(text);
+    return {
+      rule: 'model',
+      weight: actionable ? weight : -weight,
+      type: actionable ? (typePrediction ? typePrediction.label : 'suggestion') : null,
+      severity: actionable ? (severityPrediction ? severityPrediction.label : 'low') : null,
+      match: `${Math.round(probability * 100)}% actionable`,
+      description: `Naive Bayes model trained on ${this.model.examples} labeled comments`
+    };
+  }
+
+  // Classify a comment body for a repository ("owner/name", optional). Pass the
+  // comment's `author` (and `authorIsBot`, `prAuthor`) to apply the author filters.
+  // Returns { actionable, type, severity, score, threshold, scores, matches, ignoredAuthor, conventional, suggestionBlocks },
+  // where `matches` lists every rule that fired with the text it matched and
+  // `conventional` is the parsed Conventional Comments prefix, if any.
+  classify(commentBody, { repository, author, authorIsBot, prAuthor } = {}) {
+    const { threshold, rules, authors } = this.getRuleSet(repository);
+    const ignoredAuthor = this.ignoredAuthorReason(author, { authorIsBot, prAuthor, authors });
+    const result = {
+      actionable: false,
+      type: null,
+      severity: null,
+      score: 0,
+      threshold,
+      scores: {},
+      matches: [],
+      ignoredAuthor,
+      conventional: null,
+      suggestionBlocks: 0
+    };
+    if (ignoredAuthor || !commentBody || !commentBody.trim()) return result;
+
+    // Only the reviewer's prose counts - not code, quoted text or URLs
+    const text = stripMarkdown(commentBody);
+    result.suggestionBlocks = extractSuggestions(commentBody).length;
+
+    rules.forEach(rule => {
+      const match = text.match(rule.regex);
+      if (!match) return;
+
+      result.matches.push({
+        rule: rule.id,
+        weight: rule.weight,
+        type: rule.type || null,
+        severity: rule.severity || null,
+        match: match[0],
+        description: rule.description || null
+      });
+      result.score += rule.weight;
+      if (rule.weight > 0) {
+        result.scores[rule.type] = (result.scores[rule.type] || 0) + rule.weight;
+      }
+    });
+
+    const modelMatch = this.modelMatch(text);
+    if (modelMatch) {
+      result.matches.push(modelMatch);
+      result.score += modelMatch.weight;
+      if (modelMatch.weight > 0) {
+        result.scores[modelMatch.type] = (result.scores[modelMatch.type] || 0) + modelMatch.weight;
+      }
+    }
+
+    // An explicit prefix says what the reviewer means - it beats the heuristics
+    const conventional = this.classifyConventional(text);
+    if (conventional) {
+      return { ...result, ...conventional };
+    }
+
+    if (result.score < threshold || Object.keys(result.scores).length === 0) {
+      // A ```suggestion block is a concrete change request even without any prose
+      return result.suggestionBlocks > 0
+        ? { ...result, actionable: true, type: 'suggestion', severity: 'low' }
+        : result;
+    }
+
+    // Highest-scoring type wins; ties go to the type whose rule fired first
+    const type = Object.keys(result.scores).reduce((best, candidate) =>
+      (result.scores[candidate] > result.scores[best] ? candidate : best));
+    const severity = result.matches
+      .filter(match => match.type === type)
+      .reduce((highest, match) =>
+        (SEVERITY_RANK[match.severity] > SEVERITY_RANK[highest] ? match.severity : highest), 'low');
+
+    return { ...result, actionable: true, type, severity };
+  }
+}
+
+module.exports = CommentClassifier;
@@ -0,0 +1,97 @@
+/**
+ * Comment Parser
+ * Markdown-aware reading of review comment bodies. Strips the parts that aren't
+ * the reviewer's own words - fenced code (including ```suggestion blocks),
+ * inline code, block quotes, URLs and HTML comments - so the classifier only
+ * matches prose, recognizes Conventional Comments prefixes
+ * (`label (decorations): subject`, see https://conventionalcomments.org), and
+ * extracts the contents of ```suggestion blocks.
+ */
+
+const CONVENTIONAL_PREFIX = /^\s*([a-z]+)\s*(?:\(([^)]*)\))?\s*:\s*([\s\S]*)$/i;
+
+// Contents of every ```suggestion block, as arrays of lines (an empty array
+// suggests deleting the commented lines)
+function extractSuggestions(body) {
+  if (!body) return [];
+
+  const suggestions = [];
+  let fence = null;
+  let current = null;
+
+  body.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})\s*(\S*)/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !fenceMatch[2]) {
+        if (current) suggestions.push(current);
+        fence = null;
+        current = null;
+      } else if (current) {
+        current.push(line);
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      current = fenceMatch[2].toLowerCase() === 'suggestion' ? [] : null;
+    }
+  });
+
+  return suggestions;
+}
+
+// Prose of a markdown comment: code, quotes, links' targets and HTML comments removed
+function stripMarkdown(body) {
+  if (!body) return '';
+
+  const lines = body.replace(/\r\n/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const prose = [];
+  let fence = null; // the ``` or ~~~ run that opened the current code block
+
+  lines.forEach(line => {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return;
+    }
+    if (/^\s{0,3}>/.test(line)) return; // quoted text
+
+    prose.push(line
+      .replace(/(`+)[\s\S]*?\1/g, ' ')                 // inline code
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')           // images
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')         // links keep their text
+      .replace(/<?https?:\/\/[^\s>)]+>?/g, ' '));      // bare and autolinked URLs
+  });
+
+  return prose.join('\n').trim();
+}
+
+// { label, decorations, subject } for a Conventional Comments prefix on the
+// first line ("issue (blocking): ..."), or null. Bold markers around the
+// prefix ("**nit:** ...") are allowed; only `labels` are recognized.
+function parseConventionalPrefix(text, labels) {
+  const firstLine = (text || '').split('\n').find(line => line.trim()) || '';
+  const match = firstLine.replace(/\*\*|__/g, '').match(CONVENTIONAL_PREFIX);
+  if (!match) return null;
+
+  const label = match[1].toLowerCase();
+  if (!labels.includes(label)) return null;
+
+  return {
+    label,
+    decorations: (match[2] || '').split(',').map(decoration => decoration.trim().toLowerCase()).filter(Boolean),
+    subject: match[3].trim()
+  };
+}
+
+module.exports = {
+  extractSuggestions,
+  stripMarkdown,
+  parseConventionalPrefix
+};
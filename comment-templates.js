@@ -0,0 +1,115 @@
+/**
+ * Comment Templates
+ * Team-defined snippets for comments posted from the tool, kept in
+ * config/comment-templates.json (COMMENT_TEMPLATES_FILE to use another file):
+ *
+ *   { "templates": [{ "id": "missing-test", "name": "Missing test",
+ *                     "type": "fix_required", "severity": "medium",
+ *                     "body": "Please add a test for `{{file}}` line {{line}}." }] }
+ *
+ * `{{name}}` placeholders are filled from the comment's anchor (file, line,
+ * startLine), the PR (repository, prNumber) and any variables the caller
+ * passes, such as `rule`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, 'config', 'comment-templates.json');
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const TEMPLATE_ID = /^[a-z0-9][a-z0-9-]*$/;
+const SEVERITIES = ['high', 'medium', 'low'];
+const ACTION_TYPES = ['fix_required', 'improvement_needed', 'suggestion', 'question', 'request'];
+
+// Names of the placeholders in a template body, in order of first use
+function templateVariables(text) {
+  return Array.from(new Set(Array.from(text.matchAll(PLACEHOLDER), match => match[1])));
+}
+
+// Fill `{{name}}` placeholders; every placeholder needs a value
+function renderTemplate(text, variables = {}) {
+  const missing = templateVariables(text).filter(name =>
+    variables[name] === undefined || variables[name] === null || variables[name] === '');
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(', ')}`);
+  }
+  return text.replace(PLACEHOLDER, (match, name) => String(variables[name]));
+}
+
+class CommentTemplates {
+  constructor({ file = process.env.COMMENT_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE } = {}) {
+    this.file = file;
+  }
+
+  // Re-read on every call so edits to the file apply without a restart
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return { templates: config.templates || [] };
+      }
+    } catch (error) {
+      console.error(`Error loading comment templates ${this.file}:`, error.message);
+    }
+    return { templates: [] };
+  }
+
+  save(config) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(config, null, 2) + '\n');
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Templates with the variables each one needs
+  list() {
+    return this.load().templates.map(template => ({ ...template, variables: templateVariables(template.body) }));
+  }
+
+  get(id) {
+    return this.list().find(template => template.id === id) || null;
+  }
+
+  // Create or replace a template: { name, body, type, severity, description }
+  upsert(id, { name, body, type = null, severity = null, description = null }) {
+    if (!TEMPLATE_ID.test(id || '')) {
+      throw new Error('Template id must be lowercase letters, digits and dashes');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('Template body is required');
+    }
+    if (type && !ACTION_TYPES.includes(type)) {
+      throw new Error(`type must be one of ${ACTION_TYPES.join(', ')}`);
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+      throw new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const template = { id, name: name || id, description, type, severity, body };
+    const config = this.load();
+    const index = config.templates.findIndex(existing => existing.id === id);
+    if (index >= 0) {
+      config.templates[index] = template;
+    } else {
+      config.templates.push(template);
+    }
+    this.save(config);
+    console.log(`🧩 Saved comment template ${id}`);
+    return { ...template, variables: templateVariables(body) };
+  }
+
+  remove(id) {
+    const config = this.load();
+    const templates = config.templates.filter(template => template.id !== id);
+    if (templates.length === config.templates.length) return false;
+    this.save({ ...config, templates });
+    return true;
+  }
+}
+
+module.exports = CommentTemplates;
+module.exports.templateVariables = templateVariables;
+module.exports.renderTemplate = renderTemplate;
@@ -1,39 +1,72 @@
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-class GitHubDataFetcher {
-  constructor() {
-    this.dataPath = path.join(__dirname, 'data');
+const { GitHubClient } = require('./github-client');
+const FetchQueue = require('./fetch-queue');
+const RepositoryRegistry = require('./repo-registry');
+const SnapshotStore = require('./snapshot-store');
+const CommentClassifier = require('./comment-classifier');
+const TriageStore = require('./triage-store');
+const { buildLifecycle } = require('./pr-metrics');
+const {
+  groupReviewComments,
+  classifyThread,
+  threadDetails,
+  reviewerOf,
+  applyThreadState,
+  reactionCounts,
+  getResolution,
+  isOutstanding
+} = require('./review-threads');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Format of data/pr-lifecycle.json. Bump it when lifecycle records gain fields that
+// older records lack, so the next fetch lists every PR's history again.
+// 2: review requests per PR
+const LIFECYCLE_FORMAT_VERSION = 2;
+
+// Emits 'started', 'progress', 'completed' and 'failed' while a fetch runs,
+// 'repositoryUpdated' / 'pullRequestUpdated' after a single-repository or single-PR
+// refresh, and 'newActionableComments' whenever any of them turns up actionable
+// comments that weren't cached before
+class GitHubDataFetcher extends EventEmitter {
+  constructor({ client, registry, snapshots, classifier, triage, concurrency, dataPath = path.join(__dirname, 'data') } = {}) {
+    super();
+    this.github = client || new GitHubClient();
+    this.registry = registry || new RepositoryRegistry({ client: this.github });
+    this.classifier = classifier || new CommentClassifier();
+    this.triage = triage || new TriageStore();
+    this.concurrency = concurrency || parseInt(process.env.FETCH_CONCURRENCY) || 4;
+    this.activeFetch = null;
+    this.fetchController = null;
+    this.fetchStatus = null;
+    this.dataPath = dataPath;
     this.prDataFile = path.join(this.dataPath, 'pr-data.json');
     this.lastUpdateFile = path.join(this.dataPath, 'last-update.json');
+    this.fetchStateFile = path.join(this.dataPath, 'fetch-state.json');
+    this.lifecycleFile = path.join(this.dataPath, 'pr-lifecycle.json');
 
     // Ensure data directory exists
     if (!fs.existsSync(this.dataPath)) {
       fs.mkdirSync(this.dataPath, { recursive: true });
     }
 
+    // Every fetch is also kept as a historical snapshot
+    this.snapshots = snapshots || new SnapshotStore();
+
     // Office hours configuration (9 AM to 6 PM, Monday to Friday)
     this.officeHours = {
       startHour: 9,
       endHour: 18,
       workdays: [1, 2, 3, 4, 5] // Monday to Friday
     };
-  }
 
-  // Execute GitHub CLI command
-  executeGhCommand(command) {
-    try {
-      const result = execSync(command, {
-        encoding: 'utf8',
-        timeout: 60000,
-        maxBuffer: 50 * 1024 * 1024 // 50MB buffer
-      });
-      return JSON.parse(result);
-    } catch (error) {
-      console.error(`Error executing gh command: ${command}`, error.message);
-      throw new Error(`GitHub CLI error: ${error.message}`);
-    }
+    // Scheduled cadence: full refresh every 3 hours, incremental refresh in between
+    this.schedule = {
+      fullEveryHours: 3,
+      incrementalEveryMinutes: 30
+    };
   }
 
   // Check if current time is within office hours
@@ -48,71 +81,65 @@ class GitHubDataFetcher {
   }
 
   // Get list of repositories to monitor
-  async getRepositoriesToMonitor() {
+  async getRepositoriesToMonitor(queue = new FetchQueue({ client: this.github, concurrency: this.concurrency })) {
     try {
-      // All h1-aot repositories to monitor
-      const reposToMonitor = [
-        'h1-aot/agent_manager',
-        'h1-aot/aot-base',
-        'h1-aot/aot-frontend-api',
-        'h1-aot/aot-user-ui',
-        'h1-aot/masp',
-        'h1-aot/offsec-benchmarks',
-        'h1-aot/aot-terraform',
-        'ppaul-h-aot/MRToolGH'
-        // Note: some repositories from the original list may not exist or may not be accessible
-      ];
-
-      const repos = [];
-
-      for (const repoName of reposToMonitor) {
+      // Repositories come from the registry (config/repositories.json)
+      const reposToMonitor = await this.registry.resolveRepositories();
+
+      const repos = await Promise.all(reposToMonitor.map(async entry => {
         try {
-          const repoData = this.executeGhCommand(
-            `gh repo view ${repoName} --json name,owner,url,updatedAt,pushedAt`
-          );
-
-          // Check if repo has recent activity (last 30 days)
-          const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-          if (repoData.pushedAt && new Date(repoData.pushedAt) >= thirtyDaysAgo) {
-            repos.push(repoData);
+          const repoData = entry.details ||
+            await queue.add(() => this.github.getRepository(entry.owner, entry.name), entry.fullName);
+
+          // Check if repo has recent activity (activity window from the registry, 30 days by default)
+          const { activityWindowDays } = entry.settings;
+          const windowStart = new Date(Date.now() - activityWindowDays * 24 * 60 * 60 * 1000);
+          if (!activityWindowDays || (repoData.pushedAt && new Date(repoData.pushedAt) >= windowStart)) {
+            return { ...repoData, settings: entry.settings };
           }
         } catch (error) {
-          console.error(`Error accessing repository ${repoName}:`, error.message);
+          console.error(`Error accessing repository ${entry.fullName}:`, error.message);
         }
-      }
+        return null;
+      }));
 
-      return repos;
+      return repos.filter(Boolean);
     } catch (error) {
       console.error('Error getting repositories:', error.message);
       return [];
     }
   }
 
-  // Get actionable comments for a PR
-  async getActionableComments(owner, repo, prNumber) {
+  // Get actionable comments for a PR. Line comments are grouped into conversations
+  // and each conversation is one item, identified by its root comment.
+  async getActionableComments(owner, repo, prNumber, prAuthor) {
     try {
       // Get review comments (line-specific)
-      const reviewComments = this.executeGhCommand(
-        `gh api repos/${owner}/${repo}/pulls/${prNumber}/comments --paginate`
-      );
+      const reviewComments = await this.github.listReviewComments(owner, repo, prNumber);
 
       // Get general comments
-      const generalCommentsResult = this.executeGhCommand(
-        `gh pr view ${prNumber} --repo ${owner}/${repo} --json comments`
-      );
-      const generalComments = generalCommentsResult.comments || [];
+      const generalComments = await this.github.listIssueComments(owner, repo, prNumber);
 
       // Get PR reviews
-      const reviews = this.executeGhCommand(
-        `gh api repos/${owner}/${repo}/pulls/${prNumber}/reviews --paginate`
-      );
+      const reviews = await this.github.listReviews(owner, repo, prNumber);
+
+      // Get resolved/outdated state of the line comments' threads
+      const threads = reviewComments.length > 0 ? await this.github.listReviewThreads(owner, repo, prNumber) : [];
 
       const actionableComments = [];
+      // REST comments, skipping bots, ignored accounts and the PR author per the classifier config
+      const classify = comment => this.classifier.classify(comment.body, {
+        repository: `${owner}/${repo}`,
+        author: comment.user.login,
+        authorIsBot: comment.user.type === 'Bot',
+        prAuthor
+      });
 
-      // Process review comments
-      reviewComments.forEach(comment => {
-        const actionable = this.isCommentActionable(comment.body);
+      // Process review comment threads
+      groupReviewComments(reviewComments, prAuthor).forEach(thread => {
+        const actionable = classifyThread(thread, classify, prAuthor);
         if (actionable.actionable) {
+          const comment = thread.root;
           actionableComments.push({
             id: comment.id,
             type: 'review_comment',
@@ -123,24 +150,28 @@ class GitHubDataFetcher {
             line: comment.line,
             url: comment.html_url,
             actionType: actionable.type,
-            severity: actionable.severity
+            severity: actionable.severity,
+            raisedBy: actionable.raisedBy,
+            reactions: reactionCounts(comment.reactions),
+            ...threadDetails(thread)
           });
         }
       });
 
       // Process general comments
       generalComments.forEach(comment => {
-        const actionable = this.isCommentActionable(comment.body);
+        const actionable = classify(comment);
         if (actionable.actionable) {
           actionableComments.push({
             id: comment.id,
             type: 'general_comment',
-            author: comment.author.login,
+            author: comment.user.login,
             body: comment.body,
-            createdAt: comment.createdAt,
-            url: `https://github.com/${owner}/${repo}/pull/${prNumber}#issuecomment-${comment.id}`,
+            createdAt: comment.created_at,
+            url: comment.html_url,
             actionType: actionable.type,
-            severity: actionable.severity
+            severity: actionable.severity,
+            reactions: reactionCounts(comment.reactions)
           });
         }
       });
@@ -148,7 +179,7 @@ class GitHubDataFetcher {
       // Process reviews
       reviews.forEach(review => {
         if (review.body && review.state !== 'COMMENTED') {
-          const actionable = this.isCommentActionable(review.body);
+          const actionable = classify(review);
           if (actionable.actionable) {
             actionableComments.push({
               id: review.id,
@@ -165,177 +196,622 @@ class GitHubDataFetcher {
         }
       });
 
-      return actionableComments;
+      return this.triage.annotate(`${owner}/${repo}`, parseInt(prNumber), applyThreadState(actionableComments, threads));
     } catch (error) {
       console.error(`Error getting comments for PR ${prNumber}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
-  // Check if a comment is actionable (same logic as server)
-  isCommentActionable(commentBody) {
-    if (!commentBody) return { actionable: false };
-
-    const body = commentBody.toLowerCase();
-
-    // High severity patterns
-    const highSeverityPatterns = [
-      /\b(fix|error|bug|broken|issue|problem|wrong)\b/,
-      /\b(security|vulnerability|exploit|dangerous)\b/,
-      /\b(performance|slow|inefficient|optimize)\b/,
-      /\b(memory leak|deadlock|race condition)\b/
-    ];
-
-    // Medium severity patterns
-    const mediumSeverityPatterns = [
-      /\b(should|must|need to|have to|required)\b/,
-      /\b(refactor|restructure|reorganize|cleanup)\b/,
-      /\b(test|testing|unit test|integration test)\b/,
-      /\b(documentation|docs|comment|explain)\b/,
-      /\b(style|format|convention|standard)\b/
-    ];
-
-    // Low severity patterns
-    const lowSeverityPatterns = [
-      /\b(consider|suggest|might|could|perhaps)\b/,
-      /\b(improvement|enhancement|better)\b/,
-      /\b(question|clarification|understand)\b/,
-      /\b(naming|variable|function name)\b/
-    ];
-
-    // Question patterns
-    const questionPatterns = [
-      /\?/,
-      /\b(why|how|what|when|where|which)\b/,
-      /\b(can you|could you|would you)\b/
-    ];
-
-    // Request patterns
-    const requestPatterns = [
-      /\b(please|add|remove|change|update|modify)\b/,
-      /\b(implement|create|build|develop)\b/
-    ];
-
-    for (const pattern of highSeverityPatterns) {
-      if (pattern.test(body)) {
-        return { actionable: true, type: 'fix_required', severity: 'high' };
-      }
+  // Build the cached entry for a PR from its actionable comments. Resolved and
+  // outdated comments stay in the entry but only outstanding ones are counted.
+  buildPullRequestEntry(pr, actionableComments) {
+    const outstanding = actionableComments.filter(isOutstanding);
+    return {
+      ...pr,
+      actionableComments,
+      actionableCount: outstanding.length,
+      resolvedCount: actionableComments.filter(c => getResolution(c) === 'resolved').length,
+      outdatedCount: actionableComments.filter(c => getResolution(c) === 'outdated').length,
+      severityCounts: {
+        high: outstanding.filter(c => c.severity === 'high').length,
+        medium: outstanding.filter(c => c.severity === 'medium').length,
+        low: outstanding.filter(c => c.severity === 'low').length
+      },
+      reviewerCounts: this.countByReviewer(outstanding)
+    };
+  }
+
+  // A cached PR entry with its comments' current triage state (and counts to match)
+  withCurrentTriage(repoKey, entry) {
+    return this.buildPullRequestEntry(entry, this.triage.annotate(repoKey, entry.number, entry.actionableComments));
+  }
+
+  // Store a comment's new triage state in the cached dataset so lists and counts
+  // reflect it before the next fetch. Returns the updated PR entry, or null when
+  // the comment isn't cached.
+  applyTriage(owner, repo, number, commentType, commentId, triage) {
+    return this.applyCommentUpdate(owner, repo, number, commentType, commentId, comment => ({ ...comment, triage }));
+  }
+
+  // Change one cached actionable comment with `update(comment, prEntry)` - after a
+  // reply, a resolved thread or a reaction from the tool - and recount the PR.
+  // Returns the updated PR entry, or null when the comment isn't cached.
+  applyCommentUpdate(owner, repo, number, commentType, commentId, update) {
+    const prNumber = parseInt(number);
+    const cachedData = this.loadCachedData();
+    const cachedRepo = cachedData && cachedData.repositories.find(r => r.owner === owner && r.name === repo);
+    const cachedPr = cachedRepo && cachedRepo.pullRequests.find(pr => pr.number === prNumber);
+    if (!cachedPr || !cachedPr.actionableComments.some(c => c.type === commentType && String(c.id) === String(commentId))) {
+      return null;
     }
 
-    for (const pattern of mediumSeverityPatterns) {
-      if (pattern.test(body)) {
-        return { actionable: true, type: 'improvement_needed', severity: 'medium' };
-      }
+    return this.updateCachedData(data => {
+      const repoData = data.repositories.find(r => r.owner === owner && r.name === repo);
+      const index = repoData.pullRequests.findIndex(pr => pr.number === prNumber);
+      const entry = repoData.pullRequests[index];
+      const comments = entry.actionableComments.map(c =>
+        (c.type === commentType && String(c.id) === String(commentId) ? update(c, entry) : c));
+      repoData.pullRequests[index] = this.buildPullRequestEntry(entry, comments);
+      return repoData.pullRequests[index];
+    });
+  }
+
+  // Store a PR's new labels, assignees, requested reviewers or draft state after a
+  // change from the tool. Returns the updated PR entry, or null when it isn't cached.
+  applyPullRequestUpdate(owner, repo, number, fields) {
+    const prNumber = parseInt(number);
+    const cachedData = this.loadCachedData();
+    const cachedRepo = cachedData && cachedData.repositories.find(r => r.owner === owner && r.name === repo);
+    if (!cachedRepo || !cachedRepo.pullRequests.some(pr => pr.number === prNumber)) {
+      return null;
     }
 
-    for (const pattern of lowSeverityPatterns) {
-      if (pattern.test(body)) {
-        return { actionable: true, type: 'suggestion', severity: 'low' };
+    return this.updateCachedData(data => {
+      const repoData = data.repositories.find(r => r.owner === owner && r.name === repo);
+      const index = repoData.pullRequests.findIndex(pr => pr.number === prNumber);
+      repoData.pullRequests[index] = { ...repoData.pullRequests[index], ...fields };
+      return repoData.pullRequests[index];
+    });
+  }
+
+  // Actionable items per reviewer: { login: { total, high, medium, low } }
+  countByReviewer(actionableComments) {
+    return actionableComments.reduce((counts, comment) => {
+      const reviewer = reviewerOf(comment);
+      counts[reviewer] = counts[reviewer] || { total: 0, high: 0, medium: 0, low: 0 };
+      counts[reviewer].total++;
+      counts[reviewer][comment.severity]++;
+      return counts;
+    }, {});
+  }
+
+  // Re-fetch and reclassify one repository's open PRs and swap them into the cached
+  // dataset in a single write; every other repository is left as it was.
+  async fetchRepository(owner, repo) {
+    const [repoDetails, settings] = await Promise.all([
+      this.github.getRepository(owner, repo),
+      this.registry.getSettings(owner, repo)
+    ]);
+    const repoKey = `${repoDetails.owner.login}/${repoDetails.name}`;
+
+    const context = {
+      incremental: false,
+      strict: true,
+      queue: new FetchQueue({ client: this.github, concurrency: this.concurrency }),
+      previousData: this.loadCachedData(),
+      previousState: this.loadFetchState(),
+      fetchState: { lastUpdate: null, repositories: {} },
+      stats: { prsFetched: 0, prsSkipped: 0 }
+    };
+    const lifecycleData = this.loadLifecycleData();
+    const [openRepoData] = await Promise.all([
+      this.processRepository({ ...repoDetails, settings }, context),
+      this.fetchLifecycle({ ...repoDetails, settings }, lifecycleData, context.queue)
+    ]);
+    this.saveLifecycleData(lifecycleData);
+    const repoData = this.withClosedPullRequests({ ...repoDetails, settings }, openRepoData, lifecycleData);
+
+    const previous = this.updateCachedData(data => {
+      const index = data.repositories.findIndex(r => `${r.owner}/${r.name}`.toLowerCase() === repoKey.toLowerCase());
+      const previousRepo = index >= 0 ? data.repositories[index] : null;
+
+      if (index >= 0 && repoData) {
+        data.repositories[index] = repoData;
+      } else if (index >= 0) {
+        // Only include repos with actionable, closed or merged PRs
+        data.repositories.splice(index, 1);
+      } else if (repoData) {
+        data.repositories.push(repoData);
       }
+      return previousRepo;
+    });
+
+    const fetchState = this.loadFetchState();
+    fetchState.repositories[repoKey] = context.fetchState.repositories[repoKey];
+    this.saveFetchState(fetchState);
+
+    const summary = {
+      owner: repoDetails.owner.login,
+      repo: repoDetails.name,
+      pullRequests: repoData ? repoData.pullRequests.length : 0,
+      actionableComments: repoData ? repoData.pullRequests.reduce((sum, pr) => sum + pr.actionableCount, 0) : 0,
+      prsFetched: context.stats.prsFetched,
+      refreshedAt: new Date().toISOString()
+    };
+    this.emit('repositoryUpdated', summary);
+
+    const { added } = this.snapshots.compare(
+      { repositories: previous ? [previous] : [] },
+      { repositories: repoData ? [repoData] : [] }
+    ).comments;
+    if (added.length > 0) {
+      this.emit('newActionableComments', added);
     }
 
-    for (const pattern of questionPatterns) {
-      if (pattern.test(body)) {
-        return { actionable: true, type: 'question', severity: 'medium' };
+    console.log(`✅ ${repoKey} refreshed: ${summary.pullRequests} PRs with ${summary.actionableComments} actionable comments`);
+    return { ...summary, data: repoData };
+  }
+
+  // Re-fetch and reclassify a single PR and update just that PR in the cached dataset.
+  // A PR closed or merged within the repository's closedWindowDays stays in the cache
+  // with its state and no actionable comments; open PRs without actionable comments
+  // and older closed PRs are dropped.
+  async refreshPullRequest(owner, repo, number) {
+    const prNumber = parseInt(number);
+    const [details, settings] = await Promise.all([
+      this.github.getPullRequestDetails(owner, repo, prNumber),
+      this.registry.getSettings(owner, repo)
+    ]);
+    const isOpen = details.state === 'OPEN';
+    const actionableComments = isOpen ? await this.getActionableComments(owner, repo, prNumber, details.author.login) : [];
+
+    const {
+      title, state, createdAt, updatedAt, closedAt, mergedAt, url, reviewDecision, isDraft, author, labels, assignees, requestedReviewers
+    } = details;
+    const keep = isOpen ? actionableComments.length > 0 : this.isWithinClosedWindow(closedAt, settings);
+    const entry = keep
+      ? this.buildPullRequestEntry({
+        number: prNumber, title, state, createdAt, updatedAt, closedAt, mergedAt, url, reviewDecision, isDraft, author, labels, assignees, requestedReviewers
+      }, actionableComments)
+      : null;
+
+    const previous = this.updateCachedData(data => {
+      let repoData = data.repositories.find(r => r.owner === owner && r.name === repo);
+      const previousEntry = repoData ? repoData.pullRequests.find(pr => pr.number === prNumber) || null : null;
+
+      if (repoData) {
+        repoData.pullRequests = repoData.pullRequests.filter(pr => pr.number !== prNumber);
       }
+      if (entry) {
+        if (!repoData) {
+          repoData = { owner, name: repo, url: `https://github.com/${owner}/${repo}`, lastPush: null, pullRequests: [] };
+          data.repositories.push(repoData);
+        }
+        repoData.pullRequests.push(entry);
+        repoData.pullRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      }
+
+      // Only include repos with actionable, closed or merged PRs
+      data.repositories = data.repositories.filter(r => r.pullRequests.length > 0);
+      return previousEntry;
+    });
+
+    // Keep the incremental fetch from re-downloading a PR we just refreshed
+    const fetchState = this.loadFetchState();
+    const repoKey = `${owner}/${repo}`;
+    fetchState.repositories[repoKey] = fetchState.repositories[repoKey] || { pullRequests: {} };
+    if (isOpen) {
+      fetchState.repositories[repoKey].pullRequests[prNumber] = { updatedAt };
+    } else {
+      delete fetchState.repositories[repoKey].pullRequests[prNumber];
     }
+    this.saveFetchState(fetchState);
 
-    for (const pattern of requestPatterns) {
-      if (pattern.test(body)) {
-        return { actionable: true, type: 'request', severity: 'medium' };
-      }
+    const change = { owner, repo, number: prNumber, state: details.state, pullRequest: entry, previous };
+    this.emit('pullRequestUpdated', change);
+
+    const previousIds = new Set((previous ? previous.actionableComments : []).map(c => `${c.type}:${c.id}`));
+    const added = actionableComments
+      .filter(c => isOutstanding(c) && !previousIds.has(`${c.type}:${c.id}`))
+      .map(c => ({ repository: `${owner}/${repo}`, prNumber, ...c }));
+    if (added.length > 0) {
+      this.emit('newActionableComments', added);
     }
 
-    return { actionable: false };
+    return change;
   }
 
-  // Fetch data for all repositories and PRs
-  async fetchAllData() {
-    console.log('🔄 Starting data fetch...');
+  // Fetch data for all repositories and PRs.
+  // In incremental mode only PRs whose updatedAt moved since the last run are re-fetched;
+  // everything else is carried over from the previous snapshot.
+  // Concurrent callers share the fetch already in flight instead of starting another one.
+  fetchAllData({ incremental = false } = {}) {
+    if (this.activeFetch) {
+      console.log('⏳ Data fetch already in progress, joining it');
+      return this.activeFetch;
+    }
+
+    this.activeFetch = this.runFetch({ incremental }).finally(() => {
+      this.activeFetch = null;
+      this.fetchController = null;
+    });
+    return this.activeFetch;
+  }
 
-    const repos = await this.getRepositoriesToMonitor();
-    console.log(`📁 Found ${repos.length} active repositories to monitor`);
+  // Stop the running fetch: queued requests are dropped and nothing is saved.
+  // Returns false if no fetch is running.
+  cancelFetch() {
+    if (!this.activeFetch || !this.fetchController) return false;
+
+    console.log('🛑 Cancelling data fetch...');
+    this.fetchController.abort();
+    return true;
+  }
+
+  // Whether a fetch is running, and how far along it is
+  getFetchStatus() {
+    return this.fetchStatus;
+  }
 
-    const allData = {
-      lastUpdate: new Date().toISOString(),
-      repositories: []
+  async runFetch({ incremental }) {
+    console.log(`🔄 Starting ${incremental ? 'incremental' : 'full'} data fetch...`);
+
+    const queue = new FetchQueue({ client: this.github, concurrency: this.concurrency });
+    const controller = new AbortController();
+    controller.signal.addEventListener('abort', () => queue.clear(new Error('Fetch cancelled')));
+    this.fetchController = controller;
+
+    const context = {
+      incremental,
+      queue,
+      previousData: incremental ? this.loadCachedData() : null,
+      previousState: incremental ? this.loadFetchState() : null,
+      fetchState: { lastUpdate: null, repositories: {} },
+      stats: { prsFetched: 0, prsSkipped: 0 }
     };
+    const lifecycleData = this.loadLifecycleData();
+
+    this.fetchStatus = {
+      running: true,
+      mode: incremental ? 'incremental' : 'full',
+      startedAt: new Date().toISOString(),
+      phase: 'repositories',
+      repositories: { total: 0, completed: 0 },
+      queue: queue.getProgress()
+    };
+    this.emit('started', this.fetchStatus);
 
-    for (const repo of repos) {
-      console.log(`📊 Processing ${repo.owner.login}/${repo.name}...`);
-
-      try {
-        // Get PRs for this repo (last 30 days)
-        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-
-        const prs = this.executeGhCommand(
-          `gh pr list --repo ${repo.owner.login}/${repo.name} --state open --json number,title,author,createdAt,updatedAt,url,reviewDecision,isDraft --limit 100`
-        );
-
-        // No need to filter by date since we're only getting open PRs
-        const recentPrs = prs;
-
-        const repoData = {
-          owner: repo.owner.login,
-          name: repo.name,
-          url: repo.url,
-          lastPush: repo.pushedAt,
-          pullRequests: []
-        };
-
-        // Process each PR
-        for (const pr of recentPrs) {
-          console.log(`  📝 Processing PR #${pr.number}: ${pr.title}`);
-
-          const actionableComments = await this.getActionableComments(
-            repo.owner.login,
-            repo.name,
-            pr.number
-          );
-
-          if (actionableComments.length > 0) {
-            repoData.pullRequests.push({
-              ...pr,
-              actionableComments,
-              actionableCount: actionableComments.length,
-              severityCounts: {
-                high: actionableComments.filter(c => c.severity === 'high').length,
-                medium: actionableComments.filter(c => c.severity === 'medium').length,
-                low: actionableComments.filter(c => c.severity === 'low').length
-              }
-            });
-          }
+    queue.on('progress', progress => {
+      this.fetchStatus.queue = progress;
+      this.emit('progress', this.fetchStatus);
+    });
+
+    try {
+      const repos = await this.getRepositoriesToMonitor(queue);
+      console.log(`📁 Found ${repos.length} active repositories to monitor`);
+
+      this.fetchStatus.phase = 'pullRequests';
+      this.fetchStatus.repositories.total = repos.length;
+
+      const allData = {
+        lastUpdate: new Date().toISOString(),
+        repositories: []
+      };
+
+      // Repositories run side by side; the queue bounds how many requests are in flight
+      const results = await Promise.all(repos.map(async repo => {
+        const [repoData] = await Promise.all([
+          this.processRepository(repo, context),
+          this.fetchLifecycle(repo, lifecycleData, queue)
+        ]);
+        this.fetchStatus.repositories.completed++;
+        this.emit('progress', this.fetchStatus);
+        return this.withClosedPullRequests(repo, repoData, lifecycleData);
+      }));
+      results.filter(Boolean).forEach(repoData => allData.repositories.push(repoData));
+
+      // A cancelled fetch only has partial data - keep the previous dataset
+      if (controller.signal.aborted) {
+        throw new Error('Fetch cancelled');
+      }
+
+      context.fetchState.lastUpdate = allData.lastUpdate;
+      const cachedData = this.loadCachedData();
+      this.saveData(allData, {
+        mode: incremental ? 'incremental' : 'full',
+        ...context.stats
+      });
+      this.saveFetchState(context.fetchState);
+
+      // Drop lifecycle records for repositories that are no longer monitored
+      const monitored = new Set(repos.map(repo => `${repo.owner.login}/${repo.name}`));
+      Object.keys(lifecycleData.repositories)
+        .filter(repoKey => !monitored.has(repoKey))
+        .forEach(repoKey => delete lifecycleData.repositories[repoKey]);
+      lifecycleData.lastUpdate = allData.lastUpdate;
+      this.saveLifecycleData(lifecycleData);
+
+      if (cachedData) {
+        const { added } = this.snapshots.compare(cachedData, allData).comments;
+        if (added.length > 0) {
+          this.emit('newActionableComments', added);
         }
+      }
+
+      console.log(`✅ Data fetch complete! Found actionable comments in ${allData.repositories.length} repositories`);
+      if (incremental) {
+        console.log(`   ♻️  ${context.stats.prsFetched} PRs re-fetched, ${context.stats.prsSkipped} unchanged PRs reused from cache`);
+      }
+
+      this.fetchStatus = {
+        ...this.fetchStatus,
+        running: false,
+        phase: 'done',
+        completedAt: new Date().toISOString(),
+        ...context.stats
+      };
+      this.emit('completed', this.fetchStatus);
+      return allData;
+    } catch (error) {
+      this.fetchStatus = {
+        ...this.fetchStatus,
+        running: false,
+        phase: controller.signal.aborted ? 'cancelled' : 'failed',
+        completedAt: new Date().toISOString(),
+        error: error.message
+      };
+      this.emit('failed', this.fetchStatus);
+      throw error;
+    }
+  }
+
+  // A repository's registry settings, with the registry defaults for any field it
+  // doesn't set
+  settingsFor(repo) {
+    return { ...this.registry.getConfig().defaults, ...(repo.settings || {}) };
+  }
+
+  // Whether a PR closed at `closedAt` is still inside the closedWindowDays of `settings`
+  isWithinClosedWindow(closedAt, settings) {
+    const windowDays = settings.closedWindowDays;
+    return !windowDays || new Date(closedAt) >= new Date(Date.now() - windowDays * DAY);
+  }
+
+  // Add a repository's closed and merged PRs from its lifecycle records (which only
+  // keep those inside closedWindowDays) to its cached entry, so they stay visible with
+  // their state. They carry no actionable comments. Returns the repository entry, or
+  // null when it has no PRs to show.
+  withClosedPullRequests(repo, repoData, lifecycleData) {
+    const records = lifecycleData.repositories[`${repo.owner.login}/${repo.name}`];
+    const closed = (records ? records.pullRequests : []).filter(pr => pr.state !== 'OPEN');
+    if (closed.length === 0) return repoData;
+
+    const entry = repoData
+      ? { ...repoData, pullRequests: [...repoData.pullRequests] }
+      : { owner: repo.owner.login, name: repo.name, url: repo.url, lastPush: repo.pushedAt, pullRequests: [] };
+    const listed = new Set(entry.pullRequests.map(pr => pr.number));
+    closed
+      .filter(pr => !listed.has(pr.number))
+      .forEach(pr => entry.pullRequests.push(this.buildPullRequestEntry({
+        number: pr.number,
+        title: pr.title,
+        state: pr.state,
+        createdAt: pr.createdAt,
+        updatedAt: pr.updatedAt,
+        closedAt: pr.closedAt,
+        mergedAt: pr.mergedAt,
+        url: pr.url,
+        isDraft: pr.isDraft,
+        author: { login: pr.author, is_bot: pr.isBot }
+      }, [])));
+    return entry;
+  }
+
+  // Update one repository's PR lifecycle records (open, closed and merged PRs with
+  // review timestamps) in `lifecycleData`. Only PRs updated since the last run are
+  // listed; closed and merged PRs are kept for the repository's closedWindowDays.
+  async fetchLifecycle(repo, lifecycleData, queue) {
+    const repoKey = `${repo.owner.login}/${repo.name}`;
+    const windowDays = this.settingsFor(repo).closedWindowDays;
+    const cutoff = new Date(windowDays ? Date.now() - windowDays * DAY : 0);
+
+    const previous = lifecycleData.repositories[repoKey];
+    // Overlap the previous run by a few minutes so PRs updated mid-fetch aren't missed
+    // (no fetchedAt: records from an older format, listed again in full)
+    const lastFetched = previous && previous.fetchedAt ? new Date(new Date(previous.fetchedAt).getTime() - 5 * 60 * 1000) : null;
+    const since = lastFetched && lastFetched > cutoff ? lastFetched : cutoff;
+    const fetchedAt = new Date().toISOString();
 
-        // Only include repos with actionable PRs
-        if (repoData.pullRequests.length > 0) {
-          allData.repositories.push(repoData);
-          console.log(`  ✅ Found ${repoData.pullRequests.length} PRs with actionable comments`);
-        } else {
-          console.log(`  ℹ️  No actionable comments found`);
+    try {
+      const history = await queue.add(() => this.github.listPullRequestHistory(repo.owner.login, repo.name, {
+        since: since.toISOString()
+      }), `${repoKey} PR history`);
+
+      const byNumber = new Map((previous ? previous.pullRequests : []).map(pr => [pr.number, pr]));
+      history.forEach(pr => byNumber.set(pr.number, buildLifecycle(pr)));
+
+      lifecycleData.repositories[repoKey] = {
+        fetchedAt,
+        pullRequests: Array.from(byNumber.values())
+          .filter(pr => pr.state === 'OPEN' || new Date(pr.closedAt) >= cutoff)
+          .sort((a, b) => b.number - a.number)
+      };
+    } catch (error) {
+      // Keep the previous records; the next run lists everything since then
+      console.error(`❌ Error fetching PR history for ${repoKey}:`, error.message);
+    }
+  }
+
+  // Fetch one repository's open PRs and their actionable comments.
+  // Returns the cached repository entry, or null when nothing is actionable.
+  // Errors keep the previous entry, unless `context.strict` asks for them to be thrown.
+  async processRepository(repo, context) {
+    const { incremental, queue, previousData, previousState, fetchState, stats } = context;
+    const repoKey = `${repo.owner.login}/${repo.name}`;
+    console.log(`📊 Processing ${repoKey}...`);
+
+    const previousRepo = previousData
+      ? previousData.repositories.find(r => r.owner === repo.owner.login && r.name === repo.name)
+      : null;
+    const previousPrState = previousState && previousState.repositories[repoKey]
+      ? previousState.repositories[repoKey].pullRequests
+      : {};
+
+    try {
+      const prs = await queue.add(() => this.github.listPullRequests(repo.owner.login, repo.name, {
+        state: 'open',
+        limit: this.settingsFor(repo).prLimit
+      }), `${repoKey} pull requests`);
+
+      const repoData = {
+        owner: repo.owner.login,
+        name: repo.name,
+        url: repo.url,
+        lastPush: repo.pushedAt,
+        pullRequests: []
+      };
+      fetchState.repositories[repoKey] = { pullRequests: {} };
+
+      // Process each PR (no need to filter by date since we're only getting open PRs)
+      const entries = await Promise.all(prs.map(async pr => {
+        const previousPr = previousPrState[pr.number];
+        const cachedPr = previousRepo ? previousRepo.pullRequests.find(p => p.number === pr.number) : null;
+
+        if (incremental && previousPr && previousPr.updatedAt === pr.updatedAt) {
+          // Unchanged since last fetch - reuse the cached entry (if it had actionable comments)
+          fetchState.repositories[repoKey].pullRequests[pr.number] = previousPr;
+          stats.prsSkipped++;
+          return cachedPr && this.withCurrentTriage(repoKey, cachedPr);
         }
 
-      } catch (error) {
-        console.error(`❌ Error processing ${repo.owner.login}/${repo.name}:`, error.message);
+        stats.prsFetched++;
+
+        try {
+          const actionableComments = await queue.add(() => {
+            console.log(`  📝 Processing ${repoKey} PR #${pr.number}: ${pr.title}`);
+            return this.getActionableComments(repo.owner.login, repo.name, pr.number, pr.author.login);
+          }, `${repoKey}#${pr.number}`);
+
+          fetchState.repositories[repoKey].pullRequests[pr.number] = { updatedAt: pr.updatedAt };
+          return actionableComments.length > 0 ? this.buildPullRequestEntry({ ...pr, state: 'OPEN' }, actionableComments) : null;
+        } catch (error) {
+          // Leave the PR out of the fetch state so the next incremental run retries it
+          return cachedPr && this.withCurrentTriage(repoKey, cachedPr);
+        }
+      }));
+      entries.filter(Boolean).forEach(entry => repoData.pullRequests.push(entry));
+
+      // Only include repos with actionable PRs
+      if (repoData.pullRequests.length > 0) {
+        console.log(`  ✅ ${repoKey}: found ${repoData.pullRequests.length} PRs with actionable comments`);
+        return repoData;
       }
+      console.log(`  ℹ️  ${repoKey}: no actionable comments found`);
+      return null;
+
+    } catch (error) {
+      console.error(`❌ Error processing ${repoKey}:`, error.message);
+      if (context.strict) throw error;
+
+      // Keep what we had rather than dropping the repository on a transient failure
+      if (previousRepo) {
+        fetchState.repositories[repoKey] = previousState.repositories[repoKey] || { pullRequests: {} };
+        return previousRepo;
+      }
+      return null;
     }
+  }
+
+  // Record the PR dataset as a snapshot, and write it out as the current data and summary
+  saveData(allData, extraInfo = {}) {
+    const snapshot = this.snapshots.record(allData, extraInfo);
 
-    // Save data to file
-    fs.writeFileSync(this.prDataFile, JSON.stringify(allData, null, 2));
-    fs.writeFileSync(this.lastUpdateFile, JSON.stringify({
+    this.writeJsonFile(this.prDataFile, allData);
+    this.writeJsonFile(this.lastUpdateFile, {
       lastUpdate: allData.lastUpdate,
       repositoryCount: allData.repositories.length,
-      totalPRs: allData.repositories.reduce((sum, repo) => sum + repo.pullRequests.length, 0),
-      totalActionableComments: allData.repositories.reduce((sum, repo) =>
-        sum + repo.pullRequests.reduce((prSum, pr) => prSum + pr.actionableCount, 0), 0)
-    }, null, 2));
+      totalPRs: snapshot.totalPRs,
+      totalActionableComments: snapshot.totalActionableComments,
+      snapshotId: snapshot.id,
+      ...extraInfo
+    });
+  }
+
+  // Apply an in-place change to the cached dataset and save it. Only fetches are
+  // recorded as snapshots; changes between fetches just update the current data.
+  // The whole read-modify-write is synchronous, so concurrent updates can't interleave.
+  // Returns whatever `update` returns.
+  updateCachedData(update) {
+    const data = this.loadCachedData() || { lastUpdate: null, repositories: [] };
+    const result = update(data);
+
+    this.writeJsonFile(this.prDataFile, data);
+    this.writeJsonFile(this.lastUpdateFile, {
+      ...(this.getLastUpdateInfo() || {}),
+      repositoryCount: data.repositories.length,
+      totalPRs: data.repositories.reduce((sum, repo) => sum + repo.pullRequests.length, 0),
+      totalActionableComments: data.repositories.reduce((sum, repo) =>
+        sum + repo.pullRequests.reduce((prSum, pr) => prSum + pr.actionableCount, 0), 0),
+      lastChange: new Date().toISOString()
+    });
+    return result;
+  }
+
+  // Write-then-rename so the server never reads a half-written file
+  writeJsonFile(file, data) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  // Load per-PR updatedAt markers from the previous fetch
+  loadFetchState() {
+    try {
+      if (fs.existsSync(this.fetchStateFile)) {
+        return JSON.parse(fs.readFileSync(this.fetchStateFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading fetch state:', error.message);
+    }
+    return { lastUpdate: null, repositories: {} };
+  }
 
-    console.log(`✅ Data fetch complete! Found actionable comments in ${allData.repositories.length} repositories`);
-    return allData;
+  // Save per-PR updatedAt markers for the next incremental fetch
+  saveFetchState(fetchState) {
+    fs.writeFileSync(this.fetchStateFile, JSON.stringify(fetchState, null, 2));
   }
 
-  // Load cached data
-  loadCachedData() {
+  // Load PR lifecycle records (open, closed and merged PRs) per repository. Records
+  // from an older format version are kept for metrics until the next fetch, but lose
+  // their fetchedAt so that fetch lists each repository's history in full.
+  loadLifecycleData() {
+    try {
+      if (fs.existsSync(this.lifecycleFile)) {
+        const lifecycleData = JSON.parse(fs.readFileSync(this.lifecycleFile, 'utf8'));
+        if ((lifecycleData.version || 1) < LIFECYCLE_FORMAT_VERSION) {
+          Object.values(lifecycleData.repositories || {}).forEach(repoData => { repoData.fetchedAt = null; });
+        }
+        return { ...lifecycleData, version: LIFECYCLE_FORMAT_VERSION };
+      }
+    } catch (error) {
+      console.error('Error loading PR lifecycle data:', error.message);
+    }
+    return { version: LIFECYCLE_FORMAT_VERSION, lastUpdate: null, repositories: {} };
+  }
+
+  saveLifecycleData(lifecycleData) {
+    this.writeJsonFile(this.lifecycleFile, { ...lifecycleData, version: LIFECYCLE_FORMAT_VERSION });
+  }
+
+  // Load cached data - the current dataset, or the one from a given snapshot
+  // (`at` may be a snapshot id, "latest" or an ISO timestamp)
+  loadCachedData(at = null) {
+    if (at) {
+      const snapshot = this.snapshots.resolve(at);
+      return snapshot ? snapshot.data : null;
+    }
+
     try {
       if (fs.existsSync(this.prDataFile)) {
         return JSON.parse(fs.readFileSync(this.prDataFile, 'utf8'));
@@ -363,10 +839,10 @@ class GitHubDataFetcher {
     console.log('🚀 Starting GitHub PR Data Fetcher');
     console.log(`📅 Office hours: ${this.officeHours.startHour}:00 - ${this.officeHours.endHour}:00, Mon-Fri`);
 
-    // Run immediately if in office hours
+    // Run immediately if in office hours (incremental - unchanged PRs come from the last snapshot)
     if (this.isOfficeHours()) {
       console.log('⏰ Currently in office hours, running initial fetch...');
-      this.fetchAllData().catch(error => {
+      this.fetchAllData({ incremental: true }).catch(error => {
         console.error('❌ Error in initial fetch:', error.message);
       });
     } else {
@@ -377,16 +853,23 @@ class GitHubDataFetcher {
     setInterval(() => {
       const now = new Date();
 
-      // Only run every 3 hours during office hours
-      if (this.isOfficeHours() && now.getHours() % 3 === 0 && now.getMinutes() === 0) {
-        console.log('⏰ Time for scheduled data fetch...');
+      if (!this.isOfficeHours()) return;
+
+      // Full fetch every few hours, cheap incremental fetches in between
+      if (now.getHours() % this.schedule.fullEveryHours === 0 && now.getMinutes() === 0) {
+        console.log('⏰ Time for scheduled full data fetch...');
         this.fetchAllData().catch(error => {
           console.error('❌ Error in scheduled fetch:', error.message);
         });
+      } else if (now.getMinutes() % this.schedule.incrementalEveryMinutes === 0) {
+        console.log('⏰ Time for scheduled incremental data fetch...');
+        this.fetchAllData({ incremental: true }).catch(error => {
+          console.error('❌ Error in scheduled incremental fetch:', error.message);
+        });
       }
     }, 60 * 1000); // Check every minute
 
-    console.log('✅ Scheduler started. Data will be fetched every 3 hours during office hours.');
+    console.log(`✅ Scheduler started. Full fetch every ${this.schedule.fullEveryHours} hours, incremental every ${this.schedule.incrementalEveryMinutes} minutes during office hours.`);
   }
 }
 
@@ -401,8 +884,9 @@ if (require.main === module) {
   const args = process.argv.slice(2);
 
   if (args.includes('--fetch-now')) {
-    console.log('🔄 Running immediate data fetch...');
-    fetcher.fetchAllData().then(() => {
+    const incremental = args.includes('--incremental');
+    console.log(`🔄 Running immediate ${incremental ? 'incremental' : 'full'} data fetch...`);
+    fetcher.fetchAllData({ incremental }).then(() => {
       console.log('✅ Fetch complete!');
       process.exit(0);
     }).catch(error => {
@@ -0,0 +1,93 @@
+/**
+ * Event Stream
+ * Server-Sent Events broadcaster. Browsers subscribe once with EventSource and
+ * receive typed events (fetch progress, PR updates, new comments, analysis
+ * runs) as they happen. Recent events are buffered so a reconnecting client
+ * can catch up from its Last-Event-ID.
+ */
+
+// Every event type the servers publish - keep the PR tool's listeners and the
+// README's /api/events entry in step with this list
+const EVENT_TYPES = [
+  'fetch.started', 'fetch.progress', 'fetch.completed', 'fetch.failed',
+  'pr.updated', 'repo.updated', 'comments.new', 'comment.triaged',
+  'thread.updated', 'review.submitted', 'job.updated',
+  'analysis.started', 'analysis.completed', 'analysis.failed'
+];
+
+class EventStream {
+  constructor({ bufferSize = 100, heartbeatInterval = 25000 } = {}) {
+    this.clients = new Set();
+    this.buffer = [];
+    this.bufferSize = bufferSize;
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimer = null;
+    this.nextId = 1;
+  }
+
+  // Attach an HTTP request as an SSE subscriber
+  connect(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+    });
+    res.write('retry: 5000\n\n');
+
+    // Replay anything the client missed while reconnecting
+    const lastEventId = parseInt(req.get('Last-Event-ID'));
+    if (lastEventId) {
+      this.buffer.filter(event => event.id > lastEventId).forEach(event => this.write(res, event));
+    }
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  // Send a typed event to every subscriber
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}" - add it to EVENT_TYPES`);
+    }
+    const event = { id: this.nextId++, type, data: { ...data, timestamp: new Date().toISOString() } };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach(res => this.write(res, event));
+    return event;
+  }
+
+  write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  // Comment lines keep proxies from closing idle connections
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => res.write(': heartbeat\n\n'));
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+module.exports = EventStream;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,140 @@
+/**
+ * Fetch Queue
+ * Async work queue with bounded concurrency for GitHub requests.
+ * Pauses before the rate limit runs out, and backs off and retries tasks
+ * that hit a primary or secondary rate limit (403/429).
+ */
+
+const EventEmitter = require('events');
+const { isRateLimitError, getRetryDelay } = require('./github-client');
+
+class FetchQueue extends EventEmitter {
+  constructor({ client = null, concurrency = 4, maxRetries = 3, minRemaining = 50 } = {}) {
+    super();
+    this.client = client;
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.minRemaining = minRemaining; // pause when fewer requests than this are left in any bucket
+
+    this.pending = [];
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+    this.closedError = null; // set by clear(); new tasks are rejected with it
+    this.stats = { total: 0, completed: 0, failed: 0, retried: 0 };
+  }
+
+  // Queue a task (an async function) and get a promise for its result
+  add(task, label = '') {
+    if (this.closedError) {
+      return Promise.reject(this.closedError);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, label, resolve, reject, attempts: 0 });
+      this.stats.total++;
+      this.emitProgress();
+      this.next();
+    });
+  }
+
+  // Current queue state, suitable for progress reporting
+  getProgress() {
+    return {
+      ...this.stats,
+      active: this.active,
+      pending: this.pending.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      rateLimits: this.client ? this.client.rateLimits : {}
+    };
+  }
+
+  emitProgress() {
+    this.emit('progress', this.getProgress());
+  }
+
+  // Stop starting new tasks for `delay` ms (running tasks are left to finish)
+  pause(delay, reason) {
+    const until = Date.now() + delay;
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    console.log(`⏸️  Fetch queue paused for ${Math.ceil(delay / 1000)}s: ${reason}`);
+    this.emit('paused', { until: new Date(until).toISOString(), reason });
+
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.next();
+    }, delay);
+  }
+
+  // Pause ahead of time if any rate-limit bucket is nearly exhausted
+  checkRateLimits() {
+    if (!this.client) return false;
+
+    for (const [resource, limit] of Object.entries(this.client.rateLimits)) {
+      if (limit.remaining < this.minRemaining && limit.reset > Date.now()) {
+        this.pause(limit.reset - Date.now() + 1000, `${resource} rate limit low (${limit.remaining} left)`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Drop every task that hasn't started yet and refuse new ones, rejecting them with `error`
+  clear(error) {
+    this.closedError = error;
+    clearTimeout(this.resumeTimer);
+    const dropped = this.pending.splice(0);
+    this.stats.failed += dropped.length;
+    dropped.forEach(item => item.reject(error));
+    this.emitProgress();
+
+    if (this.active === 0 && dropped.length > 0) {
+      this.emit('idle');
+    }
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      if (Date.now() < this.pausedUntil || this.checkRateLimits()) return;
+
+      const item = this.pending.shift();
+      this.run(item);
+    }
+  }
+
+  async run(item) {
+    this.active++;
+    this.emitProgress();
+
+    try {
+      const result = await item.task();
+      this.stats.completed++;
+      item.resolve(result);
+    } catch (error) {
+      if (isRateLimitError(error) && item.attempts < this.maxRetries) {
+        // Put the task back at the front and hold the whole queue until GitHub lets us continue
+        const delay = getRetryDelay(error, item.attempts);
+        item.attempts++;
+        this.stats.retried++;
+        this.pending.unshift(item);
+        this.pause(delay, `rate limited${item.label ? ` on ${item.label}` : ''}`);
+      } else {
+        this.stats.failed++;
+        item.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.emitProgress();
+      this.next();
+
+      if (this.active === 0 && this.pending.length === 0) {
+        this.emit('idle');
+      }
+    }
+  }
+}
+
+module.exports = FetchQueue;
@@ -0,0 +1,904 @@
+/**
+ * GitHub Client
+ * Single entry point for every GitHub call made by the server, the data fetcher
+ * and the analysis runner. Requests go through an interchangeable backend:
+ *   - rest:   direct REST/GraphQL over HTTPS using GITHUB_TOKEN
+ *   - gh:     the GitHub CLI (`gh api`), using whatever auth gh already has
+ *   - replay: recorded JSON fixtures, no network or gh required
+ * Set GITHUB_RECORD_FIXTURES=true to record live responses for later replay.
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'github');
+const REQUEST_TIMEOUT = 60000;
+const ETAG_CACHE_SIZE = 2000;
+
+// Error raised for any failed GitHub request, whatever the backend
+class GitHubApiError extends Error {
+  constructor(message, { status = null, headers = {}, data = null } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.headers = headers;
+    this.data = data;
+  }
+}
+
+// Whether an error is GitHub asking us to slow down (primary or secondary rate limit)
+function isRateLimitError(error) {
+  if (!(error instanceof GitHubApiError)) return false;
+  if (error.status === 429) return true;
+
+  const graphqlErrors = error.data && Array.isArray(error.data.errors) ? error.data.errors : [];
+  if (graphqlErrors.some(e => e.type === 'RATE_LIMITED')) return true;
+
+  if (error.status !== 403) return false;
+  const message = error.data && error.data.message ? error.data.message.toLowerCase() : '';
+  return error.headers['retry-after'] !== undefined ||
+    error.headers['x-ratelimit-remaining'] === '0' ||
+    message.includes('rate limit');
+}
+
+// How long to wait before retrying a rate-limited request, following GitHub's guidance:
+// honour retry-after, else wait for the primary limit reset, else back off exponentially from one minute
+function getRetryDelay(error, attempt = 0) {
+  const headers = error.headers || {};
+  if (headers['retry-after']) {
+    return parseInt(headers['retry-after']) * 1000;
+  }
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+  }
+  return 60000 * Math.pow(2, attempt);
+}
+
+// Lower-case header names so every backend exposes them the same way
+function normalizeHeaders(headers) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    normalized[name.toLowerCase()] = value;
+  }
+  return normalized;
+}
+
+// Parse a response body as JSON when it looks like JSON, otherwise keep the text
+function parseBody(text, contentType = '') {
+  if (!text) return null;
+  if (contentType.includes('json') || /^\s*[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+// Direct REST/GraphQL backend using a personal access or app token
+class RestBackend {
+  constructor({ token, apiUrl = DEFAULT_API_URL } = {}) {
+    if (!token) {
+      throw new Error('RestBackend requires a GitHub token (set GITHUB_TOKEN)');
+    }
+    this.name = 'rest';
+    this.token = token;
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+  }
+
+  async request({ method = 'GET', path: requestPath, body, headers = {} }) {
+    const url = /^https?:\/\//.test(requestPath)
+      ? requestPath
+      : `${this.apiUrl}/${requestPath.replace(/^\//, '')}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${this.token}`,
+          'User-Agent': 'github-pr-comment-tool',
+          'X-GitHub-Api-Version': '2022-11-28',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+    } catch (error) {
+      throw new GitHubApiError(`GitHub request failed: ${method} ${requestPath}: ${error.message}`);
+    }
+
+    const responseHeaders = normalizeHeaders(Object.fromEntries(response.headers.entries()));
+    const data = parseBody(await response.text(), responseHeaders['content-type']);
+    return { status: response.status, headers: responseHeaders, data };
+  }
+}
+
+// GitHub CLI backend - shells out to `gh api` without going through a shell
+class GhCliBackend {
+  constructor({ ghPath = 'gh' } = {}) {
+    this.name = 'gh';
+    this.ghPath = ghPath;
+  }
+
+  async request({ method = 'GET', path: requestPath, body, headers = {} }) {
+    const args = ['api', '--include', '--method', method, requestPath.replace(/^\//, '')];
+    for (const [name, value] of Object.entries(headers)) {
+      args.push('--header', `${name}: ${value}`);
+    }
+    if (body !== undefined) {
+      args.push('--input', '-');
+    }
+
+    const output = await new Promise((resolve, reject) => {
+      const child = execFile(this.ghPath, args, {
+        encoding: 'utf8',
+        timeout: REQUEST_TIMEOUT,
+        maxBuffer: 50 * 1024 * 1024 // 50MB buffer
+      }, (error, stdout, stderr) => {
+        // gh exits non-zero on HTTP errors but still prints the response with --include
+        if (error && !stdout) {
+          reject(new GitHubApiError(`GitHub CLI error: ${(stderr || error.message).trim()}`));
+          return;
+        }
+        resolve(stdout);
+      });
+      if (body !== undefined) {
+        child.stdin.end(JSON.stringify(body));
+      }
+    });
+
+    return this.parseIncludedResponse(output);
+  }
+
+  // Split `gh api --include` output into status line, headers and body
+  parseIncludedResponse(output) {
+    const separator = output.match(/\r?\n\r?\n/);
+    const head = separator ? output.slice(0, separator.index) : output;
+    const text = separator ? output.slice(separator.index + separator[0].length) : '';
+
+    const [statusLine, ...headerLines] = head.split(/\r?\n/);
+    const statusMatch = statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+    const headers = {};
+    headerLines.forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+
+    return {
+      status: statusMatch ? parseInt(statusMatch[1]) : 200,
+      headers,
+      data: parseBody(text, headers['content-type'])
+    };
+  }
+}
+
+// Build a stable, readable fixture filename for a request
+function fixtureName({ method = 'GET', path: requestPath, body }) {
+  const readable = `${method.toLowerCase()}-${requestPath.replace(/^\//, '')}`
+    .replace(/[^a-zA-Z0-9._-]+/g, '_')
+    .substring(0, 120);
+  if (body === undefined) return `${readable}.json`;
+
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex').substring(0, 12);
+  return `${readable}-${hash}.json`;
+}
+
+// Replay backend - serves responses previously recorded by RecordingBackend
+class ReplayBackend {
+  constructor({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    this.name = 'replay';
+    this.fixturesDir = fixturesDir;
+  }
+
+  async request(request) {
+    const fixturePath = path.join(this.fixturesDir, fixtureName(request));
+    if (!fs.existsSync(fixturePath)) {
+      throw new GitHubApiError(
+        `No recorded fixture for ${request.method || 'GET'} ${request.path} (expected ${fixturePath})`,
+        { status: 404 }
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return {
+      status: fixture.response.status,
+      headers: normalizeHeaders(fixture.response.headers),
+      data: fixture.response.data
+    };
+  }
+}
+
+// Recording wrapper - passes requests through and saves each response as a fixture
+class RecordingBackend {
+  constructor(backend, { fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    this.name = `${backend.name}+record`;
+    this.backend = backend;
+    this.fixturesDir = fixturesDir;
+  }
+
+  async request(request) {
+    const response = await this.backend.request(request);
+
+    // A 304 only makes sense against the client's ETag cache, keep the full response on disk
+    if (response.status === 304) return response;
+
+    try {
+      if (!fs.existsSync(this.fixturesDir)) {
+        fs.mkdirSync(this.fixturesDir, { recursive: true });
+      }
+      const fixture = {
+        request: { method: request.method || 'GET', path: request.path, body: request.body },
+        response,
+        recordedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(path.join(this.fixturesDir, fixtureName(request)), JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      console.error('Error recording GitHub fixture:', error.message);
+    }
+
+    return response;
+  }
+}
+
+const PR_STATES = {
+  open: ['OPEN'],
+  closed: ['CLOSED', 'MERGED'],
+  merged: ['MERGED'],
+  all: ['OPEN', 'CLOSED', 'MERGED']
+};
+
+// Who a review was requested from: a user (or bot) login, or a team
+const REVIEWER_FRAGMENT = `
+  fragment Reviewer on RequestedReviewer {
+    __typename
+    ... on User { login }
+    ... on Bot { login }
+    ... on Mannequin { login }
+    ... on Team { combinedSlug }
+  }
+`;
+
+const LIST_PULL_REQUESTS_QUERY = `
+  query($owner: String!, $name: String!, $states: [PullRequestState!], $first: Int!, $after: String, $includeFiles: Boolean!) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(states: $states, first: $first, after: $after, orderBy: { field: CREATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          createdAt
+          updatedAt
+          url
+          reviewDecision
+          isDraft
+          author { login __typename }
+          labels(first: 50) { nodes { name } }
+          assignees(first: 20) { nodes { login } }
+          reviewRequests(first: 50) { nodes { requestedReviewer { ...Reviewer } } }
+          files(first: 100) @include(if: $includeFiles) { nodes { path additions deletions } }
+        }
+      }
+    }
+  }
+${REVIEWER_FRAGMENT}`;
+
+const PULL_REQUEST_HISTORY_QUERY = `
+  query($owner: String!, $name: String!, $first: Int!, $after: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          state
+          isDraft
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          author { login __typename }
+          reviews(first: 100) { nodes { state submittedAt author { login __typename } } }
+          reviewRequests(first: 50) { nodes { requestedReviewer { ...Reviewer } } }
+          timelineItems(last: 100, itemTypes: [REVIEW_REQUESTED_EVENT, REVIEW_REQUEST_REMOVED_EVENT]) {
+            nodes {
+              __typename
+              ... on ReviewRequestedEvent { createdAt requestedReviewer { ...Reviewer } }
+              ... on ReviewRequestRemovedEvent { createdAt requestedReviewer { ...Reviewer } }
+            }
+          }
+        }
+      }
+    }
+  }
+${REVIEWER_FRAGMENT}`;
+
+const PULL_REQUEST_DETAILS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        nodeId: id
+        number
+        title
+        body
+        state
+        createdAt
+        updatedAt
+        closedAt
+        mergedAt
+        url
+        reviewDecision
+        isDraft
+        author { login __typename }
+        labels(first: 50) { nodes { name } }
+        assignees(first: 20) { nodes { login } }
+        reviewRequests(first: 50) { nodes { requestedReviewer { ...Reviewer } } }
+        files(first: 100) { nodes { path additions deletions } }
+        comments(first: 100) {
+          nodes { databaseId body createdAt updatedAt url author { login __typename } }
+        }
+      }
+    }
+  }
+${REVIEWER_FRAGMENT}`;
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $after: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            path
+            line
+            resolvedBy { login }
+            comments(first: 100) { nodes { databaseId } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Resolve or unresolve a review thread by its node id
+const RESOLVE_THREAD_MUTATION = `
+  mutation($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) {
+      thread { id isResolved isOutdated resolvedBy { login } }
+    }
+  }
+`;
+
+const UNRESOLVE_THREAD_MUTATION = `
+  mutation($threadId: ID!) {
+    unresolveReviewThread(input: { threadId: $threadId }) {
+      thread { id isResolved isOutdated resolvedBy { login } }
+    }
+  }
+`;
+
+// Turn a pull request into a draft, or mark a draft ready for review
+const CONVERT_TO_DRAFT_MUTATION = `
+  mutation($pullRequestId: ID!) {
+    convertPullRequestToDraft(input: { pullRequestId: $pullRequestId }) {
+      pullRequest { isDraft }
+    }
+  }
+`;
+
+const MARK_READY_MUTATION = `
+  mutation($pullRequestId: ID!) {
+    markPullRequestReadyForReview(input: { pullRequestId: $pullRequestId }) {
+      pullRequest { isDraft }
+    }
+  }
+`;
+
+// Reactions GitHub accepts on comments
+const REACTIONS = ['+1', '-1', 'laugh', 'confused', 'heart', 'hooray', 'rocket', 'eyes'];
+
+// Map a GraphQL actor to the `{ login, is_bot }` shape the rest of the tool uses
+function toAuthor(actor) {
+  if (!actor) return { login: 'ghost', is_bot: false };
+  return { login: actor.login, is_bot: actor.__typename === 'Bot' };
+}
+
+// Requested reviewer (user or team) from a review request, or null if it's been deleted
+function toReviewer(reviewer) {
+  if (!reviewer) return null;
+  return reviewer.__typename === 'Team'
+    ? { login: reviewer.combinedSlug, is_team: true }
+    : { login: reviewer.login, is_team: false };
+}
+
+// Labels, assignees and requested reviewers (team reviewers as "org/team") of a
+// GraphQL pull request node
+function toHousekeeping(node) {
+  return {
+    labels: node.labels ? node.labels.nodes.map(label => label.name) : [],
+    assignees: node.assignees ? node.assignees.nodes.map(assignee => assignee.login) : [],
+    requestedReviewers: node.reviewRequests
+      ? node.reviewRequests.nodes.map(request => toReviewer(request.requestedReviewer)).filter(Boolean).map(reviewer => reviewer.login)
+      : []
+  };
+}
+
+// Review comment anchor in the shape the pulls API expects (single-line comments
+// leave out the start)
+function toReviewCommentAnchor({ path: filePath, line, side = 'RIGHT', startLine = null, startSide = null }) {
+  const anchor = { path: filePath, line, side };
+  if (startLine) {
+    anchor.start_line = startLine;
+    anchor.start_side = startSide || side;
+  }
+  return anchor;
+}
+
+class GitHubClient {
+  constructor({ backend } = {}) {
+    this.backend = backend || createBackendFromEnv();
+
+    // GET responses keyed by path, revalidated with If-None-Match (304s are free against the rate limit)
+    this.etagCache = new Map();
+
+    // Latest rate-limit headers seen per resource (core, graphql, search, ...)
+    this.rateLimits = {};
+  }
+
+  // Record x-ratelimit-* headers so callers can slow down before hitting the limit
+  updateRateLimit(headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    this.rateLimits[resource] = {
+      limit: parseInt(headers['x-ratelimit-limit']),
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      used: parseInt(headers['x-ratelimit-used']),
+      reset: parseInt(headers['x-ratelimit-reset']) * 1000
+    };
+  }
+
+  // Make a single request and throw GitHubApiError on non-2xx responses
+  async request(method, requestPath, { body, headers = {} } = {}) {
+    const cacheKey = method === 'GET' ? `${headers.Accept || ''} ${requestPath}` : null;
+    const cached = cacheKey ? this.etagCache.get(cacheKey) : null;
+    const requestHeaders = cached ? { ...headers, 'If-None-Match': cached.headers.etag } : headers;
+
+    const response = await this.backend.request({ method, path: requestPath, body, headers: requestHeaders });
+    this.updateRateLimit(response.headers);
+
+    if (response.status === 304 && cached) {
+      return { ...cached, notModified: true };
+    }
+
+    if (cacheKey && response.status === 200 && response.headers.etag) {
+      this.etagCache.delete(cacheKey);
+      this.etagCache.set(cacheKey, response);
+      if (this.etagCache.size > ETAG_CACHE_SIZE) {
+        this.etagCache.delete(this.etagCache.keys().next().value);
+      }
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      const detail = response.data && response.data.message ? response.data.message : `HTTP ${response.status}`;
+      throw new GitHubApiError(`GitHub API error: ${method} ${requestPath}: ${detail}`, response);
+    }
+
+    return response;
+  }
+
+  // GET a single resource and return its body
+  async get(requestPath, options) {
+    return (await this.request('GET', requestPath, options)).data;
+  }
+
+  // GET every page of a list endpoint by following the Link header
+  async paginate(requestPath, { perPage = 100, headers } = {}) {
+    const results = [];
+    const separator = requestPath.includes('?') ? '&' : '?';
+    let page = 1;
+
+    while (true) {
+      const response = await this.request('GET', `${requestPath}${separator}per_page=${perPage}&page=${page}`, { headers });
+      if (Array.isArray(response.data)) {
+        results.push(...response.data);
+      }
+
+      const link = response.headers.link || '';
+      if (!/rel="next"/.test(link)) break;
+      page++;
+    }
+
+    return results;
+  }
+
+  // Run a GraphQL query and return its `data`, throwing on GraphQL errors
+  async graphql(query, variables = {}) {
+    const response = await this.request('POST', 'graphql', { body: { query, variables } });
+    if (response.data && response.data.errors && response.data.errors.length > 0) {
+      throw new GitHubApiError(`GitHub GraphQL error: ${response.data.errors.map(e => e.message).join('; ')}`, response);
+    }
+    return response.data.data;
+  }
+
+  // Repository summary in the same shape as `gh repo view --json`
+  async getRepository(owner, repo) {
+    const data = await this.get(`repos/${owner}/${repo}`);
+    return {
+      name: data.name,
+      owner: { login: data.owner.login },
+      url: data.html_url,
+      updatedAt: data.updated_at,
+      pushedAt: data.pushed_at
+    };
+  }
+
+  // All repositories in an organization, same shape as getRepository
+  async listOrgRepositories(org, { limit = 100 } = {}) {
+    const repos = await this.paginate(`orgs/${org}/repos?sort=pushed`);
+    return repos.slice(0, limit).map(data => ({
+      name: data.name,
+      owner: { login: data.owner.login },
+      url: data.html_url,
+      updatedAt: data.updated_at,
+      pushedAt: data.pushed_at
+    }));
+  }
+
+  // Pull requests in the same shape as `gh pr list --json`
+  async listPullRequests(owner, repo, { state = 'open', limit = 100, includeFiles = false } = {}) {
+    const pullRequests = [];
+    let after = null;
+
+    while (pullRequests.length < limit) {
+      const data = await this.graphql(LIST_PULL_REQUESTS_QUERY, {
+        owner,
+        name: repo,
+        states: PR_STATES[state] || PR_STATES.open,
+        first: Math.min(100, limit - pullRequests.length),
+        after,
+        includeFiles
+      });
+
+      const connection = data.repository.pullRequests;
+      connection.nodes.forEach(node => {
+        const { reviewRequests, ...fields } = node;
+        pullRequests.push({
+          ...fields,
+          author: toAuthor(node.author),
+          ...toHousekeeping(node),
+          ...(includeFiles ? { files: node.files ? node.files.nodes : [] } : {})
+        });
+      });
+
+      if (!connection.pageInfo.hasNextPage) break;
+      after = connection.pageInfo.endCursor;
+    }
+
+    return pullRequests;
+  }
+
+  // PRs in every state with lifecycle timestamps, submitted reviews and review requests,
+  // most recently updated first, stopping at the first PR not updated since `since`
+  async listPullRequestHistory(owner, repo, { since = null, limit = 500 } = {}) {
+    const pullRequests = [];
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    let after = null;
+
+    while (pullRequests.length < limit) {
+      const data = await this.graphql(PULL_REQUEST_HISTORY_QUERY, {
+        owner,
+        name: repo,
+        first: Math.min(50, limit - pullRequests.length),
+        after
+      });
+
+      const connection = data.repository.pullRequests;
+      for (const node of connection.nodes) {
+        if (new Date(node.updatedAt).getTime() < sinceTime) {
+          return pullRequests;
+        }
+        pullRequests.push({
+          ...node,
+          author: toAuthor(node.author),
+          reviews: node.reviews.nodes.map(review => ({ ...review, author: toAuthor(review.author) })),
+          // Reviewers whose request is still pending, and when requests were made or withdrawn
+          reviewRequests: node.reviewRequests.nodes.map(request => toReviewer(request.requestedReviewer)).filter(Boolean),
+          reviewRequestEvents: node.timelineItems.nodes
+            .map(event => ({
+              action: event.__typename === 'ReviewRequestedEvent' ? 'requested' : 'removed',
+              reviewer: toReviewer(event.requestedReviewer),
+              createdAt: event.createdAt
+            }))
+            .filter(event => event.reviewer)
+        });
+      }
+
+      if (!connection.pageInfo.hasNextPage) break;
+      after = connection.pageInfo.endCursor;
+    }
+
+    return pullRequests;
+  }
+
+  // Raw REST pull request object
+  async getPullRequest(owner, repo, number) {
+    return this.get(`repos/${owner}/${repo}/pulls/${number}`);
+  }
+
+  // Pull request with files and general comments, same shape as `gh pr view --json`
+  async getPullRequestDetails(owner, repo, number) {
+    const data = await this.graphql(PULL_REQUEST_DETAILS_QUERY, { owner, name: repo, number: parseInt(number) });
+    const pr = data.repository.pullRequest;
+    const { reviewRequests, ...fields } = pr;
+    return {
+      ...fields,
+      author: toAuthor(pr.author),
+      ...toHousekeeping(pr),
+      files: pr.files ? pr.files.nodes : [],
+      comments: pr.comments.nodes.map(comment => ({
+        id: comment.databaseId,
+        author: toAuthor(comment.author),
+        body: comment.body,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+        url: comment.url
+      }))
+    };
+  }
+
+  // Review threads with their resolved/outdated state and the ids of their comments
+  async listReviewThreads(owner, repo, number) {
+    const threads = [];
+    let after = null;
+
+    do {
+      const data = await this.graphql(REVIEW_THREADS_QUERY, { owner, name: repo, number: parseInt(number), after });
+      const connection = data.repository.pullRequest.reviewThreads;
+      connection.nodes.forEach(thread => {
+        threads.push({
+          id: thread.id,
+          isResolved: thread.isResolved,
+          isOutdated: thread.isOutdated,
+          path: thread.path,
+          line: thread.line,
+          resolvedBy: thread.resolvedBy ? thread.resolvedBy.login : null,
+          commentIds: thread.comments.nodes.map(comment => comment.databaseId)
+        });
+      });
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
+
+    return threads;
+  }
+
+  // Line-specific review comments (raw REST objects)
+  async listReviewComments(owner, repo, number) {
+    return this.paginate(`repos/${owner}/${repo}/pulls/${number}/comments`);
+  }
+
+  // General PR conversation comments (raw REST objects)
+  async listIssueComments(owner, repo, number) {
+    return this.paginate(`repos/${owner}/${repo}/issues/${number}/comments`);
+  }
+
+  // One review comment or general comment (raw REST object, including its reaction counts)
+  async getComment(owner, repo, commentType, commentId) {
+    const collection = commentType === 'review_comment' ? 'pulls/comments' : 'issues/comments';
+    return this.get(`repos/${owner}/${repo}/${collection}/${commentId}`);
+  }
+
+  // Submitted reviews (raw REST objects)
+  async listReviews(owner, repo, number) {
+    return this.paginate(`repos/${owner}/${repo}/pulls/${number}/reviews`);
+  }
+
+  // Unified diff for a pull request as plain text
+  async getPullRequestDiff(owner, repo, number) {
+    return this.get(`repos/${owner}/${repo}/pulls/${number}`, {
+      headers: { Accept: 'application/vnd.github.v3.diff' }
+    });
+  }
+
+  // Text content of a file at a commit, or null if the file doesn't exist there.
+  // Uses the base64 contents response so JSON files come back verbatim (up to 1 MB).
+  async getFileContent(owner, repo, filePath, ref) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    let data;
+    try {
+      data = await this.get(`repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+
+    if (data.encoding !== 'base64') {
+      throw new Error(`${filePath} is too large to fetch through the contents API`);
+    }
+    return Buffer.from(data.content, 'base64').toString('utf8');
+  }
+
+  // Login and name of the user the client is authenticated as
+  async getAuthenticatedUser() {
+    const data = await this.get('user');
+    return { login: data.login, name: data.name || null };
+  }
+
+  // Pull requests matching a search query (GitHub search syntax, "is:pr" is added),
+  // most recently updated first. Search returns at most 1000 results.
+  async searchPullRequests(query, { limit = 100 } = {}) {
+    const q = encodeURIComponent(`is:pr ${query}`);
+    // One page size throughout, so `page` keeps pointing at the right offset
+    const perPage = Math.min(100, limit);
+    const pullRequests = [];
+    let page = 1;
+
+    while (pullRequests.length < limit) {
+      const data = await this.get(`search/issues?q=${q}&sort=updated&order=desc&per_page=${perPage}&page=${page}`);
+      data.items.slice(0, limit - pullRequests.length).forEach(item => {
+        pullRequests.push({
+          repository: item.repository_url.split('/').slice(-2).join('/'),
+          number: item.number,
+          title: item.title,
+          url: item.html_url,
+          author: { login: item.user.login, is_bot: item.user.type === 'Bot' },
+          isDraft: Boolean(item.draft),
+          createdAt: item.created_at,
+          updatedAt: item.updated_at
+        });
+      });
+
+      if (data.items.length < perPage || page * perPage >= 1000) break;
+      page++;
+    }
+
+    return pullRequests;
+  }
+
+  // Send a write, or with `dryRun` just return the request that would be sent
+  async write(method, requestPath, body, { dryRun = false } = {}) {
+    if (dryRun) {
+      return { dryRun: true, method, path: requestPath, body };
+    }
+    return (await this.request(method, requestPath, { body })).data;
+  }
+
+  // Post a general comment on a pull request
+  async createIssueComment(owner, repo, number, body, options) {
+    return this.write('POST', `repos/${owner}/${repo}/issues/${number}/comments`, { body }, options);
+  }
+
+  // Post a review comment anchored to a line or range of the diff ({ path, line,
+  // side, startLine, startSide }), or to the whole file when there's no line
+  async createReviewComment(owner, repo, number, { body, commitId, path: filePath, line, side, startLine, startSide }, options) {
+    const payload = line
+      ? { body, commit_id: commitId, ...toReviewCommentAnchor({ path: filePath, line, side, startLine, startSide }) }
+      : { body, commit_id: commitId, path: filePath, subject_type: 'file' };
+    return this.write('POST', `repos/${owner}/${repo}/pulls/${number}/comments`, payload, options);
+  }
+
+  // Reply in the thread of a review comment (`commentId` is the thread's first comment)
+  async replyToReviewComment(owner, repo, number, commentId, body, options) {
+    return this.write('POST', `repos/${owner}/${repo}/pulls/${number}/comments/${commentId}/replies`, { body }, options);
+  }
+
+  // Resolve or unresolve a review thread; returns its new state in listReviewThreads' shape
+  async setReviewThreadResolved(threadId, resolved) {
+    const data = await this.graphql(resolved ? RESOLVE_THREAD_MUTATION : UNRESOLVE_THREAD_MUTATION, { threadId });
+    const { thread } = resolved ? data.resolveReviewThread : data.unresolveReviewThread;
+    return {
+      id: thread.id,
+      isResolved: thread.isResolved,
+      isOutdated: thread.isOutdated,
+      resolvedBy: thread.resolvedBy ? thread.resolvedBy.login : null
+    };
+  }
+
+  // React to a review comment or general comment (`content` is one of REACTIONS)
+  async addReaction(owner, repo, commentType, commentId, content, options) {
+    const collection = commentType === 'review_comment' ? 'pulls/comments' : 'issues/comments';
+    return this.write('POST', `repos/${owner}/${repo}/${collection}/${commentId}/reactions`, { content }, options);
+  }
+
+  // Add labels to a pull request (labels that don't exist yet are created)
+  async addLabels(owner, repo, number, labels, options) {
+    return this.write('POST', `repos/${owner}/${repo}/issues/${number}/labels`, { labels }, options);
+  }
+
+  async removeLabel(owner, repo, number, label, options) {
+    return this.write('DELETE', `repos/${owner}/${repo}/issues/${number}/labels/${encodeURIComponent(label)}`, undefined, options);
+  }
+
+  // Request reviews from users and teams (team slugs without the org)
+  async requestReviewers(owner, repo, number, { reviewers = [], teamReviewers = [] }, options) {
+    return this.write('POST', `repos/${owner}/${repo}/pulls/${number}/requested_reviewers`,
+      { reviewers, team_reviewers: teamReviewers }, options);
+  }
+
+  async removeRequestedReviewers(owner, repo, number, { reviewers = [], teamReviewers = [] }, options) {
+    return this.write('DELETE', `repos/${owner}/${repo}/pulls/${number}/requested_reviewers`,
+      { reviewers, team_reviewers: teamReviewers }, options);
+  }
+
+  async addAssignees(owner, repo, number, assignees, options) {
+    return this.write('POST', `repos/${owner}/${repo}/issues/${number}/assignees`, { assignees }, options);
+  }
+
+  async removeAssignees(owner, repo, number, assignees, options) {
+    return this.write('DELETE', `repos/${owner}/${repo}/issues/${number}/assignees`, { assignees }, options);
+  }
+
+  // Convert a pull request (by node id) to a draft or mark it ready for review;
+  // returns its new draft state, or with `dryRun` the GraphQL request that would be sent
+  async setDraft(pullRequestId, draft, { dryRun = false } = {}) {
+    const query = draft ? CONVERT_TO_DRAFT_MUTATION : MARK_READY_MUTATION;
+    if (dryRun) {
+      return { dryRun: true, method: 'POST', path: 'graphql', body: { query, variables: { pullRequestId } } };
+    }
+    const data = await this.graphql(query, { pullRequestId });
+    return (draft ? data.convertPullRequestToDraft : data.markPullRequestReadyForReview).pullRequest.isDraft;
+  }
+
+  // Submit a review in one go: `event` is COMMENT, APPROVE or REQUEST_CHANGES and
+  // `comments` are line-anchored like createReviewComment's
+  async createReview(owner, repo, number, { commitId, body, event, comments = [] }, options) {
+    const payload = {
+      commit_id: commitId,
+      event,
+      comments: comments.map(comment => ({ body: comment.body, ...toReviewCommentAnchor(comment) }))
+    };
+    if (body) payload.body = body;
+    return this.write('POST', `repos/${owner}/${repo}/pulls/${number}/reviews`, payload, options);
+  }
+}
+
+// Pick a backend from the environment: GITHUB_BACKEND=rest|gh|replay
+function createBackendFromEnv(env = process.env) {
+  const token = env.GITHUB_TOKEN || env.GH_TOKEN;
+  const fixturesDir = env.GITHUB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const backendName = env.GITHUB_BACKEND || (token ? 'rest' : 'gh');
+
+  let backend;
+  switch (backendName) {
+    case 'rest':
+      backend = new RestBackend({ token, apiUrl: env.GITHUB_API_URL || DEFAULT_API_URL });
+      break;
+    case 'gh':
+      backend = new GhCliBackend({ ghPath: env.GH_PATH || 'gh' });
+      break;
+    case 'replay':
+      return new ReplayBackend({ fixturesDir });
+    default:
+      throw new Error(`Unknown GITHUB_BACKEND "${backendName}" (expected rest, gh or replay)`);
+  }
+
+  if (env.GITHUB_RECORD_FIXTURES === 'true') {
+    backend = new RecordingBackend(backend, { fixturesDir });
+  }
+  return backend;
+}
+
+module.exports = {
+  GitHubClient,
+  GitHubApiError,
+  REACTIONS,
+  isRateLimitError,
+  getRetryDelay,
+  RestBackend,
+  GhCliBackend,
+  ReplayBackend,
+  RecordingBackend,
+  createBackendFromEnv
+};
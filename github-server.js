@@ -3,14 +3,188 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const readline = require('readline');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const GitHubDataFetcher = require('./data-fetcher');
+const { GitHubClient, REACTIONS } = require('./github-client');
+const RepositoryRegistry = require('./repo-registry');
+const { validateSettings } = RepositoryRegistry;
+const WebhookHandler = require('./webhook-handler');
+const EventStream = require('./event-stream');
+const JobManager = require('./job-manager');
+const CommentClassifier = require('./comment-classifier');
+const ClassifierFeedback = require('./classifier-feedback');
+const TriageStore = require('./triage-store');
+const { parseTriageFilter, filterByTriage, triageStatus, TRIAGE_STATUSES } = TriageStore;
+const ReviewDraftStore = require('./review-drafts');
+const { REVIEW_EVENTS, parseAnchor } = ReviewDraftStore;
+const CommentTemplates = require('./comment-templates');
+const { renderTemplate } = CommentTemplates;
+const IdempotencyStore = require('./idempotency-store');
+const { idempotencyMarker, requestFingerprint, validateKey } = IdempotencyStore;
+const { parseSuggestions, buildPatch } = require('./suggestion-patch');
+const {
+  groupReviewComments,
+  classifyThread,
+  threadDetails,
+  applyThreadState,
+  resolutionOf,
+  withThreadState,
+  withReply,
+  reactionCounts,
+  getResolution,
+  filterByResolution,
+  parseResolutionFilter,
+  isOutstanding
+} = require('./review-threads');
+const { computeMetrics } = require('./pr-metrics');
+const { buildInbox } = require('./inbox');
+const { computeSlaReport } = require('./review-sla');
+const { parseChanges, parsePullRequestRefs, applyChanges } = require('./pr-housekeeping');
 
 const app = express();
 const PORT = 3611;
 
-// Initialize data fetcher
-const dataFetcher = new GitHubDataFetcher();
+// Shared GitHub client (backend selected via GITHUB_BACKEND), repository registry,
+// comment classifier (and its feedback labels), triage state and data fetcher
+const github = new GitHubClient();
+const registry = new RepositoryRegistry({ client: github });
+registry.watch();
+const classifier = new CommentClassifier();
+classifier.watch();
+const feedback = new ClassifierFeedback({ classifier });
+const triage = new TriageStore();
+const reviewDrafts = new ReviewDraftStore();
+const commentTemplates = new CommentTemplates();
+const idempotency = new IdempotencyStore();
+const dataFetcher = new GitHubDataFetcher({ client: github, registry, classifier, triage });
+const webhooks = new WebhookHandler({ fetcher: dataFetcher, registry });
+const events = new EventStream();
+const jobs = new JobManager();
+
+// Relay fetcher activity to SSE subscribers (progress is throttled to one event a second)
+let lastProgressEvent = 0;
+dataFetcher.on('started', status => events.publish('fetch.started', status));
+dataFetcher.on('progress', status => {
+  if (Date.now() - lastProgressEvent < 1000) return;
+  lastProgressEvent = Date.now();
+  events.publish('fetch.progress', status);
+});
+dataFetcher.on('completed', status => events.publish('fetch.completed', status));
+dataFetcher.on('failed', status => events.publish('fetch.failed', status));
+dataFetcher.on('pullRequestUpdated', change => events.publish('pr.updated', {
+  owner: change.owner,
+  repo: change.repo,
+  number: change.number,
+  state: change.state,
+  pullRequest: change.pullRequest
+}));
+dataFetcher.on('repositoryUpdated', summary => events.publish('repo.updated', summary));
+dataFetcher.on('newActionableComments', comments => events.publish('comments.new', {
+  count: comments.length,
+  comments
+}));
+jobs.on('updated', job => events.publish('job.updated', job));
+
+// Start a data fetch job, or join the one already running (only one fetch can run at a time)
+function startFetchJob(incremental) {
+  return jobs.start('fetch-data', async ({ log, setProgress, onCancel }) => {
+    log(`Starting ${incremental ? 'incremental' : 'full'} data fetch`);
+
+    let completedRepos = 0;
+    const onProgress = status => {
+      const { total, completed, failed, pausedUntil } = status.queue;
+      setProgress({
+        phase: status.phase,
+        repositories: status.repositories,
+        queue: { total, completed, failed, pausedUntil }
+      });
+      if (status.repositories.completed > completedRepos) {
+        completedRepos = status.repositories.completed;
+        log(`Repositories processed: ${completedRepos}/${status.repositories.total}`);
+      }
+    };
+
+    dataFetcher.on('progress', onProgress);
+    onCancel(() => dataFetcher.cancelFetch());
+
+    try {
+      await dataFetcher.fetchAllData({ incremental });
+      const lastUpdate = dataFetcher.getLastUpdateInfo();
+      // Nothing written yet (no cache saved so far): report the fetch without counts
+      if (!lastUpdate) {
+        log('Fetch complete, but no cached data was written');
+        return null;
+      }
+      log(`Fetch complete: ${lastUpdate.totalActionableComments} actionable comments in ${lastUpdate.totalPRs} PRs`);
+      return lastUpdate;
+    } finally {
+      dataFetcher.off('progress', onProgress);
+    }
+  }, { params: { incremental } });
+}
+
+// Re-fetch a single repository as a job (one job per repository at a time)
+function startRepositoryFetchJob(owner, repo) {
+  return jobs.start('fetch-repository', async ({ log }) => {
+    log(`Refreshing ${owner}/${repo}`);
+    const { data, ...summary } = await dataFetcher.fetchRepository(owner, repo);
+    log(`Refreshed ${summary.pullRequests} PRs with ${summary.actionableComments} actionable comments`);
+    return summary;
+  }, { key: `fetch-repository:${owner}/${repo}`.toLowerCase(), params: { owner, repo } });
+}
+
+// Run code-analysis-runner.js as a job, capturing its output as job logs
+function startAnalysisJob() {
+  return jobs.start('analysis', ({ log, setProgress, onCancel }) => new Promise((resolve, reject) => {
+    const analysisProcess = spawn(process.execPath, ['code-analysis-runner.js'], {
+      cwd: __dirname,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const startedAt = new Date().toISOString();
+    const progress = { repositories: { total: null, completed: 0 } };
+    events.publish('analysis.started', { pid: analysisProcess.pid, startedAt });
+
+    const onLine = line => {
+      const message = line.replace(/^\[[^\]]+\] /, '').trim();
+      if (!message) return;
+      log(message);
+
+      // Progress comes from the runner's own log lines
+      const found = message.match(/Found (\d+) repositories to analyze/);
+      if (found) {
+        progress.repositories.total = parseInt(found[1]);
+        setProgress(progress);
+      } else if (message.startsWith('📊 Analyzing repository:')) {
+        progress.repositories.completed++;
+        setProgress(progress);
+      }
+    };
+    readline.createInterface({ input: analysisProcess.stdout }).on('line', onLine);
+    readline.createInterface({ input: analysisProcess.stderr }).on('line', onLine);
+
+    onCancel(() => analysisProcess.kill('SIGTERM'));
+
+    analysisProcess.on('error', reject);
+    analysisProcess.on('exit', (exitCode, signal) => {
+      events.publish(exitCode === 0 ? 'analysis.completed' : 'analysis.failed', { exitCode, startedAt });
+
+      if (exitCode !== 0) {
+        reject(new Error(signal ? `Analysis stopped (${signal})` : `Analysis exited with code ${exitCode}`));
+        return;
+      }
+
+      try {
+        const latest = JSON.parse(fs.readFileSync(path.join(__dirname, 'analysis-results', 'latest.json'), 'utf8'));
+        resolve({ analysisId: latest.analysisId, timestamp: latest.timestamp, summary: latest.summary });
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  }));
+}
 
 // Security configuration
 app.use(helmet({
@@ -25,42 +199,32 @@ app.use(helmet({
 }));
 
 app.use(cors());
+// Webhook signatures are computed over the raw body, so keep it unparsed there
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '25mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Utility function to execute gh CLI commands (expects JSON response)
-function executeGhCommand(command) {
+// Get cached data summary (?at=<snapshot id or ISO time> for a point-in-time view)
+app.get('/api/cached-data', async (req, res) => {
   try {
-    const result = execSync(command, {
-      encoding: 'utf8',
-      timeout: 30000,
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-    });
-    return JSON.parse(result);
-  } catch (error) {
-    console.error(`Error executing gh command: ${command}`, error.message);
-    throw new Error(`GitHub CLI error: ${error.message}`);
-  }
-}
+    if (req.query.at) {
+      const snapshot = dataFetcher.snapshots.resolve(req.query.at);
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: `No snapshot found for ${req.query.at}`
+        });
+      }
 
-// Utility function to execute gh CLI commands (returns raw text)
-function executeGhCommandRaw(command) {
-  try {
-    const result = execSync(command, {
-      encoding: 'utf8',
-      timeout: 30000,
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-    });
-    return result;
-  } catch (error) {
-    console.error(`Error executing gh command: ${command}`, error.message);
-    throw new Error(`GitHub CLI error: ${error.message}`);
-  }
-}
+      const { data, ...meta } = snapshot;
+      return res.json({
+        success: true,
+        data,
+        lastUpdate: meta,
+        fromCache: true
+      });
+    }
 
-// Get cached data summary
-app.get('/api/cached-data', async (req, res) => {
-  try {
     const cachedData = dataFetcher.loadCachedData();
     const lastUpdate = dataFetcher.getLastUpdateInfo();
 
@@ -90,31 +254,21 @@ app.get('/api/cached-data', async (req, res) => {
 // Get all repositories accessible to the user
 app.get('/api/repos', async (req, res) => {
   try {
-    const reposToCheck = [
-      'h1-aot/agent_manager',
-      'h1-aot/aot-base',
-      'h1-aot/aot-frontend-api',
-      'h1-aot/aot-user-ui',
-      'h1-aot/masp',
-      'h1-aot/offsec-benchmarks',
-      'h1-aot/aot-terraform',
-      'ppaul-h-aot/MRToolGH'
-    ];
-
-    // Get ALL repositories, regardless of cache
+    const reposToCheck = await registry.resolveRepositories();
+
+    // Get ALL registered repositories, regardless of cache
     const allRepos = [];
-    for (const repoName of reposToCheck) {
+    for (const entry of reposToCheck) {
       try {
-        const repoData = executeGhCommand(`gh repo view ${repoName} --json name,owner,url,updatedAt`);
+        const repoData = entry.details || await github.getRepository(entry.owner, entry.name);
         allRepos.push(repoData);
       } catch (error) {
-        console.error(`Error accessing repository ${repoName}:`, error.message);
+        console.error(`Error accessing repository ${entry.fullName}:`, error.message);
         // Even if we can't access the repo, add it to the list with basic info
-        const [owner, name] = repoName.split('/');
         allRepos.push({
-          name: name,
-          owner: { login: owner },
-          url: `https://github.com/${repoName}`,
+          name: entry.name,
+          owner: { login: entry.owner },
+          url: `https://github.com/${entry.fullName}`,
           updatedAt: new Date().toISOString(),
           accessible: false
         });
@@ -167,6 +321,327 @@ app.get('/api/repos', async (req, res) => {
   }
 });
 
+// Get the repository registry: raw config plus the resolved list of monitored repositories
+app.get('/api/registry', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      config: registry.getConfig(),
+      repositories: (await registry.resolveRepositories()).map(({ details, ...entry }) => entry)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register a repository: { "name": "owner/repo", "settings": { "activityWindowDays": 30, "prLimit": 100 } }
+app.post('/api/registry/repos', (req, res) => {
+  const { name, settings } = req.body;
+
+  try {
+    const entry = registry.addRepository(name, settings || {});
+    res.status(201).json({ success: true, repository: entry });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a registered repository's settings or enable/disable it
+app.put('/api/registry/repos/:owner/:repo', (req, res) => {
+  const { owner, repo } = req.params;
+  const { settings, enabled } = req.body;
+
+  try {
+    validateSettings(settings);
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const entry = registry.updateRepository(`${owner}/${repo}`, { settings, enabled });
+    res.json({ success: true, repository: entry });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Stop monitoring a repository
+app.delete('/api/registry/repos/:owner/:repo', async (req, res) => {
+  const { owner, repo } = req.params;
+
+  try {
+    const result = await registry.removeRepository(`${owner}/${repo}`);
+    res.json({ success: true, repository: result });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PR lifecycle metrics per repository and per author (?repo=owner/name, ?author, ?since)
+app.get('/api/metrics', (req, res) => {
+  const { repo, author, since } = req.query;
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid since "${since}" - expected a date such as 2025-01-31`
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      metrics: computeMetrics(dataFetcher.loadLifecycleData(), { repository: repo, author, since })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Review-request SLA breaches and stale PRs, in business hours (?repo=owner/name, ?reviewer=login)
+app.get('/api/sla', async (req, res) => {
+  try {
+    const { repo, reviewer } = req.query;
+    const settings = new Map((await registry.resolveRepositories())
+      .map(entry => [entry.fullName.toLowerCase(), entry.settings]));
+    const defaults = registry.getConfig().defaults;
+
+    res.json({
+      success: true,
+      sla: computeSlaReport(dataFetcher.loadLifecycleData(), {
+        officeHours: dataFetcher.officeHours,
+        settingsFor: fullName => settings.get(fullName.toLowerCase()) || defaults,
+        repository: repo,
+        reviewer
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// What a user needs to respond to: questions and mentions waiting on them, comments
+// on their PRs and review requests (?user=login, defaults to the authenticated user)
+app.get('/api/inbox', async (req, res) => {
+  let user = req.query.user;
+  if (!user) {
+    try {
+      user = (await github.getAuthenticatedUser()).login;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not determine the authenticated GitHub user (${error.message}) - pass ?user=login`
+      });
+    }
+  }
+  if (!/^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(user)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid GitHub login "${user}"`
+    });
+  }
+
+  try {
+    const cachedData = dataFetcher.loadCachedData() || { repositories: [] };
+    const monitored = new Set((await registry.resolveRepositories()).map(repo => repo.fullName.toLowerCase()));
+    cachedData.repositories.forEach(repo => monitored.add(`${repo.owner}/${repo.name}`.toLowerCase()));
+
+    // Searches fill in what the cache can't know; if one fails the rest of the inbox still loads
+    const warnings = [];
+    const search = async (query, description) => {
+      try {
+        const pullRequests = await github.searchPullRequests(`is:open archived:false ${query}`);
+        return pullRequests.filter(pr => monitored.has(pr.repository.toLowerCase()));
+      } catch (error) {
+        warnings.push(`Could not search ${description}: ${error.message}`);
+        return [];
+      }
+    };
+    const reviewRequested = await search(`review-requested:${user}`, 'review requests');
+    const mentioned = await search(`mentions:${user}`, 'mentions');
+
+    res.json({
+      success: true,
+      ...buildInbox(cachedData, user, { reviewRequested, mentioned }),
+      warnings,
+      lastUpdate: cachedData.lastUpdate || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Lifecycle records for a repository's open, closed and merged PRs (?state=OPEN|CLOSED|MERGED)
+app.get('/api/repos/:owner/:repo/lifecycle', (req, res) => {
+  const { owner, repo } = req.params;
+
+  try {
+    const lifecycleData = dataFetcher.loadLifecycleData();
+    const repoKey = Object.keys(lifecycleData.repositories)
+      .find(key => key.toLowerCase() === `${owner}/${repo}`.toLowerCase());
+    const pullRequests = repoKey ? lifecycleData.repositories[repoKey].pullRequests : [];
+    const state = req.query.state ? req.query.state.toUpperCase() : null;
+
+    res.json({
+      success: true,
+      repository: `${owner}/${repo}`,
+      fetchedAt: repoKey ? lifecycleData.repositories[repoKey].fetchedAt : null,
+      pullRequests: state ? pullRequests.filter(pr => pr.state === state) : pullRequests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List stored snapshots (?from, ?to, ?limit)
+app.get('/api/snapshots', (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    res.json({
+      success: true,
+      snapshots: dataFetcher.snapshots.list({ from, to, limit: parseInt(limit) || undefined })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Counts over time, for all repositories or one (?repo=owner/name, ?from, ?to)
+app.get('/api/snapshots/history', (req, res) => {
+  try {
+    const { repo, from, to } = req.query;
+    res.json({
+      success: true,
+      repository: repo || null,
+      history: dataFetcher.snapshots.history(repo, { from, to })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// What changed between two snapshots (?from and ?to are snapshot ids, ISO times or "latest")
+app.get('/api/snapshots/diff', (req, res) => {
+  const { from, to = 'latest', repo } = req.query;
+
+  if (!from) {
+    return res.status(400).json({
+      success: false,
+      error: 'from is required (snapshot id or ISO time)'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      diff: dataFetcher.snapshots.diff(from, to, { repository: repo })
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Full dataset from one snapshot (?repo=owner/name to narrow it to one repository)
+app.get('/api/snapshots/:id', (req, res) => {
+  try {
+    const snapshot = dataFetcher.snapshots.resolve(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `Snapshot ${req.params.id} not found`
+      });
+    }
+
+    if (req.query.repo) {
+      snapshot.data.repositories = snapshot.data.repositories.filter(repo =>
+        `${repo.owner}/${repo.name}`.toLowerCase() === req.query.repo.toLowerCase());
+    }
+
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GitHub webhook receiver - updates only the affected PR in the cache
+app.post('/api/webhooks/github', async (req, res) => {
+  if (!webhooks.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhooks are not configured. Set GITHUB_WEBHOOK_SECRET.'
+    });
+  }
+
+  if (!webhooks.verifySignature(req.body, req.get('X-Hub-Signature-256'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  let payload;
+  try {
+    payload = webhooks.parsePayload(req.body, req.get('Content-Type'));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook payload'
+    });
+  }
+
+  try {
+    const result = await webhooks.handle(req.get('X-GitHub-Event'), payload);
+    res.status(202).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error handling webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get PRs for a specific repository
 app.get('/api/repos/:owner/:repo/prs', async (req, res) => {
   const { owner, repo } = req.params;
@@ -197,9 +672,7 @@ app.get('/api/repos/:owner/:repo/prs', async (req, res) => {
     // Fallback to live data
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
-    const prs = executeGhCommand(
-      `gh pr list --repo ${owner}/${repo} --state open --json number,title,author,createdAt,updatedAt,url,reviewDecision,isDraft --limit 100`
-    );
+    const prs = await github.listPullRequests(owner, repo, { state: 'open', limit: 100 });
 
     // Filter PRs to last 30 days
     const filteredPrs = prs.filter(pr => new Date(pr.createdAt) >= new Date(thirtyDaysAgo));
@@ -208,19 +681,14 @@ app.get('/api/repos/:owner/:repo/prs', async (req, res) => {
     const prsWithComments = await Promise.all(
       filteredPrs.map(async pr => {
         try {
-          const comments = executeGhCommand(
-            `gh pr view ${pr.number} --repo ${owner}/${repo} --json comments`
-          );
-
-          const reviewComments = executeGhCommand(
-            `gh api repos/${owner}/${repo}/pulls/${pr.number}/comments --paginate`
-          );
+          const comments = await github.listIssueComments(owner, repo, pr.number);
+          const reviewComments = await github.listReviewComments(owner, repo, pr.number);
 
           return {
             ...pr,
-            commentCount: (comments.comments || []).length,
+            commentCount: comments.length,
             reviewCommentCount: reviewComments.length,
-            totalComments: (comments.comments || []).length + reviewComments.length
+            totalComments: comments.length + reviewComments.length
           };
         } catch (error) {
           console.error(`Error getting comments for PR ${pr.number}:`, error.message);
@@ -247,62 +715,195 @@ app.get('/api/repos/:owner/:repo/prs', async (req, res) => {
   }
 });
 
-// Get actionable comments for a specific PR
-app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
-  const { owner, repo, number } = req.params;
+// Body of a comment posted from the tool: a type/severity header when both are
+// given, a footer saying where it came from and, for idempotent posts, a hidden marker
+function formatToolComment({ type, severity, body, marker = null }) {
+  const severityEmoji = {
+    high: '🚨',
+    medium: '⚠️',
+    low: 'ℹ️'
+  };
+
+  let commentBody = body;
+  if (type && severity) {
+    commentBody = `${severityEmoji[severity] || ''} **${type.replace('_', ' ').toUpperCase()}** (${severity.toUpperCase()} priority)\n\n${body}`;
+  }
+  commentBody += '\n\n---\n*Added via GitHub PR Comment Tool*';
+  return marker ? `${commentBody}\n${marker}` : commentBody;
+}
 
-  try {
-    // Try to use cached data first
+// Comment text from a request: `body`, or a `template` filled in with `variables`
+// and the comment's context (`body` may be an edited copy of the template text).
+// Type and severity default to the template's.
+function composeComment(request, context) {
+  let { type, severity, body } = request;
+
+  if (request.template) {
+    const template = commentTemplates.get(request.template);
+    if (!template) {
+      throw new Error(`Unknown comment template "${request.template}"`);
+    }
+    const variables = Object.fromEntries(Object.entries(context).filter(([, value]) => value !== null && value !== undefined));
+    body = renderTemplate(body || template.body, { ...variables, ...(request.variables || {}) });
+    type = type || template.type;
+    severity = severity || template.severity;
+  }
+
+  if (!body || !body.trim()) {
+    throw new Error('Comment body is required');
+  }
+  return { type, severity, body };
+}
+
+// Respond with what `post(marker)` returns ({ status, body }). With an Idempotency-Key
+// header (or `idempotencyKey` field) this happens once per key: retries get the first
+// response, and a retry after an attempt that failed midway first asks
+// `findExisting(marker)` whether that attempt's post made it to GitHub.
+async function postOnce(req, res, { dryRun, post, findExisting }) {
+  const key = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+  try {
+    if (key) validateKey(key);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    if (!key || dryRun) {
+      const result = await post(key ? idempotencyMarker(key) : null);
+      return res.status(result.status).json(result.body);
+    }
+
+    const request = { ...req.body };
+    delete request.idempotencyKey;
+    const marker = idempotencyMarker(key);
+    const { result, replayed, conflict } = await idempotency.run(key, requestFingerprint(req.method, req.path, request), async previous => {
+      const existing = previous ? await findExisting(marker) : null;
+      return existing || post(marker);
+    });
+
+    if (conflict) {
+      return res.status(422).json({
+        success: false,
+        error: `Idempotency key "${key}" was already used for a different request`
+      });
+    }
+    res.set('Idempotent-Replayed', String(replayed));
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Counts by type and severity for the listed comments, by resolution (and how many
+// are outstanding) for all of them, and by triage status for the ones shown at the
+// selected resolution. `threads` covers the listed line-comment conversations.
+function commentStats(comments, allComments, resolutionComments = allComments) {
+  const countBy = (items, keyOf) => items.reduce((acc, item) => {
+    acc[keyOf(item)] = (acc[keyOf(item)] || 0) + 1;
+    return acc;
+  }, {});
+  const threads = comments.filter(comment => comment.type === 'review_comment');
+
+  return {
+    total: comments.length,
+    byType: countBy(comments, comment => comment.actionType),
+    bySeverity: { high: 0, medium: 0, low: 0, ...countBy(comments, comment => comment.severity) },
+    byResolution: { open: 0, outdated: 0, resolved: 0, ...countBy(allComments, getResolution) },
+    byTriage: {
+      ...Object.fromEntries(TRIAGE_STATUSES.map(status => [status, 0])),
+      ...countBy(resolutionComments, comment => triageStatus(comment.triage))
+    },
+    outstanding: allComments.filter(isOutstanding).length,
+    byReviewer: dataFetcher.countByReviewer(comments),
+    threads: {
+      total: threads.length,
+      withReplies: threads.filter(comment => comment.replyCount > 0).length,
+      authorReplied: threads.filter(comment => comment.authorReplied).length,
+      acknowledged: threads.filter(comment => comment.acknowledged).length
+    }
+  };
+}
+
+// Attach feedback labels and triage state to a PR's actionable comments, then
+// narrow them by ?resolution, ?triage and ?assignee
+function listComments(repository, prNumber, actionableComments, query) {
+  const allComments = triage.annotate(repository, prNumber, feedback.annotate(repository, prNumber, actionableComments));
+  const resolutionComments = filterByResolution(allComments, query.resolution);
+  const comments = filterByTriage(resolutionComments, query.triage, { assignee: query.assignee });
+  return { comments, stats: commentStats(comments, allComments, resolutionComments) };
+}
+
+// Get actionable comments for a specific PR. ?resolution=open (default), outdated,
+// resolved, a comma-separated list, or all; ?triage=todo,in_progress (default), any
+// list of triage statuses, or all; ?assignee=login (or none)
+app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  try {
+    parseResolutionFilter(req.query.resolution);
+    parseTriageFilter(req.query.triage);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    // Try to use cached data first
     const cachedData = dataFetcher.loadCachedData();
     if (cachedData && req.query.use_cache !== 'false') {
       const repoData = cachedData.repositories.find(r => r.owner === owner && r.name === repo);
       if (repoData) {
         const prData = repoData.pullRequests.find(pr => pr.number === parseInt(number));
         if (prData) {
+          const { comments, stats } = listComments(`${owner}/${repo}`, prData.number, prData.actionableComments || [], req.query);
           return res.json({
             success: true,
             pr: prData,
-            actionableComments: prData.actionableComments || [],
-            stats: {
-              total: prData.actionableCount || 0,
-              byType: prData.actionableComments?.reduce((acc, comment) => {
-                acc[comment.actionType] = (acc[comment.actionType] || 0) + 1;
-                return acc;
-              }, {}) || {},
-              bySeverity: prData.severityCounts || { high: 0, medium: 0, low: 0 }
-            },
+            actionableComments: comments,
+            stats,
             fromCache: true,
             lastUpdate: cachedData.lastUpdate
           });
         }
       }
     }
-    // Get PR details
-    const prDetails = executeGhCommand(
-      `gh pr view ${number} --repo ${owner}/${repo} --json number,title,body,author,createdAt,url,files,reviewDecision,isDraft`
-    );
-
-    // Get general comments
-    const generalComments = executeGhCommand(
-      `gh pr view ${number} --repo ${owner}/${repo} --json comments`
-    ).comments || [];
+    // Get PR details (includes general comments)
+    const { comments: generalComments, ...prDetails } = await github.getPullRequestDetails(owner, repo, number);
 
     // Get review comments (line-specific)
-    const reviewComments = executeGhCommand(
-      `gh api repos/${owner}/${repo}/pulls/${number}/comments --paginate`
-    );
+    const reviewComments = await github.listReviewComments(owner, repo, number);
 
     // Get PR reviews
-    const reviews = executeGhCommand(
-      `gh api repos/${owner}/${repo}/pulls/${number}/reviews --paginate`
-    );
+    const reviews = await github.listReviews(owner, repo, number);
+
+    // Get resolved/outdated state of the line comments' threads
+    const threads = reviewComments.length > 0 ? await github.listReviewThreads(owner, repo, number) : [];
 
     // Process and categorize comments as actionable
     const actionableComments = [];
 
-    // Process review comments (these are line-specific and more actionable)
-    reviewComments.forEach(comment => {
-      const isActionable = isCommentActionable(comment.body);
+    // Process review comment threads (these are line-specific and more actionable)
+    // Author filters (bots, ignore list, the PR author) come from the classifier config
+    const classify = (body, author) => classifier.classify(body, {
+      repository: `${owner}/${repo}`,
+      author: author.login,
+      authorIsBot: author.isBot,
+      prAuthor: prDetails.author.login
+    });
+    const classifyRestComment = comment => classify(comment.body, { login: comment.user.login, isBot: comment.user.type === 'Bot' });
+
+    groupReviewComments(reviewComments, prDetails.author.login).forEach(thread => {
+      const comment = thread.root;
+      const isActionable = classifyThread(thread, classifyRestComment, prDetails.author.login);
       if (isActionable.actionable) {
         actionableComments.push({
           id: comment.id,
@@ -318,15 +919,18 @@ app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
           prUrl: comment.html_url,
           actionType: isActionable.type,
           severity: isActionable.severity,
+          raisedBy: isActionable.raisedBy,
           copyableLink: comment.html_url,
-          fileLineUrl: comment.path ? `https://github.com/${owner}/${repo}/pull/${number}/files#diff-${Buffer.from(comment.path).toString('hex')}R${comment.line}` : null
+          fileLineUrl: comment.path ? `https://github.com/${owner}/${repo}/pull/${number}/files#diff-${Buffer.from(comment.path).toString('hex')}R${comment.line}` : null,
+          reactions: reactionCounts(comment.reactions),
+          ...threadDetails(thread)
         });
       }
     });
 
     // Process general comments
     generalComments.forEach(comment => {
-      const isActionable = isCommentActionable(comment.body);
+      const isActionable = classify(comment.body, { login: comment.author.login, isBot: comment.author.is_bot });
       if (isActionable.actionable) {
         actionableComments.push({
           id: comment.id,
@@ -335,11 +939,11 @@ app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
           body: comment.body,
           createdAt: comment.createdAt,
           updatedAt: comment.updatedAt,
-          url: `https://github.com/${owner}/${repo}/pull/${number}#issuecomment-${comment.id}`,
-          prUrl: `https://github.com/${owner}/${repo}/pull/${number}#issuecomment-${comment.id}`,
+          url: comment.url,
+          prUrl: comment.url,
           actionType: isActionable.type,
           severity: isActionable.severity,
-          copyableLink: `https://github.com/${owner}/${repo}/pull/${number}#issuecomment-${comment.id}`,
+          copyableLink: comment.url,
           fileLineUrl: null
         });
       }
@@ -348,7 +952,7 @@ app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
     // Process reviews for actionable content
     reviews.forEach(review => {
       if (review.body && review.state !== 'COMMENTED') {
-        const isActionable = isCommentActionable(review.body);
+        const isActionable = classifyRestComment(review);
         if (isActionable.actionable) {
           actionableComments.push({
             id: review.id,
@@ -370,85 +974,643 @@ app.get('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
     });
 
     // Sort by creation date (newest first)
-    actionableComments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const sorted = applyThreadState(actionableComments, threads)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const { comments, stats } = listComments(`${owner}/${repo}`, parseInt(number), sorted, req.query);
 
     res.json({
       success: true,
       pr: prDetails,
-      actionableComments,
-      stats: {
-        total: actionableComments.length,
-        byType: actionableComments.reduce((acc, comment) => {
-          acc[comment.actionType] = (acc[comment.actionType] || 0) + 1;
-          return acc;
-        }, {}),
-        bySeverity: actionableComments.reduce((acc, comment) => {
-          acc[comment.severity] = (acc[comment.severity] || 0) + 1;
-          return acc;
-        }, {})
+      actionableComments: comments,
+      stats
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a comment's triage state: { status, snoozedUntil, notes, assignee, updatedBy }.
+// `type` is review_comment, general_comment or review.
+app.put('/api/repos/:owner/:repo/prs/:number/comments/:type/:id/triage', (req, res) => {
+  const { owner, repo, number, type, id } = req.params;
+  const { updatedBy, ...changes } = req.body || {};
+
+  if (!['review_comment', 'general_comment', 'review'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown comment type "${type}" - expected review_comment, general_comment or review`
+    });
+  }
+
+  let state;
+  try {
+    state = triage.update(`${owner}/${repo}`, number, type, id, changes, { updatedBy: updatedBy || null });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const pullRequest = dataFetcher.applyTriage(owner, repo, number, type, id, state);
+    events.publish('comment.triaged', { owner, repo, number: parseInt(number), type, id, triage: state });
+    res.json({
+      success: true,
+      triage: state,
+      pullRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Triage entries across repositories (?repository=owner/name, ?status, ?assignee)
+app.get('/api/triage', (req, res) => {
+  try {
+    const entries = triage.list({ repository: req.query.repository, status: req.query.status, assignee: req.query.assignee });
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Suggestion blocks in a PR's review comments, optionally narrowed to one reviewer
+// and to suggestion or comment ids (`ids`: comma-separated "123-0" or "123")
+async function loadSuggestions(owner, repo, number, { reviewer, ids } = {}) {
+  const [pr, reviewComments] = await Promise.all([
+    github.getPullRequest(owner, repo, number),
+    github.listReviewComments(owner, repo, number)
+  ]);
+
+  const selected = ids ? new Set(String(ids).split(',').map(id => id.trim()).filter(Boolean)) : null;
+  const suggestions = reviewComments
+    .flatMap(parseSuggestions)
+    .filter(suggestion => !reviewer || suggestion.author.toLowerCase() === reviewer.toLowerCase())
+    .filter(suggestion => !selected || selected.has(suggestion.id) || selected.has(String(suggestion.commentId)));
+
+  return { headSha: pr.head.sha, suggestions };
+}
+
+// List the suggestion blocks in a PR as structured replacements (?reviewer, ?ids)
+app.get('/api/repos/:owner/:repo/prs/:number/suggestions', async (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  try {
+    const { headSha, suggestions } = await loadSuggestions(owner, repo, number, req.query);
+    res.json({
+      success: true,
+      headSha,
+      suggestions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Download suggestions as a unified diff for `git apply` (?reviewer, ?ids to select)
+app.get('/api/repos/:owner/:repo/prs/:number/suggestions.patch', async (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  try {
+    const { headSha, suggestions } = await loadSuggestions(owner, repo, number, req.query);
+
+    const paths = Array.from(new Set(suggestions.filter(suggestion => suggestion.applicable).map(suggestion => suggestion.path)));
+    const contents = await Promise.all(paths.map(filePath => github.getFileContent(owner, repo, filePath, headSha)));
+    const files = Object.fromEntries(paths.map((filePath, index) => [filePath, contents[index]]));
+
+    const { patch, applied, skipped } = buildPatch(suggestions, files);
+    if (applied.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: suggestions.length === 0 ? 'No suggestions matched' : 'None of the selected suggestions can be applied',
+        skipped
+      });
+    }
+
+    // git apply ignores everything before the first `diff --git` line
+    const preamble = [
+      `Suggestions from ${owner}/${repo}#${number} at ${headSha}`,
+      `Applied: ${applied.map(suggestion => `${suggestion.id} (${suggestion.author}, ${suggestion.path}:${suggestion.startLine})`).join(', ')}`,
+      ...skipped.map(suggestion => `Skipped ${suggestion.id}: ${suggestion.reason}`)
+    ].join('\n');
+
+    res.set('Content-Type', 'text/x-patch; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${repo}-pr-${number}-suggestions.patch"`);
+    res.send(`${preamble}\n\n${patch}`);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Comment templates with the variables each one uses
+app.get('/api/comment-templates', (req, res) => {
+  try {
+    res.json({ success: true, templates: commentTemplates.list() });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create or replace a template: { "name": "...", "body": "... {{file}} ...", "type": "suggestion", "severity": "low" }
+app.put('/api/comment-templates/:id', (req, res) => {
+  try {
+    res.json({ success: true, template: commentTemplates.upsert(req.params.id, req.body) });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/comment-templates/:id', (req, res) => {
+  try {
+    if (!commentTemplates.remove(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: `No comment template "${req.params.id}"`
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Add a comment to a PR. With `file` and `line` it's a review comment anchored to that
+// line of the diff (`startLine` for a range, `side`/`startSide` LEFT or RIGHT, default
+// RIGHT); with only `file` it's a file-level comment; otherwise a general comment.
+// `template` and `variables` fill the body from a comment template, `dryRun` returns
+// the GitHub request instead of sending it, and an Idempotency-Key makes retries safe.
+app.post('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
+  const { owner, repo, number } = req.params;
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  let anchor;
+  let comment;
+  try {
+    anchor = parseAnchor(req.body);
+    comment = composeComment(req.body, {
+      repository: `${owner}/${repo}`,
+      prNumber: parseInt(number),
+      file: anchor ? anchor.path : null,
+      line: anchor ? anchor.line : null,
+      startLine: anchor ? anchor.startLine : null
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  const commentType = anchor ? 'review_comment' : 'general_comment';
+
+  const post = async marker => {
+    const commentBody = formatToolComment({ ...comment, marker });
+
+    try {
+      // Create the comment through the GitHub client
+      let result;
+      if (anchor) {
+        const pr = await github.getPullRequest(owner, repo, number);
+        result = await github.createReviewComment(owner, repo, number, { body: commentBody, commitId: pr.head.sha, ...anchor }, { dryRun });
+      } else {
+        result = await github.createIssueComment(owner, repo, number, commentBody, { dryRun });
       }
+
+      if (dryRun) {
+        return { status: 200, body: { success: true, dryRun: true, commentType, request: result } };
+      }
+
+      console.log('✅ Comment added successfully:', result.html_url);
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: 'Comment added successfully',
+          commentType,
+          commentUrl: result.html_url,
+          timestamp: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error adding comment:', error.message);
+      // GitHub answers 422 for lines that aren't part of the diff
+      if (error.status === 422) {
+        return { status: 422, body: { success: false, error: error.message } };
+      }
+      throw error;
+    }
+  };
+
+  const findExisting = async marker => {
+    const comments = anchor
+      ? await github.listReviewComments(owner, repo, number)
+      : await github.listIssueComments(owner, repo, number);
+    const existing = comments.find(candidate => (candidate.body || '').includes(marker));
+    if (!existing) return null;
+
+    console.log('✅ Comment was already added:', existing.html_url);
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Comment added successfully',
+        commentType,
+        commentUrl: existing.html_url,
+        timestamp: existing.created_at
+      }
+    };
+  };
+
+  await postOnce(req, res, { dryRun, post, findExisting });
+});
+
+// The pending review for a PR: queued inline comments not yet submitted
+app.get('/api/repos/:owner/:repo/prs/:number/review', (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  try {
+    res.json({
+      success: true,
+      review: reviewDrafts.get(`${owner}/${repo}`, parseInt(number))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+// Queue an inline comment in the PR's pending review (same fields as posting a comment;
+// `file` and `line` are required)
+app.post('/api/repos/:owner/:repo/prs/:number/review/comments', async (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  let anchor;
+  let comment;
+  try {
+    anchor = parseAnchor(req.body);
+    if (!anchor || !anchor.line) {
+      throw new Error('Comments in a review need a file and line');
+    }
+    comment = composeComment(req.body, {
+      repository: `${owner}/${repo}`,
+      prNumber: parseInt(number),
+      file: anchor.path,
+      line: anchor.line,
+      startLine: anchor.startLine
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    // A new draft is pinned to the current head commit
+    const existing = reviewDrafts.get(`${owner}/${repo}`, parseInt(number));
+    const commitId = existing ? existing.commitId : (await github.getPullRequest(owner, repo, number)).head.sha;
+    const { draft, comment: queued } = reviewDrafts.addComment(`${owner}/${repo}`, parseInt(number), {
+      body: formatToolComment(comment),
+      anchor,
+      commitId
+    });
+
+    res.status(201).json({ success: true, review: draft, comment: queued });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove one queued comment from the pending review
+app.delete('/api/repos/:owner/:repo/prs/:number/review/comments/:id', (req, res) => {
+  const { owner, repo, number, id } = req.params;
+
+  try {
+    const draft = reviewDrafts.removeComment(`${owner}/${repo}`, parseInt(number), id);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: `No queued comment ${id} on ${owner}/${repo}#${number}`
+      });
+    }
+    res.json({ success: true, review: draft });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Discard the pending review
+app.delete('/api/repos/:owner/:repo/prs/:number/review', (req, res) => {
+  const { owner, repo, number } = req.params;
+
+  try {
+    res.json({ success: true, discarded: reviewDrafts.discard(`${owner}/${repo}`, parseInt(number)) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Submit the pending review with its queued comments:
+// { "event": "COMMENT" | "APPROVE" | "REQUEST_CHANGES", "body": "summary" }
+// `dryRun` and Idempotency-Key work as for posting a comment.
+app.post('/api/repos/:owner/:repo/prs/:number/review/submit', async (req, res) => {
+  const { owner, repo, number } = req.params;
+  const event = (req.body.event || '').toUpperCase();
+  const body = (req.body.body || '').trim();
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const draft = reviewDrafts.get(`${owner}/${repo}`, parseInt(number));
+  const comments = draft ? draft.comments : [];
+
+  if (!REVIEW_EVENTS.includes(event)) {
+    return res.status(400).json({
+      success: false,
+      error: `event must be one of ${REVIEW_EVENTS.join(', ')}`
+    });
+  }
+  // GitHub needs something to say for anything but an approval
+  if (event !== 'APPROVE' && !body && (event === 'REQUEST_CHANGES' || comments.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: event === 'REQUEST_CHANGES' ? 'A summary is required to request changes' : 'Nothing to submit - queue comments or add a summary'
+    });
+  }
+
+  const submitted = review => {
+    reviewDrafts.discard(`${owner}/${repo}`, parseInt(number));
+    events.publish('review.submitted', { owner, repo, number: parseInt(number), event, comments: comments.length, reviewUrl: review.html_url });
+    return {
+      status: 200,
+      body: {
+        success: true,
+        reviewId: review.id,
+        reviewUrl: review.html_url,
+        state: review.state,
+        comments: comments.length
+      }
+    };
+  };
+
+  const post = async marker => {
+    try {
+      const commitId = draft ? draft.commitId : (await github.getPullRequest(owner, repo, number)).head.sha;
+      const summary = body ? formatToolComment({ body, marker }) : marker;
+      const review = await github.createReview(owner, repo, number, { commitId, body: summary, event, comments }, { dryRun });
+
+      if (dryRun) {
+        return { status: 200, body: { success: true, dryRun: true, request: review } };
+      }
+      console.log(`✅ Submitted ${event} review with ${comments.length} comments on ${owner}/${repo}#${number}:`, review.html_url);
+      return submitted(review);
+    } catch (error) {
+      // The draft is kept so a rejected comment (422: line not in the diff) can be fixed
+      console.error('❌ Error submitting review:', error.message);
+      if (error.status === 422) {
+        return { status: 422, body: { success: false, error: error.message } };
+      }
+      throw error;
+    }
+  };
+
+  const findExisting = async marker => {
+    const reviews = await github.listReviews(owner, repo, number);
+    const existing = reviews.find(review => (review.body || '').includes(marker));
+    if (!existing) return null;
+
+    console.log(`✅ Review was already submitted on ${owner}/${repo}#${number}:`, existing.html_url);
+    return submitted(existing);
+  };
+
+  await postOnce(req, res, { dryRun, post, findExisting });
+});
+
+// Reply in a review thread: { "body": "..." } (or `template` and `variables`), posted
+// to the thread started by `commentId`. The cached PR picks up the reply right away.
+// `dryRun` and Idempotency-Key work as for posting a comment.
+app.post('/api/repos/:owner/:repo/prs/:number/threads/:commentId/replies', async (req, res) => {
+  const { owner, repo, number, commentId } = req.params;
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  let comment;
+  try {
+    comment = composeComment(req.body, { repository: `${owner}/${repo}`, prNumber: parseInt(number) });
   } catch (error) {
-    res.status(500).json({
+    return res.status(400).json({
       success: false,
       error: error.message
     });
   }
+
+  // Add the reply to the cached thread so its replies, author-replied and acknowledged flags update
+  const replied = reply => {
+    const pullRequest = dataFetcher.applyCommentUpdate(owner, repo, number, 'review_comment', commentId, (cached, entry) =>
+      withReply(cached, {
+        id: reply.id,
+        author: reply.user.login,
+        body: reply.body,
+        createdAt: reply.created_at,
+        url: reply.html_url
+      }, entry.author.login));
+    events.publish('thread.updated', { owner, repo, number: parseInt(number), type: 'review_comment', id: commentId, action: 'replied' });
+    return {
+      status: 200,
+      body: {
+        success: true,
+        commentUrl: reply.html_url,
+        pullRequest,
+        timestamp: reply.created_at
+      }
+    };
+  };
+
+  const post = async marker => {
+    try {
+      const reply = await github.replyToReviewComment(owner, repo, number, commentId, formatToolComment({ ...comment, marker }), { dryRun });
+      if (dryRun) {
+        return { status: 200, body: { success: true, dryRun: true, request: reply } };
+      }
+
+      console.log(`✅ Replied to review thread ${commentId} on ${owner}/${repo}#${number}:`, reply.html_url);
+      return replied(reply);
+    } catch (error) {
+      console.error('❌ Error replying to review thread:', error.message);
+      // 404: no such review comment on this PR
+      if (error.status === 404 || error.status === 422) {
+        return { status: error.status, body: { success: false, error: error.message } };
+      }
+      throw error;
+    }
+  };
+
+  const findExisting = async marker => {
+    const comments = await github.listReviewComments(owner, repo, number);
+    const existing = comments.find(candidate => (candidate.body || '').includes(marker));
+    if (!existing) return null;
+
+    console.log(`✅ Reply was already posted to review thread ${commentId}:`, existing.html_url);
+    return replied(existing);
+  };
+
+  await postOnce(req, res, { dryRun, post, findExisting });
 });
 
-// Add a new comment to a PR
-app.post('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
-  const { owner, repo, number } = req.params;
-  const { type, severity, body, file, line } = req.body;
+// Resolve or unresolve the review thread containing `commentId`. The cached PR is
+// updated right away, so a resolved thread drops out of the outstanding list.
+async function setThreadResolved(req, res, resolved) {
+  const { owner, repo, number, commentId } = req.params;
 
   try {
-    if (!body || !body.trim()) {
-      return res.status(400).json({
+    const threads = await github.listReviewThreads(owner, repo, number);
+    const thread = threads.find(candidate => candidate.commentIds.includes(Number(commentId)));
+    if (!thread) {
+      return res.status(404).json({
         success: false,
-        error: 'Comment body is required'
+        error: `No review thread with comment ${commentId} on ${owner}/${repo}#${number}`
       });
     }
 
-    // Add severity and type indicators to the comment body
-    const severityEmoji = {
-      high: '🚨',
-      medium: '⚠️',
-      low: 'ℹ️'
-    };
+    const state = await github.setReviewThreadResolved(thread.id, resolved);
+    // Actionable comments are cached under the thread's first comment
+    const rootId = thread.commentIds[0];
+    const pullRequest = dataFetcher.applyCommentUpdate(owner, repo, number, 'review_comment', rootId, cached => withThreadState(cached, state));
 
-    const typeEmoji = {
-      fix_required: '🚨',
-      improvement_needed: '🔧',
-      suggestion: '💡',
-      question: '❓',
-      request: '📝'
-    };
+    console.log(`${resolved ? '✅ Resolved' : '↩️ Unresolved'} review thread ${thread.id} on ${owner}/${repo}#${number}`);
+    events.publish('thread.updated', { owner, repo, number: parseInt(number), type: 'review_comment', id: rootId, action: resolved ? 'resolved' : 'unresolved' });
+    res.json({
+      success: true,
+      thread: { ...state, commentIds: thread.commentIds, resolution: resolutionOf(state) },
+      pullRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
-    let commentBody = `${severityEmoji[severity]} **${type.replace('_', ' ').toUpperCase()}** (${severity.toUpperCase()} priority)\n\n${body}`;
+app.post('/api/repos/:owner/:repo/prs/:number/threads/:commentId/resolve', (req, res) => setThreadResolved(req, res, true));
 
-    if (file && line) {
-      commentBody += `\n\n📁 **File:** ${file}\n📍 **Line:** ${line}`;
-    } else if (file) {
-      commentBody += `\n\n📁 **File:** ${file}`;
-    }
+app.post('/api/repos/:owner/:repo/prs/:number/threads/:commentId/unresolve', (req, res) => setThreadResolved(req, res, false));
 
-    commentBody += '\n\n---\n*Added via GitHub PR Comment Tool*';
+// React to a comment: { "content": "+1" | "-1" | "laugh" | "confused" | "heart" | "hooray" | "rocket" | "eyes" }.
+// `type` is review_comment or general_comment - GitHub has no reactions on review summaries.
+app.post('/api/repos/:owner/:repo/prs/:number/comments/:type/:id/reactions', async (req, res) => {
+  const { owner, repo, number, type, id } = req.params;
+  const content = req.body.content;
 
-    // Create the comment using GitHub CLI
-    const result = executeGhCommand(
-      `gh pr comment ${number} --repo ${owner}/${repo} --body "${commentBody.replace(/"/g, '\\"')}"`
-    );
+  if (!['review_comment', 'general_comment'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Can't react to a "${type}" - expected review_comment or general_comment`
+    });
+  }
+  if (!REACTIONS.includes(content)) {
+    return res.status(400).json({
+      success: false,
+      error: `content must be one of ${REACTIONS.join(', ')}`
+    });
+  }
 
-    console.log('✅ Comment added successfully:', result);
+  try {
+    const reaction = await github.addReaction(owner, repo, type, id, content);
+    // Re-read the counts: reacting twice with the same content doesn't add a second one
+    const reactions = reactionCounts((await github.getComment(owner, repo, type, id)).reactions);
+    const pullRequest = dataFetcher.applyCommentUpdate(owner, repo, number, type, id, cached => ({ ...cached, reactions }));
 
+    console.log(`✅ Reacted ${content} to ${type} ${id} on ${owner}/${repo}#${number}`);
+    events.publish('thread.updated', { owner, repo, number: parseInt(number), type, id, action: 'reacted' });
     res.json({
       success: true,
-      message: 'Comment added successfully',
-      commentUrl: `https://github.com/${owner}/${repo}/pull/${number}`,
-      timestamp: new Date().toISOString()
+      reaction: { id: reaction.id, content: reaction.content },
+      reactions,
+      pullRequest
+    });
+  } catch (error) {
+    console.error('❌ Error adding reaction:', error.message);
+    res.status(error.status === 404 ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Apply housekeeping changes to one PR and record the outcome in the cached data
+async function housekeepPullRequest(pr, changes, dryRun) {
+  const result = await applyChanges(github, pr, changes, { dryRun });
+  if (!dryRun && result.applied.length > 0) {
+    const cached = dataFetcher.applyPullRequestUpdate(pr.owner, pr.repo, pr.number, result.pullRequest);
+    events.publish('pr.updated', { owner: pr.owner, repo: pr.repo, number: pr.number, state: result.state, pullRequest: cached });
+  }
+  return { ...pr, success: result.failed.length === 0, ...result };
+}
+
+// Change a PR's labels, requested reviewers, assignees or draft state:
+// { addLabels, removeLabels, requestReviewers, removeReviewers, addAssignees,
+//   removeAssignees, draft } (lists of names; teams as "org/team"). `dryRun` lists
+// the GitHub requests instead of sending them.
+app.post('/api/repos/:owner/:repo/prs/:number/housekeeping', async (req, res) => {
+  const { owner, repo, number } = req.params;
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  let changes;
+  try {
+    changes = parseChanges(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const result = await housekeepPullRequest({ owner, repo, number: parseInt(number) }, changes, dryRun);
+    // GitHub turned a change down (unknown reviewer, no permission): report what did apply
+    const status = result.success ? 200 : result.failed.every(failure => failure.status >= 400 && failure.status < 500) ? 422 : 502;
+    res.status(status).json({
+      ...result,
+      ...(result.success ? {} : { error: result.failed.map(failure => failure.error).join('; ') }),
+      ...(dryRun ? { dryRun: true } : {})
     });
   } catch (error) {
-    console.error('❌ Error adding comment:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -456,20 +1618,55 @@ app.post('/api/repos/:owner/:repo/prs/:number/comments', async (req, res) => {
   }
 });
 
+// Apply the same housekeeping changes to several PRs: { "pullRequests": ["owner/repo#12", ...],
+// ...changes }. PRs are updated one after another and each gets its own result.
+app.post('/api/prs/housekeeping', async (req, res) => {
+  const { pullRequests: refs, dryRun: dryRunField, ...body } = req.body;
+  const dryRun = dryRunField === true || req.query.dryRun === 'true';
+
+  let pullRequests;
+  let changes;
+  try {
+    pullRequests = parsePullRequestRefs(refs);
+    changes = parseChanges(body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const results = [];
+  for (const pr of pullRequests) {
+    try {
+      results.push(await housekeepPullRequest(pr, changes, dryRun));
+    } catch (error) {
+      console.error(`❌ Housekeeping failed on ${pr.owner}/${pr.repo}#${pr.number}:`, error.message);
+      results.push({ ...pr, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  console.log(`🧹 Bulk housekeeping: ${succeeded}/${results.length} pull requests updated${dryRun ? ' (dry run)' : ''}`);
+  res.json({
+    success: succeeded === results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+    ...(dryRun ? { dryRun: true } : {})
+  });
+});
+
 // Refresh data for a specific PR (gets latest state)
 app.post('/api/repos/:owner/:repo/prs/:number/refresh', async (req, res) => {
   const { owner, repo, number } = req.params;
 
   try {
-    // Force fresh data by using gh API directly
-    const prData = executeGhCommand(
-      `gh api repos/${owner}/${repo}/pulls/${number}`
-    );
+    // Force fresh data by going to the API directly
+    const prData = await github.getPullRequest(owner, repo, number);
 
     // Get fresh comments
-    const freshComments = executeGhCommand(
-      `gh api repos/${owner}/${repo}/pulls/${number}/comments --paginate`
-    );
+    const freshComments = await github.listReviewComments(owner, repo, number);
 
     res.json({
       success: true,
@@ -486,18 +1683,47 @@ app.post('/api/repos/:owner/:repo/prs/:number/refresh', async (req, res) => {
   }
 });
 
-// Trigger manual data fetch
-app.post('/api/fetch-data', async (req, res) => {
+// Re-fetch one repository and merge it into the cached data (runs as a job)
+app.post('/api/repos/:owner/:repo/refresh', (req, res) => {
+  const { owner, repo } = req.params;
+
   try {
+    const { job, alreadyRunning } = startRepositoryFetchJob(owner, repo);
+
     res.json({
       success: true,
-      message: 'Data fetch started in background',
+      message: alreadyRunning
+        ? `Refresh of ${owner}/${repo} already in progress`
+        : `Refreshing ${owner}/${repo} in background`,
+      alreadyRunning,
+      jobId: job.id,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Trigger manual data fetch (pass { "incremental": true } to only re-fetch changed PRs)
+app.post('/api/fetch-data', async (req, res) => {
+  try {
+    const incremental = req.body.incremental === true || req.query.incremental === 'true';
+
+    // Runs in background as a job (joins the running fetch job if there is one)
+    const { job, alreadyRunning } = startFetchJob(incremental);
 
-    // Start fetch in background
-    dataFetcher.fetchAllData().catch(error => {
-      console.error('❌ Background fetch failed:', error.message);
+    res.json({
+      success: true,
+      message: alreadyRunning
+        ? 'Data fetch already in progress'
+        : `${incremental ? 'Incremental' : 'Full'} data fetch started in background`,
+      incremental,
+      alreadyRunning,
+      jobId: job.id,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
     res.status(500).json({
@@ -507,102 +1733,145 @@ app.post('/api/fetch-data', async (req, res) => {
   }
 });
 
-// Function to determine if a comment is actionable
-function isCommentActionable(commentBody) {
-  if (!commentBody) return { actionable: false };
+// Progress of the current (or last) data fetch
+app.get('/api/fetch-status', (req, res) => {
+  res.json({
+    success: true,
+    status: dataFetcher.getFetchStatus(),
+    lastUpdate: dataFetcher.getLastUpdateInfo()
+  });
+});
 
-  const body = commentBody.toLowerCase();
+// List background jobs (?type=fetch-data|analysis, ?status=running|completed|failed|cancelled)
+app.get('/api/jobs', (req, res) => {
+  const { type, status } = req.query;
+  res.json({ success: true, jobs: jobs.list({ type, status }) });
+});
 
-  // High severity actionable patterns
-  const highSeverityPatterns = [
-    /\b(fix|error|bug|broken|issue|problem|wrong)\b/,
-    /\b(security|vulnerability|exploit|dangerous)\b/,
-    /\b(performance|slow|inefficient|optimize)\b/,
-    /\b(memory leak|deadlock|race condition)\b/
-  ];
+// Job status, progress, logs and result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job ${req.params.id} not found`
+    });
+  }
+  res.json({ success: true, job });
+});
 
-  // Medium severity actionable patterns
-  const mediumSeverityPatterns = [
-    /\b(should|must|need to|have to|required)\b/,
-    /\b(refactor|restructure|reorganize|cleanup)\b/,
-    /\b(test|testing|unit test|integration test)\b/,
-    /\b(documentation|docs|comment|explain)\b/,
-    /\b(style|format|convention|standard)\b/
-  ];
+// Cancel a running job
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  if (!jobs.get(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `Job ${req.params.id} not found`
+    });
+  }
 
-  // Low severity actionable patterns
-  const lowSeverityPatterns = [
-    /\b(consider|suggest|might|could|perhaps)\b/,
-    /\b(improvement|enhancement|better)\b/,
-    /\b(question|clarification|understand)\b/,
-    /\b(naming|variable|function name)\b/
-  ];
+  try {
+    res.json({ success: true, job: jobs.cancel(req.params.id) });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-  // Question patterns
-  const questionPatterns = [
-    /\?/,
-    /\b(why|how|what|when|where|which)\b/,
-    /\b(can you|could you|would you)\b/
-  ];
+// Live server events (Server-Sent Events) - the event types are listed in EVENT_TYPES in event-stream.js
+app.get('/api/events', (req, res) => {
+  events.connect(req, res);
+});
 
-  // Request patterns
-  const requestPatterns = [
-    /\b(please|add|remove|change|update|modify)\b/,
-    /\b(implement|create|build|develop)\b/
-  ];
+// Explain how a comment body would be classified (optionally with a repository's
+// overrides, and the author filters for `author` / `prAuthor`)
+app.post('/api/classifier/test', (req, res) => {
+  const { body, repository, author, authorIsBot, prAuthor } = req.body;
 
-  for (const pattern of highSeverityPatterns) {
-    if (pattern.test(body)) {
-      return {
-        actionable: true,
-        type: 'fix_required',
-        severity: 'high'
-      };
-    }
+  if (typeof body !== 'string' || !body.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'body is required'
+    });
   }
 
-  for (const pattern of mediumSeverityPatterns) {
-    if (pattern.test(body)) {
-      return {
-        actionable: true,
-        type: 'improvement_needed',
-        severity: 'medium'
-      };
-    }
-  }
+  res.json({
+    success: true,
+    classification: classifier.classify(body, { repository, author, authorIsBot, prAuthor })
+  });
+});
 
-  for (const pattern of lowSeverityPatterns) {
-    if (pattern.test(body)) {
-      return {
-        actionable: true,
-        type: 'suggestion',
-        severity: 'low'
-      };
-    }
+// Label a classified comment: { repository, prNumber, commentType, commentId, body,
+// predicted, label: { actionable, type, severity }, labeledBy }. Retrains the
+// model when it's enabled.
+app.post('/api/classifier/feedback', (req, res) => {
+  try {
+    const entry = feedback.record(req.body || {});
+    const model = classifier.modelSettings.enabled ? feedback.train() : null;
+    res.json({
+      success: true,
+      feedback: entry,
+      model
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
   }
+});
 
-  for (const pattern of questionPatterns) {
-    if (pattern.test(body)) {
-      return {
-        actionable: true,
-        type: 'question',
-        severity: 'medium'
-      };
-    }
+// Labeled comments, newest first (?repository=owner/name)
+app.get('/api/classifier/feedback', (req, res) => {
+  const labels = feedback.list({ repository: req.query.repository });
+  res.json({
+    success: true,
+    count: labels.length,
+    labels
+  });
+});
+
+// Remove a label by its key ("owner/name#123:review_comment:456", URL-encoded)
+app.delete('/api/classifier/feedback/:key', (req, res) => {
+  if (!feedback.remove(req.params.key)) {
+    return res.status(404).json({
+      success: false,
+      error: `No feedback for ${req.params.key}`
+    });
   }
+  res.json({ success: true });
+});
 
-  for (const pattern of requestPatterns) {
-    if (pattern.test(body)) {
-      return {
-        actionable: true,
-        type: 'request',
-        severity: 'medium'
-      };
-    }
+// Precision/recall of the classifier and each rule against the labels (?repository=owner/name)
+app.get('/api/classifier/metrics', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      metrics: feedback.metrics({ repository: req.query.repository })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
+});
 
-  return { actionable: false };
-}
+// Retrain the naive Bayes model from all labels
+app.post('/api/classifier/train', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      model: feedback.train()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 // Get automated analysis results
 app.get('/api/analysis/latest', (req, res) => {
@@ -637,15 +1906,11 @@ app.get('/api/analysis/pr/:owner/:repo/:number', async (req, res) => {
   console.log(`🔍 PR Analysis request: ${owner}/${repo}/${number} - Query params:`, req.query);
 
   try {
-    // Get existing comments from GitHub (JSON format)
-    const prDetails = executeGhCommand(
-      `gh pr view ${number} --repo ${owner}/${repo} --json title,body,comments,author,createdAt,url`
-    );
+    // Get existing comments from GitHub
+    const prDetails = await github.getPullRequestDetails(owner, repo, number);
 
     // Get PR diff for Claude analysis (plain text format)
-    const prDiff = executeGhCommandRaw(
-      `gh pr diff ${number} --repo ${owner}/${repo}`
-    );
+    const prDiff = await github.getPullRequestDiff(owner, repo, number);
 
     // Check for archived Claude analysis first
     const archivePath = path.join(__dirname, 'claude-analysis-archive', `${owner}-${repo}-${number}.json`);
@@ -683,14 +1948,16 @@ app.get('/api/analysis/pr/:owner/:repo/:number', async (req, res) => {
       isFromArchive = false; // Mark as fresh for response
     }
 
+    // Publishing findings rewrites the archive, so the analysis time comes from its timestamp
+    const archived = loadClaudeArchive(owner, repo, number);
     res.json({
       success: true,
       pr: prDetails,
       existingComments: prDetails.comments || [],
-      claudeAnalysis: claudeAnalysis,
+      claudeAnalysis: withPublications(claudeAnalysis, archived ? archived.publications : []),
       isFromArchive: isFromArchive,
       diff: prDiff,
-      lastAnalyzed: isFromArchive ? fs.statSync(archivePath).mtime : new Date()
+      lastAnalyzed: isFromArchive ? (archived && archived.timestamp) || fs.statSync(archivePath).mtime : new Date()
     });
 
   } catch (error) {
@@ -701,6 +1968,170 @@ app.get('/api/analysis/pr/:owner/:repo/:number', async (req, res) => {
   }
 });
 
+// Publish selected analysis findings as one review, each an inline comment on its file
+// and line: { "findings": ["<finding id>", ...], "event": "COMMENT", "body": "summary" }.
+// Findings already posted as a review comment on their line (recognized by the
+// finding's hidden marker or its message) are skipped. The archive records
+// which findings went into which review. `dryRun` and Idempotency-Key work as for
+// posting a comment.
+app.post('/api/analysis/pr/:owner/:repo/:number/publish', async (req, res) => {
+  const { owner, repo, number } = req.params;
+  const event = (req.body.event || 'COMMENT').toUpperCase();
+  const body = (req.body.body || '').trim();
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const ids = Array.from(new Set(Array.isArray(req.body.findings) ? req.body.findings : []));
+
+  if (!REVIEW_EVENTS.includes(event)) {
+    return res.status(400).json({
+      success: false,
+      error: `event must be one of ${REVIEW_EVENTS.join(', ')}`
+    });
+  }
+  if (event === 'REQUEST_CHANGES' && !body) {
+    return res.status(400).json({
+      success: false,
+      error: 'A summary is required to request changes'
+    });
+  }
+  if (ids.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Select at least one finding to publish'
+    });
+  }
+
+  const archived = loadClaudeArchive(owner, repo, number);
+  if (!archived) {
+    return res.status(404).json({
+      success: false,
+      error: `No analysis archived for ${owner}/${repo}#${number} - analyze the PR first`
+    });
+  }
+  const findings = new Map((archived.analysis || []).map(issue => [analysisFindingId(issue), issue]));
+  const unknown = ids.filter(id => !findings.has(id));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown findings (re-run the analysis?): ${unknown.join(', ')}`
+    });
+  }
+
+  // Record the review in the archive and report which findings it carries
+  const published = async (review, selected, skipped) => {
+    const reviewComments = (await github.listReviewComments(owner, repo, number))
+      .filter(comment => comment.pull_request_review_id === review.id);
+    const publishedFindings = selected.map(({ id, issue }) => {
+      // Every finding comment carries its marker; a line match could be another finding's comment
+      const comment = reviewComments.find(candidate => (candidate.body || '').includes(analysisFindingMarker(id)));
+      return { id, path: issue.fileName, line: issue.fileLineNumber, commentUrl: comment ? comment.html_url : null };
+    });
+
+    recordAnalysisPublication(owner, repo, number, {
+      reviewId: review.id,
+      reviewUrl: review.html_url,
+      event,
+      publishedAt: new Date().toISOString(),
+      findings: publishedFindings,
+      skipped
+    });
+    events.publish('review.submitted', { owner, repo, number: parseInt(number), event, comments: publishedFindings.length, reviewUrl: review.html_url });
+    return {
+      status: 200,
+      body: {
+        success: true,
+        reviewId: review.id,
+        reviewUrl: review.html_url,
+        state: review.state,
+        published: publishedFindings,
+        skipped
+      }
+    };
+  };
+
+  const post = async marker => {
+    try {
+      // Skip findings already posted on their line - by this tool (the finding's marker)
+      // or by hand (the finding's message); other comments on the line don't count
+      const reviewComments = (await github.listReviewComments(owner, repo, number)).filter(comment => comment.line);
+      const alreadyPosted = (id, issue) => reviewComments.find(comment =>
+        comment.path === issue.fileName && comment.line === issue.fileLineNumber &&
+        ((comment.body || '').includes(analysisFindingMarker(id)) || (comment.body || '').includes(issue.message)));
+
+      const selected = [];
+      const skipped = [];
+      ids.forEach(id => {
+        const issue = findings.get(id);
+        if (!issue.fileName || !issue.fileLineNumber) {
+          skipped.push({ id, reason: 'No file line to comment on' });
+          return;
+        }
+        const existing = alreadyPosted(id, issue);
+        if (existing) {
+          skipped.push({ id, path: issue.fileName, line: issue.fileLineNumber, reason: 'Finding already posted on this line', commentUrl: existing.html_url });
+          return;
+        }
+        selected.push({ id, issue });
+      });
+
+      if (selected.length === 0) {
+        return { status: 200, body: { success: true, message: 'Nothing to publish - every selected finding was skipped', published: [], skipped } };
+      }
+
+      const commitId = (await github.getPullRequest(owner, repo, number)).head.sha;
+      const comments = selected.map(({ id, issue }) => ({
+        body: formatToolComment({ type: issue.type, severity: issue.severity, body: issue.message, marker: analysisFindingMarker(id) }),
+        path: issue.fileName,
+        line: issue.fileLineNumber,
+        side: 'RIGHT'
+      }));
+      const summary = body ? formatToolComment({ body, marker }) : marker;
+      const review = await github.createReview(owner, repo, number, { commitId, body: summary, event, comments }, { dryRun });
+
+      if (dryRun) {
+        return { status: 200, body: { success: true, dryRun: true, request: review, skipped } };
+      }
+      console.log(`✅ Published ${selected.length} analysis findings as a ${event} review on ${owner}/${repo}#${number}:`, review.html_url);
+      return published(review, selected, skipped);
+    } catch (error) {
+      // 422: a finding's line isn't in the PR's current diff
+      console.error('❌ Error publishing analysis findings:', error.message);
+      if (error.status === 422) {
+        return { status: 422, body: { success: false, error: error.message } };
+      }
+      throw error;
+    }
+  };
+
+  // An earlier attempt created the review: the findings it carries are the ones whose
+  // marker is on one of its comments; the rest were left out of it
+  const findExisting = async marker => {
+    const reviews = await github.listReviews(owner, repo, number);
+    const existing = reviews.find(review => (review.body || '').includes(marker));
+    if (!existing) return null;
+
+    const reviewBodies = (await github.listReviewComments(owner, repo, number))
+      .filter(comment => comment.pull_request_review_id === existing.id)
+      .map(comment => comment.body || '');
+    const selected = [];
+    const skipped = [];
+    ids.forEach(id => {
+      const issue = findings.get(id);
+      if (reviewBodies.some(commentBody => commentBody.includes(analysisFindingMarker(id)))) {
+        selected.push({ id, issue });
+      } else if (!issue.fileName || !issue.fileLineNumber) {
+        skipped.push({ id, reason: 'No file line to comment on' });
+      } else {
+        skipped.push({ id, path: issue.fileName, line: issue.fileLineNumber, reason: 'Not included in the published review' });
+      }
+    });
+
+    console.log(`✅ Analysis findings were already published on ${owner}/${repo}#${number}:`, existing.html_url);
+    return published(existing, selected, skipped);
+  };
+
+  await postOnce(req, res, { dryRun, post, findExisting });
+});
+
 // Analyze PR diff for Claude-specific issues
 function analyzePRDiff(diff, repoName, prNumber) {
   const issues = [];
@@ -993,7 +2424,20 @@ function analyzePRDiff(diff, repoName, prNumber) {
   return issues;
 }
 
-// Save Claude analysis to archive
+// Archived analysis for a PR, or null
+function loadClaudeArchive(owner, repo, prNumber) {
+  const archivePath = path.join(__dirname, 'claude-analysis-archive', `${owner}-${repo}-${prNumber}.json`);
+  try {
+    if (fs.existsSync(archivePath)) {
+      return JSON.parse(fs.readFileSync(archivePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading archived analysis:', error.message);
+  }
+  return null;
+}
+
+// Save Claude analysis to archive, keeping the record of published findings
 function saveClaudeAnalysis(owner, repo, prNumber, analysis) {
   try {
     const archiveDir = path.join(__dirname, 'claude-analysis-archive');
@@ -1001,11 +2445,13 @@ function saveClaudeAnalysis(owner, repo, prNumber, analysis) {
       fs.mkdirSync(archiveDir, { recursive: true });
     }
 
+    const previous = loadClaudeArchive(owner, repo, prNumber);
     const archiveData = {
       owner,
       repo,
       prNumber,
       analysis,
+      publications: previous ? previous.publications || [] : [],
       timestamp: new Date().toISOString(),
       version: '1.0'
     };
@@ -1018,6 +2464,59 @@ function saveClaudeAnalysis(owner, repo, prNumber, analysis) {
   }
 }
 
+// Add a review made from analysis findings to the PR's archive (replacing an earlier
+// record of the same review): { reviewId, reviewUrl, event, publishedAt, findings, skipped }
+function recordAnalysisPublication(owner, repo, prNumber, publication) {
+  const archived = loadClaudeArchive(owner, repo, prNumber);
+  if (!archived) return;
+
+  archived.publications = (archived.publications || [])
+    .filter(existing => existing.reviewId !== publication.reviewId)
+    .concat(publication);
+  const archivePath = path.join(__dirname, 'claude-analysis-archive', `${owner}-${repo}-${prNumber}.json`);
+  const tmpFile = `${archivePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(archived, null, 2));
+  fs.renameSync(tmpFile, archivePath);
+  console.log(`💾 Recorded ${publication.findings.length} published findings for PR #${prNumber}`);
+}
+
+// A finding is the same across re-analyses when its file, line, type and message match
+function analysisFindingKey(issue) {
+  return `${issue.fileName}:${issue.fileLineNumber}:${issue.type}:${issue.message.substring(0, 50)}`;
+}
+
+// Short stable id for selecting a finding. Hashes the whole message: findings on one
+// line can share the start of their message and still need their own ids.
+function analysisFindingId(issue) {
+  const key = `${issue.fileName}:${issue.fileLineNumber}:${issue.type}:${issue.message}`;
+  return crypto.createHash('sha1').update(key).digest('hex').substring(0, 12);
+}
+
+// Hidden HTML comment added to a published finding so it can be recognized on the PR
+function analysisFindingMarker(id) {
+  return `<!-- pr-comment-tool:finding=${id} -->`;
+}
+
+// Findings with their id and, once published, where: { reviewId, reviewUrl, commentUrl, publishedAt }
+function withPublications(analysis, publications = []) {
+  const publishedById = new Map();
+  (publications || []).forEach(publication => {
+    publication.findings.forEach(finding => {
+      publishedById.set(finding.id, {
+        reviewId: publication.reviewId,
+        reviewUrl: publication.reviewUrl,
+        commentUrl: finding.commentUrl,
+        publishedAt: publication.publishedAt
+      });
+    });
+  });
+
+  return analysis.map(issue => {
+    const id = analysisFindingId(issue);
+    return { ...issue, id, published: publishedById.get(id) || null };
+  });
+}
+
 // Smart merge existing analysis with fresh analysis
 function smartMergeAnalysis(existingAnalysis, freshAnalysis, currentDiff) {
   const merged = [];
@@ -1025,13 +2524,12 @@ function smartMergeAnalysis(existingAnalysis, freshAnalysis, currentDiff) {
 
   // Create hashes for fresh issues to detect duplicates
   freshAnalysis.forEach(issue => {
-    const hash = `${issue.fileName}:${issue.fileLineNumber}:${issue.type}:${issue.message.substring(0, 50)}`;
-    freshIssueHashes.add(hash);
+    freshIssueHashes.add(analysisFindingKey(issue));
   });
 
   // Check which existing issues are still relevant
   existingAnalysis.forEach(existingIssue => {
-    const hash = `${existingIssue.fileName}:${existingIssue.fileLineNumber}:${existingIssue.type}:${existingIssue.message.substring(0, 50)}`;
+    const hash = analysisFindingKey(existingIssue);
 
     // Keep existing issue if it's still found in fresh analysis or if the line still exists in diff
     if (freshIssueHashes.has(hash) || isLineStillInDiff(existingIssue, currentDiff)) {
@@ -1047,11 +2545,8 @@ function smartMergeAnalysis(existingAnalysis, freshAnalysis, currentDiff) {
 
   // Add genuinely new issues
   freshAnalysis.forEach(freshIssue => {
-    const hash = `${freshIssue.fileName}:${freshIssue.fileLineNumber}:${freshIssue.type}:${freshIssue.message.substring(0, 50)}`;
-    const existingIssue = merged.find(existing => {
-      const existingHash = `${existing.fileName}:${existing.fileLineNumber}:${existing.type}:${existing.message.substring(0, 50)}`;
-      return existingHash === hash;
-    });
+    const hash = analysisFindingKey(freshIssue);
+    const existingIssue = merged.find(existing => analysisFindingKey(existing) === hash);
 
     if (!existingIssue) {
       merged.push({
@@ -1148,22 +2643,16 @@ app.get('/api/analysis/history', (req, res) => {
 // Trigger manual analysis
 app.post('/api/analysis/run', async (req, res) => {
   try {
+    // Runs in background as a job (joins the running analysis if there is one)
+    const { job, alreadyRunning } = startAnalysisJob();
+
     res.json({
       success: true,
-      message: 'Analysis started in background',
+      message: alreadyRunning ? 'Analysis already in progress' : 'Analysis started in background',
+      alreadyRunning,
+      jobId: job.id,
       timestamp: new Date().toISOString()
     });
-
-    // Start analysis in background
-    const { spawn } = require('child_process');
-    const analysisProcess = spawn('node', ['code-analysis-runner.js'], {
-      cwd: __dirname,
-      detached: true,
-      stdio: 'ignore'
-    });
-
-    analysisProcess.unref(); // Allow parent to exit
-
   } catch (error) {
     res.status(500).json({
       success: false,
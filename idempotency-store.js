@@ -0,0 +1,138 @@
+/**
+ * Idempotency Store
+ * Makes posting to GitHub safe to retry. A request carrying an idempotency key
+ * runs once: repeats of a finished request get the stored response back, and a
+ * repeat that arrives while the first is still running waits for it. Keys are
+ * kept in data/idempotency-keys.json for 24 hours.
+ *
+ * An attempt that failed midway (or a server that died mid-request) may still
+ * have created the comment on GitHub, so a retry of an unfinished key is given
+ * the previous attempt and can look for the comment - the server tags each post
+ * with a hidden marker (idempotencyMarker) - before posting again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, 'data', 'idempotency-keys.json');
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// Hidden HTML comment added to posted bodies so an earlier attempt can be recognized
+function idempotencyMarker(key) {
+  return `<!-- pr-comment-tool:idempotency-key=${key} -->`;
+}
+
+function validateKey(key) {
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw new Error(`Idempotency key must be 1-${MAX_KEY_LENGTH} characters`);
+  }
+  // The key ends up inside an HTML comment in the posted body
+  if (/[<>\s]/.test(key)) {
+    throw new Error('Idempotency key must not contain spaces or angle brackets');
+  }
+}
+
+// Stable hash of what a request asks for, to catch a key reused for something else
+function requestFingerprint(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+class IdempotencyStore {
+  constructor({ file = process.env.IDEMPOTENCY_KEYS_FILE || DEFAULT_KEYS_FILE, ttlHours = DEFAULT_TTL_HOURS } = {}) {
+    this.file = file;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.inFlight = new Map(); // key -> { fingerprint, promise }
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading idempotency keys:', error.message);
+    }
+    return { keys: {} };
+  }
+
+  // Save, dropping keys past their time to live
+  save(store) {
+    const cutoff = Date.now() - this.ttlMs;
+    Object.keys(store.keys).forEach(key => {
+      if (new Date(store.keys[key].createdAt).getTime() < cutoff) delete store.keys[key];
+    });
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  updateRecord(key, changes) {
+    const store = this.load();
+    store.keys[key] = { ...(store.keys[key] || {}), ...changes };
+    this.save(store);
+  }
+
+  // Run `fn(previousAttempt)` at most once per key. `fn` returns { status, body };
+  // responses below 500 are stored and replayed, anything else leaves the key
+  // unfinished so it can be retried. Resolves to { result, replayed } or
+  // { conflict } when the key was used for a different request.
+  async run(key, fingerprint, fn) {
+    validateKey(key);
+
+    const running = this.inFlight.get(key);
+    if (running) {
+      if (running.fingerprint !== fingerprint) return { conflict: true };
+      return { result: await running.promise, replayed: true };
+    }
+
+    const stored = this.load().keys[key];
+    const previous = stored && new Date(stored.createdAt).getTime() >= Date.now() - this.ttlMs ? stored : null;
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) return { conflict: true };
+      if (previous.status === 'completed') return { result: previous.result, replayed: true };
+    }
+
+    const promise = (async () => {
+      this.updateRecord(key, {
+        fingerprint,
+        status: 'pending',
+        createdAt: previous ? previous.createdAt : new Date().toISOString(),
+        attempts: (previous ? previous.attempts || 0 : 0) + 1
+      });
+
+      let result;
+      try {
+        result = await fn(previous);
+      } catch (error) {
+        this.updateRecord(key, { status: 'failed', error: error.message });
+        throw error;
+      }
+
+      if (result.status < 500) {
+        this.updateRecord(key, { status: 'completed', result, error: undefined, completedAt: new Date().toISOString() });
+      } else {
+        this.updateRecord(key, { status: 'failed', error: result.body && result.body.error });
+      }
+      return result;
+    })();
+
+    this.inFlight.set(key, { fingerprint, promise });
+    try {
+      return { result: await promise, replayed: false };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
+module.exports.idempotencyMarker = idempotencyMarker;
+module.exports.requestFingerprint = requestFingerprint;
+module.exports.validateKey = validateKey;
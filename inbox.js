@@ -0,0 +1,126 @@
+/**
+ * Inbox
+ * What one user needs to respond to across the monitored repositories,
+ * gathered from the cached PR data:
+ *   - questions directed at them (on their PRs or @mentioning them) that they
+ *     haven't answered yet;
+ *   - other comments that @mention them and are waiting on them;
+ *   - outstanding actionable comments on PRs they authored;
+ *   - PRs waiting for their review.
+ * Each comment lands in the first of those sections it fits. The cache only
+ * keeps actionable comments, so review requests and mentions elsewhere come
+ * from GitHub searches the caller passes in.
+ */
+
+const { stripMarkdown } = require('./comment-parser');
+const { isOutstanding } = require('./review-threads');
+
+const SECTIONS = ['questions', 'mentions', 'authored', 'reviewRequested'];
+
+// Whether a comment's prose @mentions `login` (mentions in code or quotes don't count)
+function mentionsUser(body, login) {
+  const escaped = login.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w@/.-])@${escaped}(?![\\w-])`, 'i').test(stripMarkdown(body));
+}
+
+// Build { user, sections: { questions, mentions, authored, reviewRequested }, counts, total }.
+// `reviewRequested` and `mentioned` are open PRs from searchPullRequests, already
+// narrowed to monitored repositories.
+function buildInbox(data, user, { reviewRequested = [], mentioned = [] } = {}) {
+  const isUser = login => Boolean(login) && login.toLowerCase() === user.toLowerCase();
+  const sections = Object.fromEntries(SECTIONS.map(section => [section, []]));
+  const prsWithMentions = new Set(); // "owner/name#number" with a cached comment mentioning the user
+
+  (data.repositories || []).forEach(repo => {
+    const repository = `${repo.owner}/${repo.name}`;
+
+    repo.pullRequests.forEach(pr => {
+      const prAuthor = pr.author ? pr.author.login : null;
+      const context = { repository, prNumber: pr.number, prTitle: pr.title, prUrl: pr.url, prAuthor };
+
+      pr.actionableComments.filter(isOutstanding).forEach(comment => {
+        const raisedBy = comment.raisedBy || comment.author;
+        if (isUser(raisedBy)) return; // their own feedback to others
+
+        const messages = [comment, ...(comment.replies || [])];
+        const mentions = messages.filter(message => !isUser(message.author) && mentionsUser(message.body, user));
+        if (mentions.length > 0) prsWithMentions.add(`${repository}#${pr.number}`.toLowerCase());
+
+        // Waiting on the user until they've had the last word in the conversation
+        const awaitingUser = !isUser(comment.lastResponder || comment.author);
+        const directed = isUser(prAuthor) || mentions.length > 0;
+        const item = {
+          kind: 'comment',
+          ...context,
+          id: comment.id,
+          type: comment.type,
+          author: raisedBy,
+          body: comment.body,
+          url: comment.url,
+          createdAt: comment.createdAt,
+          actionType: comment.actionType,
+          severity: comment.severity,
+          lastResponder: comment.lastResponder || null,
+          lastActivityAt: comment.lastActivityAt || comment.createdAt,
+          acknowledged: Boolean(comment.acknowledged)
+        };
+
+        if (comment.actionType === 'question' && directed && awaitingUser) {
+          sections.questions.push(item);
+        } else if (mentions.length > 0 && awaitingUser) {
+          // Point at the latest message that mentions them
+          const mention = mentions[mentions.length - 1];
+          sections.mentions.push({
+            ...item,
+            mentionedBy: mention.author,
+            mentionUrl: mention.url,
+            lastActivityAt: mention.createdAt
+          });
+        } else if (isUser(prAuthor)) {
+          sections.authored.push(item);
+        }
+      });
+    });
+  });
+
+  // Mentions the cache can't see (non-actionable comments, PR descriptions, uncached PRs)
+  mentioned
+    .filter(pr => !isUser(pr.author.login) && !prsWithMentions.has(`${pr.repository}#${pr.number}`.toLowerCase()))
+    .forEach(pr => sections.mentions.push(pullRequestItem(pr)));
+
+  reviewRequested.forEach(pr => sections.reviewRequested.push(pullRequestItem(pr)));
+
+  // Most recent activity first
+  SECTIONS.forEach(section => {
+    sections[section].sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  });
+
+  const counts = Object.fromEntries(SECTIONS.map(section => [section, sections[section].length]));
+  return {
+    user,
+    sections,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+// Inbox item for a whole PR from a search result
+function pullRequestItem(pr) {
+  return {
+    kind: 'pull_request',
+    repository: pr.repository,
+    prNumber: pr.number,
+    prTitle: pr.title,
+    prUrl: pr.url,
+    prAuthor: pr.author.login,
+    isDraft: pr.isDraft,
+    createdAt: pr.createdAt,
+    lastActivityAt: pr.updatedAt
+  };
+}
+
+module.exports = {
+  SECTIONS,
+  mentionsUser,
+  buildInbox
+};
@@ -0,0 +1,153 @@
+/**
+ * Job Manager
+ * Tracks long-running background work (data fetches, analysis runs) as jobs
+ * with an id, status, progress, logs and result. Starting a job whose key is
+ * already running returns the running job instead of starting a second one.
+ * Emits 'updated' with the job summary whenever a job changes.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const MAX_LOG_LINES = 500;
+const PROGRESS_THROTTLE = 1000; // at most one progress update per job per second
+
+class JobManager extends EventEmitter {
+  constructor({ maxFinishedJobs = 50 } = {}) {
+    super();
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.jobs = new Map();   // id -> { job, controller, cancelHandlers, lastProgressAt }
+    this.running = new Map(); // dedupe key -> job id
+  }
+
+  // Start `handler` as a job, or join the running job with the same key.
+  // The handler gets { log, setProgress, onCancel, signal } and its return value becomes the job result.
+  start(type, handler, { key = type, params = {} } = {}) {
+    const runningId = this.running.get(key);
+    if (runningId) {
+      return { job: this.get(runningId), alreadyRunning: true };
+    }
+
+    const job = {
+      id: `${type}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      key,
+      params,
+      status: 'running',
+      progress: null,
+      logs: [],
+      result: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    const entry = { job, controller: new AbortController(), cancelHandlers: [], lastProgressAt: 0 };
+    this.jobs.set(job.id, entry);
+    this.running.set(key, job.id);
+
+    const context = {
+      signal: entry.controller.signal,
+      log: message => this.log(entry, message),
+      setProgress: progress => this.setProgress(entry, progress),
+      onCancel: cancelHandler => entry.cancelHandlers.push(cancelHandler)
+    };
+
+    console.log(`⚙️  Job ${job.id} started`);
+    this.emitUpdate(job);
+
+    Promise.resolve()
+      .then(() => handler(context))
+      .then(result => {
+        job.result = result === undefined ? null : result;
+        job.status = entry.controller.signal.aborted ? 'cancelled' : 'completed';
+      })
+      .catch(error => {
+        job.error = error.message;
+        job.status = entry.controller.signal.aborted ? 'cancelled' : 'failed';
+        this.log(entry, `Error: ${error.message}`);
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.running.delete(key);
+        console.log(`⚙️  Job ${job.id} ${job.status}`);
+        this.emitUpdate(job);
+        this.prune();
+      });
+
+    return { job: this.get(job.id), alreadyRunning: false };
+  }
+
+  log(entry, message) {
+    entry.job.logs.push({ time: new Date().toISOString(), message });
+    if (entry.job.logs.length > MAX_LOG_LINES) {
+      entry.job.logs.shift();
+    }
+  }
+
+  setProgress(entry, progress) {
+    entry.job.progress = progress;
+
+    const now = Date.now();
+    if (now - entry.lastProgressAt >= PROGRESS_THROTTLE) {
+      entry.lastProgressAt = now;
+      this.emitUpdate(entry.job);
+    }
+  }
+
+  // Ask a running job to stop. Returns the job, or throws if it can't be cancelled.
+  cancel(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (entry.job.status !== 'running') {
+      throw new Error(`Job ${id} is already ${entry.job.status}`);
+    }
+
+    entry.job.status = 'cancelling';
+    this.log(entry, 'Cancellation requested');
+    entry.controller.abort();
+    entry.cancelHandlers.forEach(cancelHandler => {
+      try {
+        cancelHandler();
+      } catch (error) {
+        console.error(`Error cancelling job ${id}:`, error.message);
+      }
+    });
+
+    this.emitUpdate(entry.job);
+    return this.get(id);
+  }
+
+  // Full job including logs, or null
+  get(id) {
+    const entry = this.jobs.get(id);
+    return entry ? { ...entry.job, logs: [...entry.job.logs] } : null;
+  }
+
+  // Job summaries (without logs), newest first
+  list({ type, status } = {}) {
+    return Array.from(this.jobs.values())
+      .map(entry => this.summarize(entry.job))
+      .filter(job => (!type || job.type === type) && (!status || job.status === status))
+      .reverse();
+  }
+
+  summarize(job) {
+    const { logs, ...summary } = job;
+    return { ...summary, lastLog: logs.length > 0 ? logs[logs.length - 1].message : null };
+  }
+
+  emitUpdate(job) {
+    this.emit('updated', this.summarize(job));
+  }
+
+  // Forget the oldest finished jobs beyond the history limit
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(entry => entry.job.finishedAt);
+    finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))
+      .forEach(entry => this.jobs.delete(entry.job.id));
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,78 @@
+/**
+ * Naive Bayes Text Classifier
+ * Multinomial naive Bayes over word unigrams and bigrams with Laplace
+ * smoothing. Small enough to retrain from scratch on every request and to
+ * store as plain JSON.
+ */
+
+// Lowercased words (plus "?") and adjacent word pairs
+function tokenize(text) {
+  const words = (text || '').toLowerCase().match(/[a-z][a-z0-9_'-]*|\?/g) || [];
+  const bigrams = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+  return words.concat(bigrams);
+}
+
+class NaiveBayesClassifier {
+  constructor() {
+    this.classes = {};    // label -> { documents, tokens, counts: { token: n } }
+    this.vocabulary = {}; // token -> 1
+    this.documents = 0;
+  }
+
+  train(text, label) {
+    const tokens = tokenize(text);
+    const entry = this.classes[label] || (this.classes[label] = { documents: 0, tokens: 0, counts: {} });
+
+    entry.documents++;
+    this.documents++;
+    tokens.forEach(token => {
+      entry.counts[token] = (entry.counts[token] || 0) + 1;
+      entry.tokens++;
+      this.vocabulary[token] = 1;
+    });
+    return this;
+  }
+
+  // { label, probabilities: { label: p } }, or null before any training
+  predict(text) {
+    const labels = Object.keys(this.classes);
+    if (labels.length === 0) return null;
+
+    const tokens = tokenize(text);
+    const vocabularySize = Object.keys(this.vocabulary).length;
+    const logScores = {};
+
+    labels.forEach(label => {
+      const entry = this.classes[label];
+      let score = Math.log(entry.documents / this.documents);
+      tokens.forEach(token => {
+        score += Math.log(((entry.counts[token] || 0) + 1) / (entry.tokens + vocabularySize));
+      });
+      logScores[label] = score;
+    });
+
+    // Normalize log scores into probabilities without overflowing
+    const max = Math.max(...Object.values(logScores));
+    const exponentials = Object.fromEntries(labels.map(label => [label, Math.exp(logScores[label] - max)]));
+    const total = Object.values(exponentials).reduce((sum, value) => sum + value, 0);
+    const probabilities = Object.fromEntries(labels.map(label => [label, exponentials[label] / total]));
+    const best = labels.reduce((a, b) => (probabilities[b] > probabilities[a] ? b : a));
+
+    return { label: best, probabilities };
+  }
+
+  toJSON() {
+    return { classes: this.classes, vocabulary: this.vocabulary, documents: this.documents };
+  }
+
+  static fromJSON(json = {}) {
+    const model = new NaiveBayesClassifier();
+    model.classes = json.classes || {};
+    model.vocabulary = json.vocabulary || {};
+    model.documents = json.documents || 0;
+    return model;
+  }
+}
+
+module.exports = NaiveBayesClassifier;
+module.exports.tokenize = tokenize;
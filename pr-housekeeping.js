@@ -0,0 +1,167 @@
+/**
+ * PR Housekeeping
+ * Label, reviewer, assignee and draft changes for pull requests, made from the
+ * tool for one PR or for several selected together. A change set looks like:
+ *
+ *   { "addLabels": ["needs-tests"], "removeLabels": ["wip"],
+ *     "requestReviewers": ["bob", "h1-aot/core"], "removeReviewers": [],
+ *     "addAssignees": ["alice"], "removeAssignees": [], "draft": false }
+ *
+ * Reviewers with a slash are teams ("org/team-slug"). Changes that are already
+ * in place (removing a label the PR doesn't have, marking a draft as draft) are
+ * skipped, so the same change set can be applied to PRs in different states.
+ */
+
+const CHANGE_LISTS = ['addLabels', 'removeLabels', 'requestReviewers', 'removeReviewers', 'addAssignees', 'removeAssignees'];
+const MAX_BULK_PULL_REQUESTS = 50;
+
+// Accept a list or a comma-separated string; entries are trimmed and deduplicated
+function parseList(value, name) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  if (items.some(item => typeof item !== 'string')) {
+    throw new Error(`${name} must be a list of names`);
+  }
+  return Array.from(new Set(items.map(item => item.trim()).filter(Boolean)));
+}
+
+// Validate a change set from a request body; throws when it asks for nothing
+function parseChanges(body = {}) {
+  const changes = Object.fromEntries(CHANGE_LISTS.map(name => [name, parseList(body[name], name)]));
+
+  if (body.draft !== undefined && body.draft !== null && typeof body.draft !== 'boolean') {
+    throw new Error('draft must be true (convert to draft) or false (ready for review)');
+  }
+  changes.draft = typeof body.draft === 'boolean' ? body.draft : null;
+
+  if (CHANGE_LISTS.every(name => changes[name].length === 0) && changes.draft === null) {
+    throw new Error(`Nothing to change - give any of ${CHANGE_LISTS.join(', ')} or draft`);
+  }
+  return changes;
+}
+
+// "owner/repo#12" (or { owner, repo, number }) to { owner, repo, number }
+function parsePullRequestRef(ref) {
+  if (ref && typeof ref === 'object') {
+    const number = parseInt(ref.number);
+    if (!ref.owner || !ref.repo || !(number > 0)) {
+      throw new Error('Pull requests need an owner, repo and number');
+    }
+    return { owner: ref.owner, repo: ref.repo, number };
+  }
+
+  const match = /^([\w.-]+)\/([\w.-]+)#(\d+)$/.exec(String(ref || '').trim());
+  if (!match) {
+    throw new Error(`"${ref}" isn't a pull request - expected owner/repo#123`);
+  }
+  return { owner: match[1], repo: match[2], number: parseInt(match[3]) };
+}
+
+// The PR list of a bulk request
+function parsePullRequestRefs(refs) {
+  if (!Array.isArray(refs) || refs.length === 0) {
+    throw new Error('Select at least one pull request');
+  }
+  if (refs.length > MAX_BULK_PULL_REQUESTS) {
+    throw new Error(`At most ${MAX_BULK_PULL_REQUESTS} pull requests at a time`);
+  }
+  const parsed = refs.map(parsePullRequestRef);
+  const seen = new Set();
+  return parsed.filter(pr => {
+    const key = `${pr.owner}/${pr.repo}#${pr.number}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Split reviewers into user logins and team slugs
+function splitReviewers(reviewers) {
+  return {
+    reviewers: reviewers.filter(reviewer => !reviewer.includes('/')),
+    teamReviewers: reviewers.filter(reviewer => reviewer.includes('/')).map(reviewer => reviewer.split('/')[1])
+  };
+}
+
+function sameName(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// The fields housekeeping changes, from getPullRequestDetails
+function housekeepingState(details) {
+  return {
+    isDraft: details.isDraft,
+    reviewDecision: details.reviewDecision,
+    labels: details.labels,
+    assignees: details.assignees,
+    requestedReviewers: details.requestedReviewers
+  };
+}
+
+// Apply a change set to one PR. Each change is its own GitHub call; one failing
+// doesn't stop the rest. Resolves to { state, applied, skipped, failed, pullRequest }
+// where pullRequest holds the housekeeping fields afterwards; with `dryRun` the
+// applied steps carry the requests that would be sent instead.
+async function applyChanges(github, { owner, repo, number }, changes, { dryRun = false } = {}) {
+  const details = await github.getPullRequestDetails(owner, repo, number);
+  const has = (list, name) => list.some(existing => sameName(existing, name));
+
+  const steps = [];
+  const skipped = [];
+  const plan = (action, names, current, wanted, run) => {
+    const todo = names.filter(name => has(current, name) !== wanted);
+    names.filter(name => !todo.includes(name)).forEach(name =>
+      skipped.push({ action, name, reason: wanted ? 'already there' : 'not there' }));
+    if (todo.length > 0) steps.push({ action, names: todo, run: () => run(todo) });
+  };
+  const options = { dryRun };
+
+  plan('addLabels', changes.addLabels, details.labels, true, labels => github.addLabels(owner, repo, number, labels, options));
+  // GitHub removes labels one at a time
+  changes.removeLabels.forEach(label => plan('removeLabels', [label], details.labels, false,
+    () => github.removeLabel(owner, repo, number, label, options)));
+  plan('requestReviewers', changes.requestReviewers, details.requestedReviewers, true,
+    reviewers => github.requestReviewers(owner, repo, number, splitReviewers(reviewers), options));
+  plan('removeReviewers', changes.removeReviewers, details.requestedReviewers, false,
+    reviewers => github.removeRequestedReviewers(owner, repo, number, splitReviewers(reviewers), options));
+  plan('addAssignees', changes.addAssignees, details.assignees, true, assignees => github.addAssignees(owner, repo, number, assignees, options));
+  plan('removeAssignees', changes.removeAssignees, details.assignees, false, assignees => github.removeAssignees(owner, repo, number, assignees, options));
+
+  if (changes.draft !== null) {
+    const action = changes.draft ? 'convertToDraft' : 'markReadyForReview';
+    if (details.isDraft === changes.draft) {
+      skipped.push({ action, reason: changes.draft ? 'already a draft' : 'already ready for review' });
+    } else {
+      steps.push({ action, names: [], run: () => github.setDraft(details.nodeId, changes.draft, options) });
+    }
+  }
+
+  const applied = [];
+  const failed = [];
+  for (const step of steps) {
+    try {
+      const result = await step.run();
+      applied.push({ action: step.action, names: step.names, ...(dryRun ? { request: result } : {}) });
+    } catch (error) {
+      console.error(`❌ ${step.action} failed on ${owner}/${repo}#${number}:`, error.message);
+      failed.push({ action: step.action, names: step.names, status: error.status || null, error: error.message });
+    }
+  }
+
+  const pullRequest = dryRun || applied.length === 0
+    ? housekeepingState(details)
+    : housekeepingState(await github.getPullRequestDetails(owner, repo, number));
+  if (applied.length > 0 && !dryRun) {
+    console.log(`🧹 ${owner}/${repo}#${number}: ${applied.map(step => step.action).join(', ')}`);
+  }
+  return { state: details.state, applied, skipped, failed, pullRequest };
+}
+
+module.exports = {
+  CHANGE_LISTS,
+  MAX_BULK_PULL_REQUESTS,
+  parseChanges,
+  parsePullRequestRef,
+  parsePullRequestRefs,
+  applyChanges
+};
@@ -0,0 +1,155 @@
+/**
+ * PR Lifecycle Metrics
+ * Turns PR history (open, closed and merged PRs with their reviews) into
+ * lifecycle records, and aggregates them per repository and per author:
+ * time to first review, time to approval, review rounds and time to merge.
+ * Durations are reported in hours. Records also keep each PR's review
+ * requests for SLA tracking (review-sla.js).
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// One entry per requested reviewer (user or team): when they were last asked,
+// whether the request is still pending and, for users, when they reviewed after it.
+// Withdrawn requests are dropped.
+function buildReviewRequests(pr, reviews) {
+  const pending = new Set((pr.reviewRequests || []).map(reviewer => reviewer.login.toLowerCase()));
+  const requests = new Map();
+
+  (pr.reviewRequestEvents || [])
+    .slice()
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(event => {
+      const key = event.reviewer.login.toLowerCase();
+      if (event.action === 'removed') {
+        requests.delete(key);
+      } else {
+        // A re-request restarts the clock
+        requests.set(key, { reviewer: event.reviewer.login, isTeam: event.reviewer.is_team, requestedAt: event.createdAt });
+      }
+    });
+
+  // Pending requests older than the timeline we fetched count from PR creation
+  (pr.reviewRequests || []).forEach(reviewer => {
+    const key = reviewer.login.toLowerCase();
+    if (!requests.has(key)) {
+      requests.set(key, { reviewer: reviewer.login, isTeam: reviewer.is_team, requestedAt: pr.createdAt });
+    }
+  });
+
+  return Array.from(requests.entries()).map(([key, request]) => {
+    const review = request.isTeam ? null : reviews.find(candidate =>
+      candidate.author.login.toLowerCase() === key && new Date(candidate.submittedAt) >= new Date(request.requestedAt));
+    return {
+      ...request,
+      pending: pending.has(key),
+      reviewedAt: review ? review.submittedAt : null
+    };
+  });
+}
+
+// Lifecycle record for one PR from listPullRequestHistory() output
+function buildLifecycle(pr) {
+  const author = pr.author.login;
+
+  // Reviews from anyone but the author, oldest first (PENDING reviews have no submittedAt)
+  const reviews = pr.reviews
+    .filter(review => review.submittedAt && review.author.login !== author)
+    .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  const firstApproval = reviews.find(review => review.state === 'APPROVED');
+  const changeRequests = reviews.filter(review => review.state === 'CHANGES_REQUESTED').length;
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    url: pr.url,
+    author,
+    isBot: pr.author.is_bot,
+    state: pr.state,
+    isDraft: pr.isDraft,
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    closedAt: pr.closedAt,
+    mergedAt: pr.mergedAt,
+    firstReviewAt: reviews.length > 0 ? reviews[0].submittedAt : null,
+    approvedAt: firstApproval ? firstApproval.submittedAt : null,
+    reviewers: Array.from(new Set(reviews.map(review => review.author.login))),
+    // Each request for changes is a round, and so is the approving one (a PR with
+    // only comments has had one round)
+    reviewRounds: reviews.length > 0 ? Math.max(1, changeRequests + (firstApproval ? 1 : 0)) : 0,
+    reviewRequests: buildReviewRequests(pr, reviews)
+  };
+}
+
+function hoursBetween(from, to) {
+  return from && to ? (new Date(to) - new Date(from)) / HOUR : null;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// { count, median, average } of the non-null values
+function describe(values) {
+  const present = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (present.length === 0) {
+    return { count: 0, median: null, average: null };
+  }
+
+  const middle = Math.floor(present.length / 2);
+  const median = present.length % 2 === 0 ? (present[middle - 1] + present[middle]) / 2 : present[middle];
+  const average = present.reduce((sum, value) => sum + value, 0) / present.length;
+  return { count: present.length, median: round(median), average: round(average) };
+}
+
+// Aggregate metrics for a list of lifecycle records
+function summarize(lifecycles) {
+  return {
+    pullRequests: lifecycles.length,
+    open: lifecycles.filter(pr => pr.state === 'OPEN').length,
+    merged: lifecycles.filter(pr => pr.state === 'MERGED').length,
+    closed: lifecycles.filter(pr => pr.state === 'CLOSED').length,
+    timeToFirstReview: describe(lifecycles.map(pr => hoursBetween(pr.createdAt, pr.firstReviewAt))),
+    timeToApproval: describe(lifecycles.map(pr => hoursBetween(pr.createdAt, pr.approvedAt))),
+    timeToMerge: describe(lifecycles.map(pr => hoursBetween(pr.createdAt, pr.mergedAt))),
+    reviewRounds: describe(lifecycles.filter(pr => pr.reviewRounds > 0).map(pr => pr.reviewRounds))
+  };
+}
+
+function groupBy(items, keyOf) {
+  return items.reduce((groups, item) => {
+    const key = keyOf(item);
+    (groups[key] = groups[key] || []).push(item);
+    return groups;
+  }, {});
+}
+
+// Metrics for a lifecycle dataset ({ repositories: { "owner/name": { pullRequests } } }),
+// optionally narrowed to one repository, one author, or PRs created since a date
+function computeMetrics(lifecycleData, { repository, author, since } = {}) {
+  const entries = [];
+  Object.entries(lifecycleData.repositories || {}).forEach(([fullName, repoData]) => {
+    if (repository && fullName.toLowerCase() !== repository.toLowerCase()) return;
+    repoData.pullRequests.forEach(pr => entries.push({ ...pr, repository: fullName }));
+  });
+
+  const filtered = entries.filter(pr =>
+    (!author || pr.author.toLowerCase() === author.toLowerCase()) &&
+    (!since || new Date(pr.createdAt) >= new Date(since)));
+
+  const summarizeGroups = groups => Object.fromEntries(
+    Object.entries(groups).map(([key, items]) => [key, summarize(items)]));
+
+  return {
+    lastUpdate: lifecycleData.lastUpdate || null,
+    totals: summarize(filtered),
+    repositories: summarizeGroups(groupBy(filtered, pr => pr.repository)),
+    authors: summarizeGroups(groupBy(filtered, pr => pr.author))
+  };
+}
+
+module.exports = {
+  buildLifecycle,
+  summarize,
+  computeMetrics
+};
@@ -0,0 +1,296 @@
+/**
+ * Repository Registry
+ * Single source of truth for which repositories the tool monitors, backed by
+ * config/repositories.json. Supports explicit repositories, org-wide discovery
+ * with include/exclude globs, and per-repo settings. The file is reloaded when
+ * it changes on disk; emits 'changed' after every reload or edit.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config', 'repositories.json');
+const DISCOVERY_CACHE_TTL = 15 * 60 * 1000; // re-list org repositories at most every 15 minutes
+
+const DEFAULT_SETTINGS = {
+  activityWindowDays: 30, // skip repositories with no push in this many days (null to disable)
+  prLimit: 100,           // max open PRs to fetch per repository
+  closedWindowDays: 30,   // keep closed/merged PRs for lifecycle metrics this long (null to keep all)
+  reviewSlaHours: 8,      // business hours a review request may stay pending (null to disable)
+  staleAfterHours: 24     // business hours without updates before an open PR is stale (null to disable)
+};
+
+// Settings that may be null to turn them off
+const NULLABLE_SETTINGS = ['activityWindowDays', 'closedWindowDays', 'reviewSlaHours', 'staleAfterHours'];
+
+// Check repository settings against DEFAULT_SETTINGS: known keys only, each a positive
+// whole number (or null where that turns the setting off)
+function validateSettings(settings) {
+  if (settings === undefined) return;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('settings must be an object');
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+      throw new Error(`Unknown setting "${key}" - expected one of ${Object.keys(DEFAULT_SETTINGS).join(', ')}`);
+    }
+    if (value === null && NULLABLE_SETTINGS.includes(key)) return;
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Setting "${key}" must be a positive whole number${NULLABLE_SETTINGS.includes(key) ? ' or null' : ''}`);
+    }
+  });
+}
+
+// Convert a simple glob (`*`, `?`) into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+function matchesAny(name, globs) {
+  return (globs || []).some(glob => globToRegExp(glob).test(name));
+}
+
+// Split "owner/name" and validate it
+function parseFullName(fullName) {
+  const match = typeof fullName === 'string' && fullName.trim().match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (!match) {
+    throw new Error(`Invalid repository "${fullName}" - expected owner/name`);
+  }
+  return { owner: match[1], name: match[2] };
+}
+
+class RepositoryRegistry extends EventEmitter {
+  constructor({ client = null, configFile = process.env.REPO_REGISTRY_FILE || DEFAULT_CONFIG_FILE } = {}) {
+    super();
+    this.client = client;
+    this.configFile = configFile;
+    this.config = null;
+    this.discoveryCache = new Map();
+    this.watcher = null;
+    this.load();
+  }
+
+  // Read the config file, creating an empty one if it doesn't exist yet
+  load() {
+    try {
+      if (!fs.existsSync(this.configFile)) {
+        this.config = { defaults: { ...DEFAULT_SETTINGS }, repositories: [], organizations: [] };
+        this.save();
+      } else {
+        const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        this.config = {
+          defaults: { ...DEFAULT_SETTINGS, ...(config.defaults || {}) },
+          repositories: config.repositories || [],
+          organizations: config.organizations || []
+        };
+      }
+      this.discoveryCache.clear();
+      this.emit('changed', this.config);
+    } catch (error) {
+      // Keep the last good config if the file is mid-edit or invalid
+      console.error(`Error loading repository registry ${this.configFile}:`, error.message);
+      if (!this.config) {
+        this.config = { defaults: { ...DEFAULT_SETTINGS }, repositories: [], organizations: [] };
+      }
+    }
+    return this.config;
+  }
+
+  save() {
+    const dir = path.dirname(this.configFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    // Write-then-rename so the file watcher and the other server never read a half-written file
+    const tmpFile = `${this.configFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.config, null, 2) + '\n');
+    fs.renameSync(tmpFile, this.configFile);
+  }
+
+  // Reload whenever the config file is edited by hand
+  watch() {
+    if (this.watcher) return;
+
+    let reloadTimer = null;
+    this.watcher = fs.watch(path.dirname(this.configFile), (eventType, filename) => {
+      if (filename !== path.basename(this.configFile)) return;
+
+      // Editors often write in several steps - wait for them to settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        console.log('🔁 Repository registry changed on disk, reloading...');
+        this.load();
+      }, 200);
+    });
+    this.watcher.unref();
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  // Org repositories, cached briefly to avoid listing the org on every request
+  async discoverOrganization(org) {
+    const cached = this.discoveryCache.get(org);
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_TTL) {
+      return cached.repos;
+    }
+
+    const repos = await this.client.listOrgRepositories(org, { limit: 1000 });
+    this.discoveryCache.set(org, { repos, fetchedAt: Date.now() });
+    return repos;
+  }
+
+  // Resolve explicit and discovered repositories into one de-duplicated list.
+  // Each entry: { owner, name, fullName, source, settings, details }, where
+  // `details` is the repository summary when discovery already fetched it.
+  async resolveRepositories() {
+    const { defaults, repositories, organizations } = this.config;
+    const resolved = new Map();
+
+    for (const org of organizations) {
+      if (org.enabled === false) continue;
+      if (!this.client) {
+        console.error(`Cannot discover repositories for ${org.org}: no GitHub client configured`);
+        continue;
+      }
+
+      try {
+        const repos = await this.discoverOrganization(org.org);
+        repos
+          .filter(repo => matchesAny(repo.name, org.include || ['*']) && !matchesAny(repo.name, org.exclude))
+          .forEach(repo => {
+            const fullName = `${repo.owner.login}/${repo.name}`;
+            resolved.set(fullName.toLowerCase(), {
+              owner: repo.owner.login,
+              name: repo.name,
+              fullName,
+              source: `org:${org.org}`,
+              settings: { ...defaults, ...(org.settings || {}) },
+              details: repo
+            });
+          });
+      } catch (error) {
+        console.error(`Error discovering repositories for ${org.org}:`, error.message);
+      }
+    }
+
+    // Explicit entries win over discovery and can disable a discovered repo. A
+    // malformed hand-edited entry is skipped rather than stopping every repository.
+    for (const entry of repositories) {
+      let owner;
+      let name;
+      try {
+        ({ owner, name } = parseFullName(entry && entry.name));
+      } catch (error) {
+        console.error(`Skipping repository entry in ${this.configFile}:`, error.message);
+        continue;
+      }
+      const key = `${owner}/${name}`.toLowerCase();
+      if (entry.enabled === false) {
+        resolved.delete(key);
+        continue;
+      }
+
+      const discovered = resolved.get(key);
+      resolved.set(key, {
+        owner,
+        name,
+        fullName: `${owner}/${name}`,
+        source: 'explicit',
+        settings: { ...(discovered ? discovered.settings : defaults), ...(entry.settings || {}) },
+        details: discovered ? discovered.details : null
+      });
+    }
+
+    return Array.from(resolved.values());
+  }
+
+  // Registry settings for a single repository (defaults if it isn't registered)
+  async getSettings(owner, name) {
+    const repos = await this.resolveRepositories();
+    const entry = repos.find(repo => repo.fullName.toLowerCase() === `${owner}/${name}`.toLowerCase());
+    return entry ? entry.settings : { ...this.config.defaults };
+  }
+
+  findRepository(fullName) {
+    const { owner, name } = parseFullName(fullName);
+    return this.config.repositories.find(entry =>
+      entry && typeof entry.name === 'string' && entry.name.toLowerCase() === `${owner}/${name}`.toLowerCase());
+  }
+
+  addRepository(fullName, settings = {}) {
+    const { owner, name } = parseFullName(fullName);
+    validateSettings(settings);
+    const existing = this.findRepository(fullName);
+    if (existing && existing.enabled !== false) {
+      throw new Error(`Repository ${owner}/${name} is already registered`);
+    }
+    if (existing) {
+      // Re-enable a repository that was removed from org discovery
+      return this.updateRepository(fullName, {
+        settings: Object.keys(settings).length > 0 ? settings : undefined,
+        enabled: true
+      });
+    }
+
+    const entry = { name: `${owner}/${name}` };
+    if (Object.keys(settings).length > 0) entry.settings = settings;
+
+    this.config.repositories.push(entry);
+    this.save();
+    this.emit('changed', this.config);
+    return entry;
+  }
+
+  updateRepository(fullName, { settings, enabled } = {}) {
+    validateSettings(settings);
+    const entry = this.findRepository(fullName);
+    if (!entry) {
+      throw new Error(`Repository ${fullName} is not registered`);
+    }
+
+    if (settings) entry.settings = { ...(entry.settings || {}), ...settings };
+    if (enabled !== undefined) entry.enabled = enabled;
+
+    this.save();
+    this.emit('changed', this.config);
+    return entry;
+  }
+
+  // Stop monitoring a repository. Explicit entries are deleted; a repository that
+  // org discovery would still pick up is kept as a disabled entry instead.
+  async removeRepository(fullName) {
+    const { owner, name } = parseFullName(fullName);
+    const key = `${owner}/${name}`.toLowerCase();
+    const entry = this.findRepository(fullName);
+    const isMonitored = (await this.resolveRepositories()).some(repo => repo.fullName.toLowerCase() === key);
+    if (!entry && !isMonitored) {
+      throw new Error(`Repository ${owner}/${name} is not registered`);
+    }
+
+    this.config.repositories = this.config.repositories.filter(r => r !== entry);
+    const stillDiscovered = (await this.resolveRepositories()).some(repo => repo.fullName.toLowerCase() === key);
+    if (stillDiscovered) {
+      this.config.repositories.push({ name: `${owner}/${name}`, enabled: false });
+    }
+
+    this.save();
+    this.emit('changed', this.config);
+    return { name: `${owner}/${name}`, disabled: stillDiscovered };
+  }
+}
+
+module.exports = RepositoryRegistry;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+module.exports.validateSettings = validateSettings;
@@ -0,0 +1,158 @@
+/**
+ * Review Drafts
+ * Pending reviews: inline comments queued for a PR and submitted to GitHub
+ * together as one review (COMMENT, APPROVE or REQUEST_CHANGES). Drafts live in
+ * data/review-drafts.json keyed by "owner/name#123" until they're submitted or
+ * discarded. Each draft remembers the head commit it was started on, so the
+ * line numbers of every queued comment refer to the same diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DRAFTS_FILE = path.join(__dirname, 'data', 'review-drafts.json');
+const REVIEW_EVENTS = ['COMMENT', 'APPROVE', 'REQUEST_CHANGES'];
+const DIFF_SIDES = ['LEFT', 'RIGHT'];
+
+function draftKey(repository, prNumber) {
+  return `${repository}#${prNumber}`;
+}
+
+function isLineNumber(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Validate where a comment goes: { file, line, startLine, side, startSide } from a
+// request body. Returns { path, line, side, startLine, startSide }, with line null
+// for a file-level comment, or null when there's no file at all.
+function parseAnchor({ file, line = null, startLine = null, side = 'RIGHT', startSide = null } = {}) {
+  if (!file) {
+    if (line || startLine) throw new Error('file is required when a line is given');
+    return null;
+  }
+  if (typeof file !== 'string') {
+    throw new Error('file must be a path in the repository');
+  }
+
+  const anchor = { path: file.replace(/^\/+/, ''), line: null, side: null, startLine: null, startSide: null };
+  if (line === null || line === undefined || line === '') {
+    if (startLine) throw new Error('line is required when startLine is given');
+    return anchor;
+  }
+
+  anchor.line = Number(line);
+  if (!isLineNumber(anchor.line)) {
+    throw new Error('line must be a positive line number');
+  }
+  anchor.side = (side || 'RIGHT').toUpperCase();
+  if (!DIFF_SIDES.includes(anchor.side)) {
+    throw new Error(`side must be ${DIFF_SIDES.join(' or ')}`);
+  }
+
+  if (startLine !== null && startLine !== undefined && startLine !== '') {
+    anchor.startLine = Number(startLine);
+    anchor.startSide = (startSide || anchor.side).toUpperCase();
+    if (!isLineNumber(anchor.startLine)) {
+      throw new Error('startLine must be a positive line number');
+    }
+    if (!DIFF_SIDES.includes(anchor.startSide)) {
+      throw new Error(`startSide must be ${DIFF_SIDES.join(' or ')}`);
+    }
+    // A range within one side runs top to bottom; a range may also start on the old side
+    if (anchor.startSide === anchor.side && anchor.startLine >= anchor.line) {
+      throw new Error('startLine must be before line');
+    }
+  }
+  return anchor;
+}
+
+class ReviewDraftStore {
+  constructor({ file = process.env.REVIEW_DRAFTS_FILE || DEFAULT_DRAFTS_FILE } = {}) {
+    this.file = file;
+  }
+
+  // Re-read on every call so the file can be inspected or cleared by hand
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading review drafts:', error.message);
+    }
+    return { reviews: {} };
+  }
+
+  save(store) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // The pending review for a PR, or null
+  get(repository, prNumber) {
+    return this.load().reviews[draftKey(repository, prNumber)] || null;
+  }
+
+  // Queue a line-anchored comment. `commitId` is the PR head, used when this starts
+  // a new draft. Returns { draft, comment }.
+  addComment(repository, prNumber, { body, anchor, commitId }) {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('Comment body is required');
+    }
+    if (!anchor || !anchor.line) {
+      throw new Error('Comments in a review need a file and line');
+    }
+
+    const key = draftKey(repository, prNumber);
+    const store = this.load();
+    const now = new Date().toISOString();
+    const draft = store.reviews[key] || {
+      repository,
+      prNumber: parseInt(prNumber),
+      commitId,
+      createdAt: now,
+      nextId: 1,
+      comments: []
+    };
+
+    const comment = { id: draft.nextId++, body, ...anchor, createdAt: now };
+    draft.comments.push(comment);
+    draft.updatedAt = now;
+    store.reviews[key] = draft;
+    this.save(store);
+    console.log(`📝 Queued review comment on ${key} (${anchor.path}:${anchor.line}, ${draft.comments.length} pending)`);
+    return { draft, comment };
+  }
+
+  // Drop one queued comment; returns the draft, or null when the comment wasn't there
+  removeComment(repository, prNumber, commentId) {
+    const key = draftKey(repository, prNumber);
+    const store = this.load();
+    const draft = store.reviews[key];
+    if (!draft || !draft.comments.some(comment => comment.id === Number(commentId))) return null;
+
+    draft.comments = draft.comments.filter(comment => comment.id !== Number(commentId));
+    draft.updatedAt = new Date().toISOString();
+    this.save(store);
+    return draft;
+  }
+
+  // Throw the whole draft away (also done once it's submitted)
+  discard(repository, prNumber) {
+    const key = draftKey(repository, prNumber);
+    const store = this.load();
+    if (!store.reviews[key]) return false;
+    delete store.reviews[key];
+    this.save(store);
+    return true;
+  }
+}
+
+module.exports = ReviewDraftStore;
+module.exports.REVIEW_EVENTS = REVIEW_EVENTS;
+module.exports.parseAnchor = parseAnchor;
@@ -0,0 +1,132 @@
+/**
+ * Review SLA
+ * How long review requests have been waiting and which open PRs have gone
+ * quiet, measured in business hours: the data fetcher's office hours (working
+ * days between startHour and endHour, server local time). The thresholds are
+ * per-repository registry settings - `reviewSlaHours` for a pending review
+ * request and `staleAfterHours` since a PR was last updated. Draft PRs are left
+ * out.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Hours between two dates that fall inside office hours ({ startHour, endHour, workdays })
+function businessHoursBetween(from, to, { startHour, endHour, workdays }) {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (!(end > start)) return 0;
+
+  let total = 0;
+  const day = new Date(start);
+  day.setHours(0, 0, 0, 0);
+  for (; day < end; day.setDate(day.getDate() + 1)) {
+    if (!workdays.includes(day.getDay())) continue;
+
+    const open = new Date(day);
+    open.setHours(startHour, 0, 0, 0);
+    const close = new Date(day);
+    close.setHours(endHour, 0, 0, 0);
+    const overlap = Math.min(close, end) - Math.max(open, start);
+    if (overlap > 0) total += overlap;
+  }
+  return total / HOUR;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Past a threshold; a null threshold is disabled
+function exceeds(hours, threshold) {
+  return threshold !== null && threshold !== undefined && hours >= threshold;
+}
+
+// SLA state of one open PR lifecycle record
+function evaluatePullRequest(pr, settings, officeHours, now) {
+  const pendingRequests = (pr.reviewRequests || [])
+    .filter(request => request.pending)
+    .map(request => {
+      const waitingHours = round(businessHoursBetween(request.requestedAt, now, officeHours));
+      return {
+        reviewer: request.reviewer,
+        isTeam: request.isTeam,
+        requestedAt: request.requestedAt,
+        waitingHours,
+        breached: exceeds(waitingHours, settings.reviewSlaHours)
+      };
+    })
+    .sort((a, b) => b.waitingHours - a.waitingHours);
+  const idleHours = round(businessHoursBetween(pr.updatedAt, now, officeHours));
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    url: pr.url,
+    author: pr.author,
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    pendingRequests,
+    idleHours,
+    breached: pendingRequests.some(request => request.breached),
+    stale: exceeds(idleHours, settings.staleAfterHours)
+  };
+}
+
+// SLA report for a lifecycle dataset ({ repositories: { "owner/name": { pullRequests } } }).
+// Every open, non-draft PR is counted; the ones with a breached review request or
+// past the stale threshold are listed, most overdue first. `settingsFor(fullName)`
+// returns a repository's registry settings. Optionally narrowed to one repository
+// or to the requests pending for one reviewer.
+function computeSlaReport(lifecycleData, { officeHours, settingsFor, repository, reviewer, now = new Date() }) {
+  const totals = { openPullRequests: 0, pendingRequests: 0, breaches: 0, stale: 0 };
+  const repositories = {};
+
+  Object.entries(lifecycleData.repositories || {}).forEach(([fullName, repoData]) => {
+    if (repository && fullName.toLowerCase() !== repository.toLowerCase()) return;
+
+    const settings = settingsFor(fullName);
+    let evaluated = repoData.pullRequests
+      .filter(pr => pr.state === 'OPEN' && !pr.isDraft)
+      .map(pr => evaluatePullRequest(pr, settings, officeHours, now));
+
+    if (reviewer) {
+      evaluated = evaluated
+        .map(pr => {
+          const pendingRequests = pr.pendingRequests.filter(request => request.reviewer.toLowerCase() === reviewer.toLowerCase());
+          return { ...pr, pendingRequests, breached: pendingRequests.some(request => request.breached) };
+        })
+        .filter(pr => pr.pendingRequests.length > 0);
+    }
+
+    const summary = {
+      reviewSlaHours: settings.reviewSlaHours,
+      staleAfterHours: settings.staleAfterHours,
+      openPullRequests: evaluated.length,
+      pendingRequests: evaluated.reduce((sum, pr) => sum + pr.pendingRequests.length, 0),
+      breaches: evaluated.reduce((sum, pr) => sum + pr.pendingRequests.filter(request => request.breached).length, 0),
+      stale: evaluated.filter(pr => pr.stale).length,
+      pullRequests: evaluated
+        .filter(pr => pr.breached || pr.stale)
+        .sort((a, b) =>
+          Number(b.breached) - Number(a.breached) ||
+          ((b.pendingRequests[0] || {}).waitingHours || 0) - ((a.pendingRequests[0] || {}).waitingHours || 0) ||
+          b.idleHours - a.idleHours)
+    };
+    ['openPullRequests', 'pendingRequests', 'breaches', 'stale'].forEach(key => { totals[key] += summary[key]; });
+    repositories[fullName] = summary;
+  });
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    lastUpdate: lifecycleData.lastUpdate || null,
+    officeHours,
+    totals,
+    repositories
+  };
+}
+
+module.exports = {
+  businessHoursBetween,
+  evaluatePullRequest,
+  computeSlaReport
+};
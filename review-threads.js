@@ -0,0 +1,208 @@
+/**
+ * Review Threads
+ * Groups line review comments into conversations (a root comment and its
+ * replies via `in_reply_to_id`) so a thread is classified and counted once,
+ * and notes whether the PR author has replied or acknowledged it.
+ *
+ * Also gives actionable comments a resolution state from GitHub's review
+ * threads: 'resolved' once a reviewer or author resolves the thread, 'outdated'
+ * when the code it was left on has changed, and 'open' otherwise. Only line
+ * comments belong to threads - general comments and review summaries are
+ * always 'open'.
+ */
+
+const { extractSuggestions } = require('./comment-parser');
+const { needsAttention } = require('./triage-store');
+
+const RESOLUTIONS = ['open', 'outdated', 'resolved'];
+
+// Replies in which the PR author says the feedback was handled ("done", "fixed in abc123")
+const ACKNOWLEDGEMENT_PATTERN = /^\s*((done|fixed|addressed|resolved|updated|changed|good catch|will do)\b|👍|:\+1:)|\b(fixed|addressed|done|resolved) in [0-9a-f]{7,40}\b/i;
+
+function isAcknowledgement(body) {
+  return ACKNOWLEDGEMENT_PATTERN.test(body || '');
+}
+
+// Group raw REST review comments into conversations, oldest first. Each thread is
+// { root, replies, lastResponder, lastActivityAt, authorReplied, acknowledged },
+// where the flags refer to replies from `prAuthor`.
+function groupReviewComments(reviewComments, prAuthor) {
+  const byId = new Map(reviewComments.map(comment => [comment.id, comment]));
+  const threads = new Map(); // root id -> thread
+
+  // Replies point at the thread's first comment, but follow the chain in case
+  // one points at another reply
+  const rootOf = comment => {
+    let current = comment;
+    while (current.in_reply_to_id && byId.has(current.in_reply_to_id)) {
+      current = byId.get(current.in_reply_to_id);
+    }
+    return current;
+  };
+
+  [...reviewComments]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(comment => {
+      const root = rootOf(comment);
+      if (!threads.has(root.id)) {
+        threads.set(root.id, { root, replies: [] });
+      }
+      if (comment !== root) {
+        threads.get(root.id).replies.push(comment);
+      }
+    });
+
+  return Array.from(threads.values()).map(thread => {
+    const last = thread.replies.length > 0 ? thread.replies[thread.replies.length - 1] : thread.root;
+    const authorReplies = thread.replies.filter(reply => reply.user.login === prAuthor);
+    return {
+      ...thread,
+      lastResponder: last.user.login,
+      lastActivityAt: last.created_at,
+      authorReplied: authorReplies.length > 0,
+      acknowledged: authorReplies.some(reply => isAcknowledgement(reply.body))
+    };
+  });
+}
+
+// Classify a conversation once: by its root comment, or - if the root isn't
+// actionable - by the first reviewer follow-up that is. `classify` takes a raw
+// comment; the PR author's own replies never make a thread actionable. The
+// result's `raisedBy` is the login of the comment that made it actionable.
+function classifyThread(thread, classify, prAuthor) {
+  const candidates = [thread.root, ...thread.replies.filter(reply => reply.user.login !== prAuthor)];
+  for (const comment of candidates) {
+    const result = classify(comment);
+    if (result.actionable) return { ...result, raisedBy: comment.user.login };
+  }
+  return { actionable: false };
+}
+
+// Who asked for an actionable item: the reviewer whose message made a thread
+// actionable, otherwise the comment's author
+function reviewerOf(comment) {
+  return comment.raisedBy || comment.author;
+}
+
+// Thread fields stored on an actionable review comment
+function threadDetails(thread) {
+  return {
+    replyCount: thread.replies.length,
+    replies: thread.replies.map(reply => ({
+      id: reply.id,
+      author: reply.user.login,
+      body: reply.body,
+      createdAt: reply.created_at,
+      url: reply.html_url
+    })),
+    suggestionCount: [thread.root, ...thread.replies]
+      .reduce((count, comment) => count + extractSuggestions(comment.body).length, 0),
+    lastResponder: thread.lastResponder,
+    lastActivityAt: thread.lastActivityAt,
+    authorReplied: thread.authorReplied,
+    acknowledged: thread.acknowledged
+  };
+}
+
+// Resolution state of a review thread (resolved wins over outdated)
+function resolutionOf(thread) {
+  if (thread.isResolved) return 'resolved';
+  if (thread.isOutdated) return 'outdated';
+  return 'open';
+}
+
+// A comment with the state of the thread it belongs to ({ id, isResolved, isOutdated, resolvedBy })
+function withThreadState(comment, thread) {
+  return {
+    ...comment,
+    threadId: thread.id,
+    resolution: resolutionOf(thread),
+    resolvedBy: thread.resolvedBy
+  };
+}
+
+// Attach thread state to actionable comments, matching review comments to their
+// thread by comment id. Comments cached before threads were tracked count as 'open'.
+function applyThreadState(comments, threads) {
+  const threadByComment = new Map();
+  threads.forEach(thread => thread.commentIds.forEach(id => threadByComment.set(id, thread)));
+
+  return comments.map(comment => {
+    const thread = comment.type === 'review_comment' ? threadByComment.get(comment.id) : null;
+    if (!thread) {
+      return { ...comment, threadId: null, resolution: 'open', resolvedBy: null };
+    }
+    return withThreadState(comment, thread);
+  });
+}
+
+// A thread's actionable comment with a new reply ({ id, author, body, createdAt, url })
+// added, as threadDetails would describe it after the next fetch
+function withReply(comment, reply, prAuthor) {
+  if ((comment.replies || []).some(existing => existing.id === reply.id)) return comment;
+
+  const replies = [...(comment.replies || []), reply];
+  const byAuthor = reply.author === prAuthor;
+  return {
+    ...comment,
+    replyCount: replies.length,
+    replies,
+    lastResponder: reply.author,
+    lastActivityAt: reply.createdAt,
+    authorReplied: comment.authorReplied || byAuthor,
+    acknowledged: comment.acknowledged || (byAuthor && isAcknowledgement(reply.body))
+  };
+}
+
+// Reaction counts from a REST comment's `reactions` summary, leaving out zeros
+function reactionCounts(summary) {
+  return Object.fromEntries(Object.entries(summary || {})
+    .filter(([content, count]) => content !== 'url' && content !== 'total_count' && count > 0));
+}
+
+function getResolution(comment) {
+  return comment.resolution || 'open';
+}
+
+// Parse a resolution filter: "open" (the default), "all", or a comma-separated
+// list such as "open,outdated"
+function parseResolutionFilter(filter) {
+  if (!filter) return ['open'];
+  if (filter === 'all') return RESOLUTIONS;
+
+  const states = filter.split(',').map(state => state.trim()).filter(Boolean);
+  const unknown = states.filter(state => !RESOLUTIONS.includes(state));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown resolution "${unknown.join(', ')}" - expected ${RESOLUTIONS.join(', ')} or all`);
+  }
+  return states;
+}
+
+function filterByResolution(comments, filter) {
+  const states = parseResolutionFilter(filter);
+  return comments.filter(comment => states.includes(getResolution(comment)));
+}
+
+// Comments still waiting for someone to act on them: the thread is open and
+// nobody has triaged it as done, won't fix or snoozed
+function isOutstanding(comment) {
+  return getResolution(comment) === 'open' && needsAttention(comment);
+}
+
+module.exports = {
+  RESOLUTIONS,
+  isAcknowledgement,
+  groupReviewComments,
+  classifyThread,
+  threadDetails,
+  reviewerOf,
+  resolutionOf,
+  withThreadState,
+  applyThreadState,
+  withReply,
+  reactionCounts,
+  getResolution,
+  parseResolutionFilter,
+  filterByResolution,
+  isOutstanding
+};
@@ -5,10 +5,19 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const basicAuth = require('express-basic-auth');
+const RepositoryRegistry = require('./repo-registry');
+const GitHubDataFetcher = require('./data-fetcher');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Monitored repositories come from config/repositories.json
+const registry = new RepositoryRegistry();
+registry.watch();
+
+// One fetcher (and so one GitHub client and snapshot store) shared by every request
+const dataFetcher = new GitHubDataFetcher({ registry });
+
 // Security configuration
 const ALLOWED_IPS = process.env.ALLOWED_IPS ? process.env.ALLOWED_IPS.split(',') : [];
 const AUTH_USER = process.env.AUTH_USER || 'admin';
@@ -222,17 +231,12 @@ app.post('/api/analyze', (req, res) => {
 // API endpoint to get list of repositories
 app.get('/api/repos', async (req, res) => {
   try {
-    // Return static list of repositories to monitor
-    const reposToMonitor = [
-      { name: 'agent_manager', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/agent_manager' },
-      { name: 'aot-base', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/aot-base' },
-      { name: 'aot-frontend-api', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/aot-frontend-api' },
-      { name: 'aot-user-ui', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/aot-user-ui' },
-      { name: 'masp', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/masp' },
-      { name: 'offsec-benchmarks', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/offsec-benchmarks' },
-      { name: 'aot-terraform', owner: { login: 'h1-aot' }, url: 'https://github.com/h1-aot/aot-terraform' },
-      { name: 'MRToolGH', owner: { login: 'ppaul-h-aot' }, url: 'https://github.com/ppaul-h-aot/MRToolGH' }
-    ];
+    // Return the registered list of repositories to monitor
+    const reposToMonitor = (await registry.resolveRepositories()).map(entry => ({
+      name: entry.name,
+      owner: { login: entry.owner },
+      url: `https://github.com/${entry.fullName}`
+    }));
 
     res.json({ success: true, repos: reposToMonitor });
   } catch (error) {
@@ -241,11 +245,13 @@ app.get('/api/repos', async (req, res) => {
   }
 });
 
-// API endpoint to get cached data
+// API endpoint to get cached data (?at=<snapshot id or ISO time> for a point-in-time view)
 app.get('/api/cached-data', (req, res) => {
   try {
-    const fetcher = new (require('./data-fetcher'))();
-    const data = fetcher.loadCachedData();
+    const data = dataFetcher.loadCachedData(req.query.at);
+    if (req.query.at && !data) {
+      return res.status(404).json({ success: false, error: `No snapshot found for ${req.query.at}` });
+    }
     res.json({ success: true, data: data });
   } catch (error) {
     console.error('Error getting cached data:', error);
@@ -259,15 +265,15 @@ app.post('/api/repos/:owner/:repo/refresh', async (req, res) => {
     const { owner, repo } = req.params;
     console.log(`🔄 Refreshing repository: ${owner}/${repo}`);
 
-    const fetcher = new (require('./data-fetcher'))();
-
-    // Refresh data for this specific repository
-    const data = await fetcher.fetchAllData();
+    // Re-fetch only this repository and merge it into the cached data
+    const result = await dataFetcher.fetchRepository(owner, repo);
 
     res.json({
       success: true,
       message: `Repository ${owner}/${repo} refreshed successfully`,
-      data: data
+      data: result.data,
+      pullRequests: result.pullRequests,
+      actionableComments: result.actionableComments
     });
   } catch (error) {
     console.error('Error refreshing repository:', error);
@@ -280,8 +286,7 @@ app.post('/api/fetch-data', async (req, res) => {
   try {
     console.log('🔄 Triggering full data refresh...');
 
-    const fetcher = new (require('./data-fetcher'))();
-    const data = await fetcher.fetchAllData();
+    const data = await dataFetcher.fetchAllData();
 
     res.json({
       success: true,
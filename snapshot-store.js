@@ -0,0 +1,310 @@
+/**
+ * Snapshot Store
+ * File-based history of fetched PR data. Every fetch is stored as an immutable,
+ * gzipped snapshot (PRs, actionable comments/reviews and their classification)
+ * under data/snapshots, with a small index of per-repository counts so history
+ * queries don't have to open every snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isOutstanding } = require('./review-threads');
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, 'data', 'snapshots');
+const DEFAULT_RETENTION_DAYS = 90;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30 * 1000;
+
+// Per-repository and total counts for a dataset
+function summarize(data) {
+  const repositories = {};
+  let totalPRs = 0;
+  let totalActionableComments = 0;
+
+  (data.repositories || []).forEach(repo => {
+    const actionableComments = repo.pullRequests.reduce((sum, pr) => sum + pr.actionableCount, 0);
+    repositories[`${repo.owner}/${repo.name}`] = {
+      pullRequests: repo.pullRequests.length,
+      actionableComments
+    };
+    totalPRs += repo.pullRequests.length;
+    totalActionableComments += actionableComments;
+  });
+
+  return {
+    repositoryCount: Object.keys(repositories).length,
+    totalPRs,
+    totalActionableComments,
+    repositories
+  };
+}
+
+// Flatten a dataset into maps of PRs and outstanding comments keyed by a stable id
+// (a comment whose thread gets resolved counts as removed)
+function indexDataset(data) {
+  const pullRequests = new Map();
+  const comments = new Map();
+
+  (data.repositories || []).forEach(repo => {
+    const repoKey = `${repo.owner}/${repo.name}`;
+    repo.pullRequests.forEach(pr => {
+      const prKey = `${repoKey}#${pr.number}`;
+      pullRequests.set(prKey, { repository: repoKey, number: pr.number, title: pr.title, url: pr.url, actionableCount: pr.actionableCount });
+      pr.actionableComments.filter(isOutstanding).forEach(comment => {
+        comments.set(`${prKey}:${comment.type}:${comment.id}`, { repository: repoKey, prNumber: pr.number, ...comment });
+      });
+    });
+  });
+
+  return { pullRequests, comments };
+}
+
+// Keep only the given repository ("owner/name") in a dataset
+function filterRepository(data, fullName) {
+  if (!fullName) return data;
+  return {
+    ...data,
+    repositories: data.repositories.filter(repo => `${repo.owner}/${repo.name}`.toLowerCase() === fullName.toLowerCase())
+  };
+}
+
+class SnapshotStore {
+  constructor({ dir = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR, retentionDays } = {}) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, 'index.json');
+    this.lockFile = `${this.indexFile}.lock`;
+    this.retentionDays = retentionDays !== undefined
+      ? retentionDays
+      : parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  // Snapshot metadata, oldest first. Re-read on every call so separate
+  // processes (server and scheduled fetcher) see each other's snapshots.
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        return JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading snapshot index:', error.message);
+    }
+    return { snapshots: [] };
+  }
+
+  saveIndex(index) {
+    // Write-then-rename so readers never see a half-written index
+    const tmpFile = `${this.indexFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(index, null, 2));
+    fs.renameSync(tmpFile, this.indexFile);
+  }
+
+  // Re-read the index, apply `change` to it and save it while holding the index lock,
+  // so the server and the fetcher can't drop each other's entries. Returns whatever
+  // `change` returns.
+  updateIndex(change) {
+    this.acquireLock();
+    try {
+      const index = this.loadIndex();
+      const result = change(index);
+      this.saveIndex(index);
+      return result;
+    } finally {
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  // Create the lock file, waiting for another process to release it. A lock older
+  // than STALE_LOCK_MS was left behind by a crashed process and is taken over.
+  acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+
+    while (true) {
+      try {
+        fs.closeSync(fs.openSync(this.lockFile, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(this.lockFile).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(this.lockFile, { force: true });
+          continue;
+        }
+      } catch (error) {
+        // Released while we looked - try again
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the snapshot index lock (${this.lockFile})`);
+      }
+      Atomics.wait(pause, 0, 0, 20);
+    }
+  }
+
+  // Store a dataset as a new snapshot and return its metadata
+  record(data, info = {}) {
+    const createdAt = data.lastUpdate || new Date().toISOString();
+    const id = `${createdAt.replace(/[-:.]/g, '')}-${Math.random().toString(36).slice(2, 8)}`;
+    const file = `${id}.json.gz`;
+
+    const tmpFile = path.join(this.dir, `${file}.tmp`);
+    fs.writeFileSync(tmpFile, zlib.gzipSync(JSON.stringify({ id, createdAt, info, data })));
+    fs.renameSync(tmpFile, path.join(this.dir, file));
+
+    const meta = { id, createdAt, file, ...info, ...summarize(data) };
+    this.updateIndex(index => {
+      index.snapshots.push(meta);
+      index.snapshots.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      this.prune(index);
+    });
+
+    console.log(`🗄️  Stored snapshot ${id} (${meta.totalPRs} PRs, ${meta.totalActionableComments} actionable comments)`);
+    return meta;
+  }
+
+  // Drop snapshots older than the retention window (the latest one is always kept)
+  prune(index) {
+    if (!this.retentionDays) return;
+
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const latest = index.snapshots[index.snapshots.length - 1];
+    const expired = index.snapshots.filter(meta => meta !== latest && new Date(meta.createdAt).getTime() < cutoff);
+
+    expired.forEach(meta => {
+      try {
+        fs.unlinkSync(path.join(this.dir, meta.file));
+      } catch (error) {
+        // Already gone - nothing to clean up
+      }
+    });
+    index.snapshots = index.snapshots.filter(meta => !expired.includes(meta));
+  }
+
+  // Snapshot metadata, optionally limited to a time range
+  list({ from, to, limit } = {}) {
+    let snapshots = this.loadIndex().snapshots;
+    if (from) snapshots = snapshots.filter(meta => new Date(meta.createdAt) >= new Date(from));
+    if (to) snapshots = snapshots.filter(meta => new Date(meta.createdAt) <= new Date(to));
+    if (limit) snapshots = snapshots.slice(-limit);
+    return snapshots;
+  }
+
+  // Full snapshot (metadata plus dataset) by id, or null if it doesn't exist
+  get(id) {
+    const meta = this.loadIndex().snapshots.find(snapshot => snapshot.id === id);
+    if (!meta) return null;
+
+    try {
+      const snapshot = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(this.dir, meta.file))).toString('utf8'));
+      return { ...meta, data: snapshot.data };
+    } catch (error) {
+      console.error(`Error reading snapshot ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  getLatest() {
+    const snapshots = this.loadIndex().snapshots;
+    return snapshots.length > 0 ? this.get(snapshots[snapshots.length - 1].id) : null;
+  }
+
+  // The snapshot that was current at `time` (the last one taken at or before it)
+  getAt(time) {
+    const timestamp = new Date(time).getTime();
+    if (isNaN(timestamp)) {
+      throw new Error(`Invalid time "${time}"`);
+    }
+
+    const candidates = this.loadIndex().snapshots.filter(meta => new Date(meta.createdAt).getTime() <= timestamp);
+    return candidates.length > 0 ? this.get(candidates[candidates.length - 1].id) : null;
+  }
+
+  // Resolve a snapshot reference: a snapshot id, "latest", or an ISO timestamp
+  resolve(ref) {
+    if (!ref || ref === 'latest') return this.getLatest();
+    return this.get(ref) || (isNaN(new Date(ref).getTime()) ? null : this.getAt(ref));
+  }
+
+  // Per-repository counts across snapshots - e.g. actionable comments in one repo over time
+  history(fullName, { from, to } = {}) {
+    return this.list({ from, to }).map(meta => {
+      const counts = fullName
+        ? Object.entries(meta.repositories).find(([name]) => name.toLowerCase() === fullName.toLowerCase())
+        : null;
+      return {
+        id: meta.id,
+        createdAt: meta.createdAt,
+        pullRequests: fullName ? (counts ? counts[1].pullRequests : 0) : meta.totalPRs,
+        actionableComments: fullName ? (counts ? counts[1].actionableComments : 0) : meta.totalActionableComments
+      };
+    });
+  }
+
+  // What changed between two snapshots: PRs and actionable comments that appeared
+  // or disappeared, plus count changes per repository
+  diff(fromRef, toRef, { repository } = {}) {
+    const from = this.resolve(fromRef);
+    const to = this.resolve(toRef);
+    if (!from || !to) {
+      throw new Error(`Snapshot not found: ${!from ? fromRef : toRef}`);
+    }
+
+    return {
+      from: { id: from.id, createdAt: from.createdAt },
+      to: { id: to.id, createdAt: to.createdAt },
+      ...this.compare(from.data, to.data, { repository })
+    };
+  }
+
+  // Compare two datasets (snapshots or the live cache) - see diff()
+  compare(fromDataset, toDataset, { repository } = {}) {
+    const fromData = filterRepository(fromDataset, repository);
+    const toData = filterRepository(toDataset, repository);
+    const before = indexDataset(fromData);
+    const after = indexDataset(toData);
+    const fromSummary = summarize(fromData);
+    const toSummary = summarize(toData);
+
+    const added = (a, b) => Array.from(b.entries()).filter(([key]) => !a.has(key)).map(([, value]) => value);
+
+    const repositories = {};
+    new Set([...Object.keys(fromSummary.repositories), ...Object.keys(toSummary.repositories)]).forEach(name => {
+      const previous = fromSummary.repositories[name] || { pullRequests: 0, actionableComments: 0 };
+      const current = toSummary.repositories[name] || { pullRequests: 0, actionableComments: 0 };
+      repositories[name] = {
+        pullRequests: { from: previous.pullRequests, to: current.pullRequests, change: current.pullRequests - previous.pullRequests },
+        actionableComments: { from: previous.actionableComments, to: current.actionableComments, change: current.actionableComments - previous.actionableComments }
+      };
+    });
+
+    return {
+      totals: {
+        pullRequests: { from: fromSummary.totalPRs, to: toSummary.totalPRs, change: toSummary.totalPRs - fromSummary.totalPRs },
+        actionableComments: {
+          from: fromSummary.totalActionableComments,
+          to: toSummary.totalActionableComments,
+          change: toSummary.totalActionableComments - fromSummary.totalActionableComments
+        }
+      },
+      repositories,
+      pullRequests: {
+        added: added(before.pullRequests, after.pullRequests),
+        removed: added(after.pullRequests, before.pullRequests)
+      },
+      comments: {
+        added: added(before.comments, after.comments),
+        removed: added(after.comments, before.comments)
+      }
+    };
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,159 @@
+/**
+ * Suggestion Patches
+ * Turns GitHub ```suggestion blocks in review comments into structured line
+ * replacements (path, start line, end line, new lines) and combines a set of
+ * them into a unified diff that `git apply` accepts, so an author can take all
+ * of a reviewer's suggestions locally in one step.
+ */
+
+const { extractSuggestions } = require('./comment-parser');
+
+const CONTEXT_LINES = 3;
+
+// Structured replacements for the suggestions in a raw REST review comment. A
+// suggestion replaces lines start_line..line (or just `line`) of the file at
+// the PR head; comments GitHub no longer places on the diff (line is null)
+// can't be applied.
+function parseSuggestions(comment) {
+  return extractSuggestions(comment.body).map((replacement, index) => {
+    const endLine = comment.line || null;
+    const startLine = endLine ? (comment.start_line || endLine) : null;
+    const applicable = Boolean(endLine) && (comment.side || 'RIGHT') === 'RIGHT';
+
+    return {
+      id: `${comment.id}-${index}`,
+      commentId: comment.id,
+      author: comment.user.login,
+      path: comment.path,
+      startLine,
+      endLine,
+      replacement,
+      url: comment.html_url,
+      createdAt: comment.created_at,
+      applicable,
+      reason: applicable ? null : (endLine ? 'Suggestion is on the old side of the diff' : 'Comment is outdated - the lines have changed')
+    };
+  });
+}
+
+function splitLines(content) {
+  const endsWithNewline = content.endsWith('\n');
+  const lines = content.split('\n');
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+}
+
+// Unified diff for one file's suggestions (sorted, non-overlapping)
+function buildFileDiff(filePath, content, suggestions) {
+  const { lines, endsWithNewline } = splitLines(content);
+  const noNewlineMarker = '\\ No newline at end of file';
+
+  // Suggestions whose context windows touch are written as one hunk
+  const groups = [];
+  suggestions.forEach(suggestion => {
+    const last = groups[groups.length - 1];
+    if (last && suggestion.startLine - last[last.length - 1].endLine <= CONTEXT_LINES * 2 + 1) {
+      last.push(suggestion);
+    } else {
+      groups.push([suggestion]);
+    }
+  });
+
+  let offset = 0; // lines added minus lines removed by earlier hunks
+  const hunks = groups.map(group => {
+    const first = Math.max(1, group[0].startLine - CONTEXT_LINES);
+    const last = Math.min(lines.length, group[group.length - 1].endLine + CONTEXT_LINES);
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+
+    // The file's last line carries the "no newline" marker on each side it appears on
+    const isLastLine = lineNumber => !endsWithNewline && lineNumber === lines.length;
+
+    let lineNumber = first;
+    group.forEach(suggestion => {
+      for (; lineNumber < suggestion.startLine; lineNumber++) {
+        body.push(` ${lines[lineNumber - 1]}`);
+        if (isLastLine(lineNumber)) body.push(noNewlineMarker);
+        oldCount++;
+        newCount++;
+      }
+      for (; lineNumber <= suggestion.endLine; lineNumber++) {
+        body.push(`-${lines[lineNumber - 1]}`);
+        if (isLastLine(lineNumber)) body.push(noNewlineMarker);
+        oldCount++;
+      }
+      suggestion.replacement.forEach((line, index) => {
+        body.push(`+${line}`);
+        if (isLastLine(suggestion.endLine) && index === suggestion.replacement.length - 1) body.push(noNewlineMarker);
+        newCount++;
+      });
+    });
+    for (; lineNumber <= last; lineNumber++) {
+      body.push(` ${lines[lineNumber - 1]}`);
+      if (isLastLine(lineNumber)) body.push(noNewlineMarker);
+      oldCount++;
+      newCount++;
+    }
+
+    const newStart = newCount === 0 ? first + offset - 1 : first + offset;
+    offset += newCount - oldCount;
+    return `@@ -${first},${oldCount} +${newStart},${newCount} @@\n${body.join('\n')}`;
+  });
+
+  return `diff --git a/${filePath} b/${filePath}\n--- a/${filePath}\n+++ b/${filePath}\n${hunks.join('\n')}\n`;
+}
+
+// Combine suggestions into one patch. `files` maps path -> content at the PR
+// head. Returns { patch, applied, skipped }, where skipped suggestions carry a
+// reason (outdated, overlapping another suggestion, file missing...).
+function buildPatch(suggestions, files) {
+  const applied = [];
+  const skipped = [];
+  const byPath = new Map();
+
+  suggestions.forEach(suggestion => {
+    if (!suggestion.applicable) {
+      skipped.push({ ...suggestion });
+      return;
+    }
+    const content = files[suggestion.path];
+    if (typeof content !== 'string') {
+      skipped.push({ ...suggestion, reason: `${suggestion.path} not found at the PR head` });
+      return;
+    }
+    if (suggestion.endLine > splitLines(content).lines.length) {
+      skipped.push({ ...suggestion, reason: `Lines ${suggestion.startLine}-${suggestion.endLine} are past the end of ${suggestion.path}` });
+      return;
+    }
+    if (!byPath.has(suggestion.path)) byPath.set(suggestion.path, []);
+    byPath.get(suggestion.path).push(suggestion);
+  });
+
+  const diffs = [];
+  Array.from(byPath.keys()).sort().forEach(filePath => {
+    // Oldest suggestion wins when two touch the same lines
+    const accepted = [];
+    byPath.get(filePath)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(suggestion => {
+        const overlapping = accepted.find(other => suggestion.startLine <= other.endLine && other.startLine <= suggestion.endLine);
+        if (overlapping) {
+          skipped.push({ ...suggestion, reason: `Overlaps suggestion ${overlapping.id} on the same lines` });
+        } else {
+          accepted.push(suggestion);
+        }
+      });
+
+    accepted.sort((a, b) => a.startLine - b.startLine);
+    applied.push(...accepted);
+    diffs.push(buildFileDiff(filePath, files[filePath], accepted));
+  });
+
+  return { patch: diffs.join(''), applied, skipped };
+}
+
+module.exports = {
+  parseSuggestions,
+  buildPatch
+};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommentClassifier = require('../comment-classifier');
+const ClassifierFeedback = require('../classifier-feedback');
+
+// Feedback store and classifier (two rules plus an enabled model) in a temp dir
+function tempFeedback(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-feedback-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const rulesFile = path.join(dir, 'classifier-rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({
+    threshold: 2,
+    model: { enabled: true, minExamples: 4 },
+    rules: [
+      { id: 'should', pattern: '\\bshould\\b', weight: 2, type: 'improvement_needed', severity: 'medium' },
+      { id: 'lgtm', pattern: '\\blgtm\\b', weight: -4 }
+    ]
+  }));
+  const classifier = new CommentClassifier({ rulesFile, modelFile: path.join(dir, 'classifier-model.json') });
+  return new ClassifierFeedback({ classifier, file: path.join(dir, 'classifier-feedback.json') });
+}
+
+const labeled = (commentId, body, label) => ({ repository: 'acme/widgets', prNumber: 7, commentType: 'review_comment', commentId, body, label });
+
+const examples = [
+  labeled(1, 'You should add a test', { actionable: true, type: 'improvement_needed', severity: 'medium' }),
+  labeled(2, 'You should feel proud of this', { actionable: false }),
+  labeled(3, 'lgtm', { actionable: false }),
+  labeled(4, 'Rename this variable', { actionable: true, type: 'suggestion', severity: 'low' })
+];
+
+test('records one label per comment and validates it', t => {
+  const feedback = tempFeedback(t);
+
+  feedback.record({ ...examples[0], label: { actionable: true, type: 'question' } });
+  const entry = feedback.record(examples[0]);
+
+  assert.equal(entry.key, 'acme/widgets#7:review_comment:1');
+  assert.equal(feedback.list().length, 1);
+  assert.deepEqual(feedback.annotate('acme/widgets', 7, [{ type: 'review_comment', id: 1 }, { type: 'review', id: 1 }])
+    .map(comment => comment.feedback), [examples[0].label, null]);
+
+  assert.throws(() => feedback.record({ ...examples[0], repository: 'widgets' }), /owner\/name/);
+  assert.throws(() => feedback.record({ ...examples[0], commentType: 'issue' }), /commentType must be one of/);
+  assert.throws(() => feedback.record({ ...examples[0], label: { actionable: 'yes' } }), /label.actionable/);
+  assert.throws(() => feedback.record({ ...examples[0], label: { actionable: true, type: 'praise' } }), /Unknown type "praise"/);
+  assert.throws(() => feedback.record({ ...examples[0], label: { actionable: true, severity: 'urgent' } }), /Unknown severity/);
+
+  assert.equal(feedback.remove(entry.key), true);
+  assert.equal(feedback.remove(entry.key), false);
+});
+
+test('measures overall and per-rule precision and recall against the labels', t => {
+  const feedback = tempFeedback(t);
+  examples.forEach(example => feedback.record(example));
+
+  const metrics = feedback.metrics();
+
+  assert.equal(metrics.labeled, 4);
+  assert.deepEqual(metrics.overall, {
+    truePositives: 1,
+    falsePositives: 1,
+    falseNegatives: 1,
+    trueNegatives: 1,
+    precision: 0.5,
+    recall: 0.5,
+    typeAccuracy: 1,
+    severityAccuracy: 1
+  });
+  const [should, lgtm] = metrics.rules;
+  assert.deepEqual([should.rule, should.fired, should.precision, should.recall], ['should', 2, 0.5, 0.5]);
+  // A negative rule is right when the comment isn't actionable
+  assert.deepEqual([lgtm.rule, lgtm.fired, lgtm.precision, lgtm.recall], ['lgtm', 1, 1, 0.5]);
+  assert.equal(metrics.model.examples, 0);
+});
+
+test('training writes the model and the classifier starts using it', t => {
+  const feedback = tempFeedback(t);
+  examples.forEach(example => feedback.record(example));
+
+  const result = feedback.train();
+
+  assert.equal(result.examples, 4);
+  assert.equal(result.active, true);
+  assert.ok(fs.existsSync(feedback.classifier.modelFile));
+  assert.equal(feedback.classifier.model.examples, 4);
+  assert.equal(feedback.metrics().model.examples, 4);
+
+  // The model catches the comment no rule did, and votes down the false positive
+  const rename = feedback.classifier.classify('Rename this function');
+  assert.deepEqual([rename.actionable, rename.type], [true, 'suggestion']);
+  assert.deepEqual(rename.matches.map(match => match.rule), ['model']);
+  assert.equal(feedback.classifier.classify('You should feel proud of this').actionable, false);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommentClassifier = require('../comment-classifier');
+
+// Classifier over the shipped config/classifier-rules.json
+function defaultClassifier(t) {
+  t.mock.method(console, 'log', () => {});
+  return new CommentClassifier({ modelFile: path.join(os.tmpdir(), 'no-classifier-model.json') });
+}
+
+// Classifier over a temp rules file; returns it with a function that rewrites the file
+function tempClassifier(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comment-classifier-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const rulesFile = path.join(dir, 'classifier-rules.json');
+  const write = contents => fs.writeFileSync(rulesFile, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  write(config);
+  return { classifier: new CommentClassifier({ rulesFile, modelFile: path.join(dir, 'model.json') }), write };
+}
+
+const rules = [
+  { id: 'bug', pattern: '\\bbug\\b', weight: 4, type: 'fix_required', severity: 'high' },
+  { id: 'should', pattern: '\\bshould\\b', weight: 2, type: 'improvement_needed', severity: 'medium' },
+  { id: 'docs', pattern: '\\bdocs\\b', weight: 2, type: 'improvement_needed', severity: 'low' },
+  { id: 'question-mark', pattern: '\\?', weight: 2, type: 'question', severity: 'medium' },
+  { id: 'lgtm', pattern: '\\blgtm\\b', weight: -4 }
+];
+
+test('scores review comments from the fixtures with the shipped rules', t => {
+  const classifier = defaultClassifier(t);
+
+  const blocking = classifier.classify('The parser must handle empty strings before this can merge.');
+  assert.deepEqual([blocking.actionable, blocking.type, blocking.severity, blocking.score], [true, 'improvement_needed', 'medium', 3]);
+  assert.deepEqual(blocking.matches.map(match => match.rule), ['must']);
+
+  const question = classifier.classify('Is there a reason this skips validation for empty input?');
+  assert.deepEqual([question.actionable, question.type, question.score], [true, 'question', 3]);
+
+  const approval = classifier.classify('LGTM, thanks!');
+  assert.equal(approval.actionable, false);
+  // "thanks" only counts at the start of a comment
+  assert.deepEqual(approval.matches.map(match => match.rule), ['approval']);
+  assert.equal(approval.score, -4);
+
+  assert.equal(classifier.classify('Coverage report: 91%').actionable, false);
+  assert.equal(classifier.classify('   ').actionable, false);
+  assert.ok(classifier.knownTypes().includes('fix_required'));
+});
+
+test('the highest-scoring type wins and takes the highest severity among its matches', t => {
+  const { classifier } = tempClassifier(t, { threshold: 3, rules });
+
+  const result = classifier.classify('The docs should mention this bug');
+  assert.equal(result.score, 8);
+  assert.deepEqual(result.scores, { fix_required: 4, improvement_needed: 4 });
+  // Tied scores go to the type whose rule fired first
+  assert.equal(result.type, 'fix_required');
+  assert.equal(result.severity, 'high');
+
+  const docs = classifier.classify('These docs should be longer');
+  assert.deepEqual([docs.type, docs.severity], ['improvement_needed', 'medium']);
+
+  // Negative rules pull the total below the threshold
+  const approved = classifier.classify('LGTM - docs should follow in another PR');
+  assert.equal(approved.score, 0);
+  assert.equal(approved.actionable, false);
+  assert.equal(approved.threshold, 3);
+});
+
+test('repositories override the threshold, weights and rules', t => {
+  const { classifier } = tempClassifier(t, {
+    threshold: 3,
+    rules,
+    repositories: {
+      'acme/widgets': {
+        threshold: 2,
+        disabledRules: ['bug'],
+        weights: { docs: 5 },
+        rules: [{ id: 'question-mark', pattern: '\\?$', weight: 1, type: 'question', severity: 'low' }, { id: 'flaky', pattern: '\\bflaky\\b', weight: 3, type: 'fix_required', severity: 'high' }]
+      }
+    }
+  });
+
+  assert.equal(classifier.classify('Why?').actionable, false);
+  assert.equal(classifier.classify('Why?', { repository: 'acme/gadgets' }).actionable, false);
+  assert.equal(classifier.classify('Missing docs', { repository: 'ACME/Widgets' }).score, 5);
+  assert.equal(classifier.classify('bug', { repository: 'acme/widgets' }).actionable, false);
+  assert.equal(classifier.classify('This test is flaky', { repository: 'acme/widgets' }).type, 'fix_required');
+  assert.equal(classifier.classify('Should this be here?', { repository: 'acme/widgets' }).score, 3);
+});
+
+test('an invalid rules file keeps the last good rules', t => {
+  t.mock.method(console, 'error', () => {});
+  const { classifier, write } = tempClassifier(t, { threshold: 3, rules });
+
+  // A positive rule without a type or severity
+  write({ rules: [{ id: 'vague', pattern: 'please', weight: 2 }] });
+  classifier.load();
+  assert.equal(classifier.classify('a bug').actionable, true);
+
+  write('{ "rules": [');
+  classifier.load();
+  assert.equal(classifier.rules.length, rules.length);
+
+  write({ threshold: 1, rules: [{ id: 'please', pattern: 'please', weight: 1, type: 'request', severity: 'medium' }] });
+  classifier.load();
+  assert.equal(classifier.classify('a bug').actionable, false);
+  assert.equal(classifier.classify('please').type, 'request');
+});
+
+test('comments from bots, ignored accounts and the PR author are never actionable', t => {
+  const { classifier } = tempClassifier(t, {
+    threshold: 3,
+    rules,
+    authors: { bots: ['*[bot]', 'codecov*'], ignore: ['release-manager'] },
+    repositories: { 'acme/widgets': { authors: { ignoreBots: false, excludePrAuthor: false } } }
+  });
+  const body = 'This is a bug';
+
+  assert.equal(classifier.classify(body, { author: 'ci-bot[bot]' }).ignoredAuthor, 'bot');
+  assert.equal(classifier.classify(body, { author: 'Codecov-Commenter' }).ignoredAuthor, 'bot');
+  assert.equal(classifier.classify(body, { author: 'deploy', authorIsBot: true }).actionable, false);
+  assert.equal(classifier.classify(body, { author: 'release-manager' }).ignoredAuthor, 'ignored');
+  assert.equal(classifier.classify(body, { author: 'Dave', prAuthor: 'dave' }).ignoredAuthor, 'pr_author');
+
+  const reviewer = classifier.classify(body, { author: 'bob', prAuthor: 'dave' });
+  assert.deepEqual([reviewer.actionable, reviewer.ignoredAuthor], [true, null]);
+
+  // The repository turns the bot and PR author filters off, but still ignores listed accounts
+  assert.equal(classifier.classify(body, { repository: 'acme/widgets', author: 'ci-bot[bot]' }).actionable, true);
+  assert.equal(classifier.classify(body, { repository: 'acme/widgets', author: 'dave', prAuthor: 'dave' }).actionable, true);
+  assert.equal(classifier.classify(body, { repository: 'acme/widgets', author: 'release-manager' }).ignoredAuthor, 'ignored');
+});
+
+test('a Conventional Comments prefix decides the type and severity', t => {
+  const classifier = defaultClassifier(t);
+
+  const nit = classifier.classify('nit: rename this to `tokens`');
+  assert.deepEqual([nit.actionable, nit.type, nit.severity], [true, 'suggestion', 'low']);
+  assert.deepEqual(nit.conventional, { label: 'nit', decorations: [], subject: 'rename this to' });
+
+  const blocking = classifier.classify('**issue (blocking):** this leaks the token');
+  assert.deepEqual([blocking.type, blocking.severity], ['fix_required', 'high']);
+
+  // Labels that ask for nothing beat any rule that fires
+  const praise = classifier.classify('praise: you must have fixed a nasty bug here');
+  assert.ok(praise.score > praise.threshold);
+  assert.deepEqual([praise.actionable, praise.type], [false, null]);
+});
+
+test('rules only see prose, not code, quotes or links', t => {
+  const classifier = defaultClassifier(t);
+
+  const quoted = classifier.classify('> This is broken and must be fixed\n\n```js\nthrow new Error("bug")\n```\nhttps://example.com/bug');
+  assert.equal(quoted.actionable, false);
+  assert.deepEqual(quoted.matches, []);
+});
+
+test('a suggestion block is actionable even without prose', t => {
+  const classifier = defaultClassifier(t);
+
+  const result = classifier.classify('```suggestion\nreturn [];\n```');
+  assert.deepEqual([result.actionable, result.type, result.severity, result.suggestionBlocks], [true, 'suggestion', 'low', 1]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSuggestions, stripMarkdown, parseConventionalPrefix } = require('../comment-parser');
+
+test('extractSuggestions returns the lines of each suggestion block', () => {
+  const body = 'Try this:\n```suggestion\nconst a = 1;\nconst b = 2;\n```\nand\n```suggestion\n```';
+  assert.deepEqual(extractSuggestions(body), [['const a = 1;', 'const b = 2;'], []]);
+});
+
+test('extractSuggestions ignores other code blocks and longer fences inside them', () => {
+  const body = '````js\n```suggestion\nnot one\n```\n````\n~~~suggestion\nx\n~~~';
+  assert.deepEqual(extractSuggestions(body), [['x']]);
+  assert.deepEqual(extractSuggestions(''), []);
+});
+
+test('stripMarkdown keeps only prose', () => {
+  const body = [
+    'Please fix `foo()` here <!-- hidden -->',
+    '> quoted: this is a bug',
+    '```',
+    'code with a bug',
+    '```',
+    'See [the docs](https://example.com/docs) and https://example.com/x'
+  ].join('\r\n');
+  assert.equal(stripMarkdown(body), 'Please fix   here \nSee the docs and');
+});
+
+test('parseConventionalPrefix reads label, decorations and subject', () => {
+  const labels = ['issue', 'nit', 'question'];
+  assert.deepEqual(parseConventionalPrefix('**issue (blocking, security):** token leaks', labels), {
+    label: 'issue',
+    decorations: ['blocking', 'security'],
+    subject: 'token leaks'
+  });
+  assert.deepEqual(parseConventionalPrefix('\nNit: spacing', labels), { label: 'nit', decorations: [], subject: 'spacing' });
+  assert.equal(parseConventionalPrefix('note: unknown label', labels), null);
+  assert.equal(parseConventionalPrefix('no prefix here', labels), null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommentTemplates = require('../comment-templates');
+const { templateVariables, renderTemplate } = CommentTemplates;
+
+function tempTemplates(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comment-templates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  return new CommentTemplates({ file: path.join(dir, 'comment-templates.json') });
+}
+
+test('renders placeholders and names the ones without a value', () => {
+  const body = 'This breaks `{{rule}}` at `{{ file }}:{{line}}` ({{file}})';
+
+  assert.deepEqual(templateVariables(body), ['rule', 'file', 'line']);
+  assert.equal(renderTemplate(body, { rule: 'no-eval', file: 'src/parser.js', line: 0 }),
+    'This breaks `no-eval` at `src/parser.js:0` (src/parser.js)');
+  assert.throws(() => renderTemplate(body, { rule: '', file: 'src/parser.js' }), /Missing template variables: rule, line$/);
+});
+
+test('the shipped templates list the variables they need', () => {
+  const templates = new CommentTemplates({ file: path.join(__dirname, '..', 'config', 'comment-templates.json') });
+
+  assert.deepEqual(templates.get('rule-violation').variables, ['rule', 'file', 'line']);
+  assert.deepEqual(templates.get('clarify-intent').variables, []);
+  assert.equal(templates.get('missing'), null);
+});
+
+test('creates, replaces and removes templates', t => {
+  const templates = tempTemplates(t);
+
+  templates.upsert('nit-naming', { body: 'Nit: `{{name}}` could be clearer', type: 'suggestion' });
+  const replaced = templates.upsert('nit-naming', { name: 'Naming nit', body: 'Consider renaming `{{name}}`', severity: 'low' });
+
+  assert.deepEqual(replaced, {
+    id: 'nit-naming',
+    name: 'Naming nit',
+    description: null,
+    type: null,
+    severity: 'low',
+    body: 'Consider renaming `{{name}}`',
+    variables: ['name']
+  });
+  assert.equal(templates.list().length, 1);
+  assert.throws(() => templates.upsert('Nit Naming', { body: 'x' }), /lowercase letters, digits and dashes/);
+  assert.throws(() => templates.upsert('empty', { body: ' ' }), /body is required/);
+  assert.throws(() => templates.upsert('typed', { body: 'x', type: 'praise' }), /type must be one of/);
+  assert.throws(() => templates.upsert('severe', { body: 'x', severity: 'urgent' }), /severity must be one of/);
+
+  assert.equal(templates.remove('nit-naming'), true);
+  assert.equal(templates.remove('nit-naming'), false);
+  assert.deepEqual(templates.list(), []);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitHubClient, ReplayBackend } = require('../github-client');
+const GitHubDataFetcher = require('../data-fetcher');
+const RepositoryRegistry = require('../repo-registry');
+const SnapshotStore = require('../snapshot-store');
+const TriageStore = require('../triage-store');
+const { withThreadState, withReply } = require('../review-threads');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'github');
+
+// A fetcher for acme/widgets that replays test/fixtures/github and keeps all of its
+// files in a temp dir. `requests` lists every GitHub request it made.
+function replayFetcher(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-fetcher-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const configFile = path.join(dir, 'repositories.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    // The fixtures are dated - don't let the activity and closed windows age them out
+    defaults: { activityWindowDays: null, closedWindowDays: null },
+    repositories: [{ name: 'acme/widgets' }]
+  }));
+
+  const requests = [];
+  const replay = new ReplayBackend({ fixturesDir });
+  const client = new GitHubClient({
+    backend: {
+      name: 'replay',
+      request: request => {
+        requests.push(`${request.method} ${request.path}`);
+        return replay.request(request);
+      }
+    }
+  });
+
+  const fetcher = new GitHubDataFetcher({
+    client,
+    registry: new RepositoryRegistry({ client, configFile }),
+    snapshots: new SnapshotStore({ dir: path.join(dir, 'snapshots') }),
+    triage: new TriageStore({ file: path.join(dir, 'triage-state.json') }),
+    dataPath: dir
+  });
+  return { fetcher, requests };
+}
+
+const findPr = (data, number) => data.repositories[0].pullRequests.find(pr => pr.number === number);
+
+test('a full fetch caches open PRs with outstanding comments and records their updatedAt', async t => {
+  const { fetcher } = replayFetcher(t);
+
+  const data = await fetcher.fetchAllData();
+
+  const pr = findPr(data, 7);
+  assert.deepEqual(pr.actionableComments.map(c => `${c.type}:${c.id}`),
+    ['review_comment:101', 'review_comment:103', 'general_comment:201', 'review:301']);
+  assert.equal(pr.actionableCount, 3); // 101's thread is resolved
+  assert.equal(pr.resolvedCount, 1);
+  assert.equal(findPr(data, 8), undefined); // only an LGTM
+  assert.deepEqual(fetcher.loadCachedData(), data);
+
+  assert.deepEqual(fetcher.loadFetchState().repositories['acme/widgets'].pullRequests, {
+    7: { updatedAt: '2026-10-01T13:00:00Z' },
+    8: { updatedAt: '2026-10-02T09:00:00Z' }
+  });
+  assert.equal(fetcher.getLastUpdateInfo().mode, 'full');
+});
+
+test('an incremental fetch only re-fetches PRs whose updatedAt moved', async t => {
+  const { fetcher, requests } = replayFetcher(t);
+  const full = await fetcher.fetchAllData();
+
+  // Pretend #8 changed since the full fetch
+  const fetchState = fetcher.loadFetchState();
+  fetchState.repositories['acme/widgets'].pullRequests[8] = { updatedAt: '2026-10-01T00:00:00Z' };
+  fetcher.saveFetchState(fetchState);
+  requests.length = 0;
+
+  const data = await fetcher.fetchAllData({ incremental: true });
+
+  assert.ok(requests.includes('GET repos/acme/widgets/issues/8/comments?per_page=100&page=1'));
+  assert.ok(!requests.some(request => request.includes('/7/')), 'unchanged #7 is not fetched again');
+  assert.deepEqual(findPr(data, 7), findPr(full, 7));
+  assert.deepEqual(fetcher.loadFetchState().repositories['acme/widgets'].pullRequests[8], { updatedAt: '2026-10-02T09:00:00Z' });
+
+  const info = fetcher.getLastUpdateInfo();
+  assert.equal(info.mode, 'incremental');
+  assert.equal(info.prsFetched, 1);
+  assert.equal(info.prsSkipped, 1);
+});
+
+test('closed and merged PRs from the history stay cached with their state and no comments', async t => {
+  const { fetcher } = replayFetcher(t);
+
+  const data = await fetcher.fetchAllData();
+
+  assert.deepEqual(data.repositories[0].pullRequests.map(pr => [pr.number, pr.state, pr.actionableCount]),
+    [[7, 'OPEN', 3], [5, 'MERGED', 0], [4, 'CLOSED', 0]]);
+  assert.equal(findPr(data, 5).closedAt, '2026-09-22T16:00:00Z');
+  assert.deepEqual(findPr(data, 4).actionableComments, []);
+
+  // The same history feeds the lifecycle records behind /api/metrics
+  const lifecycle = fetcher.loadLifecycleData().repositories['acme/widgets'].pullRequests;
+  assert.deepEqual(lifecycle.map(pr => [pr.number, pr.state]), [[8, 'OPEN'], [7, 'OPEN'], [5, 'MERGED'], [4, 'CLOSED']]);
+  assert.equal(lifecycle.find(pr => pr.number === 5).approvedAt, '2026-09-21T10:00:00Z');
+});
+
+test('triage state survives a fetch and comments triaged as done stop counting', async t => {
+  const { fetcher } = replayFetcher(t);
+  fetcher.triage.update('acme/widgets', 7, 'general_comment', 201, { status: 'done' });
+
+  const data = await fetcher.fetchAllData();
+
+  const pr = findPr(data, 7);
+  assert.equal(pr.actionableComments.find(c => c.id === 201).triage.status, 'done');
+  assert.equal(pr.actionableCount, 2);
+
+  // Triage changes made later are applied to the cached entry too
+  fetcher.applyTriage('acme', 'widgets', 7, 'review', 301, fetcher.triage.update('acme/widgets', 7, 'review', 301, { status: 'wont_fix' }));
+  assert.equal(findPr(fetcher.loadCachedData(), 7).actionableCount, 1);
+});
+
+test('replies and resolved threads from the tool update the cached comment and counts', async t => {
+  const { fetcher } = replayFetcher(t);
+  await fetcher.fetchAllData();
+
+  const reply = { id: 106, author: 'dave', body: 'Done', createdAt: '2026-10-02T12:00:00Z', url: 'https://github.com/acme/widgets/pull/7#discussion_r106' };
+  fetcher.applyCommentUpdate('acme', 'widgets', 7, 'review_comment', 103, (cached, entry) => withReply(cached, reply, entry.author.login));
+  const state = await fetcher.github.setReviewThreadResolved('T_103', true);
+  const pr = fetcher.applyCommentUpdate('acme', 'widgets', 7, 'review_comment', 103, cached => withThreadState(cached, state));
+
+  const comment = pr.actionableComments.find(c => c.id === 103);
+  assert.deepEqual([comment.replyCount, comment.acknowledged, comment.resolution, comment.resolvedBy], [1, true, 'resolved', 'dave']);
+  assert.equal(pr.actionableCount, 2);
+  assert.deepEqual(findPr(fetcher.loadCachedData(), 7), pr);
+  assert.equal(fetcher.applyCommentUpdate('acme', 'widgets', 7, 'review_comment', 999, cached => cached), null);
+});
+
+test('housekeeping changes from the tool are stored on the cached PR', async t => {
+  const { fetcher } = replayFetcher(t);
+  await fetcher.fetchAllData();
+
+  const pr = fetcher.applyPullRequestUpdate('acme', 'widgets', '7', { labels: ['bug'], isDraft: true });
+
+  assert.deepEqual([pr.labels, pr.isDraft], [['bug'], true]);
+  assert.deepEqual(findPr(fetcher.loadCachedData(), 7), pr);
+  assert.equal(fetcher.applyPullRequestUpdate('acme', 'widgets', 8, { labels: [] }), null);
+});
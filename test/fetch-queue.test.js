@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { GitHubClient, GitHubApiError, ReplayBackend } = require('../github-client');
+const FetchQueue = require('../fetch-queue');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'github');
+
+// Client replaying test/fixtures/github; `requests` lists the paths it asked for
+function replayClient() {
+  const requests = [];
+  const replay = new ReplayBackend({ fixturesDir });
+  const client = new GitHubClient({
+    backend: {
+      name: 'replay',
+      request: request => {
+        requests.push(request.path);
+        return replay.request(request);
+      }
+    }
+  });
+  return { client, requests };
+}
+
+test('runs at most `concurrency` tasks at once and resolves each with its result', async () => {
+  const queue = new FetchQueue({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const task = value => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+    return value;
+  };
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(value => queue.add(task(value))));
+
+  assert.deepEqual(results, [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+  assert.deepEqual(queue.getProgress(), { total: 5, completed: 5, failed: 0, retried: 0, active: 0, pending: 0, pausedUntil: null, rateLimits: {} });
+});
+
+test('retries a rate-limited task after the retry-after delay', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, requests } = replayClient();
+  const queue = new FetchQueue({ client });
+  const paused = [];
+  queue.on('paused', event => paused.push(event.reason));
+
+  // Secondary rate limit on the first attempt, then a normal response
+  let attempt = 0;
+  const repository = await queue.add(() => client.getRepository('acme', attempt++ === 0 ? 'throttled' : 'widgets'), 'acme/widgets');
+
+  assert.equal(repository.name, 'widgets');
+  assert.deepEqual(requests, ['repos/acme/throttled', 'repos/acme/widgets']);
+  assert.deepEqual(paused, ['rate limited on acme/widgets']);
+  assert.equal(queue.stats.retried, 1);
+  assert.equal(queue.stats.completed, 1);
+});
+
+test('gives up on a task that is still rate limited after maxRetries', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, requests } = replayClient();
+  const queue = new FetchQueue({ client, maxRetries: 2 });
+
+  await assert.rejects(queue.add(() => client.getRepository('acme', 'throttled')), error => {
+    assert.ok(error instanceof GitHubApiError);
+    assert.equal(error.status, 403);
+    return true;
+  });
+  assert.equal(requests.length, 3);
+  assert.equal(queue.stats.retried, 2);
+  assert.equal(queue.stats.failed, 1);
+});
+
+test('does not retry errors other than rate limits', async () => {
+  const { client, requests } = replayClient();
+  const queue = new FetchQueue({ client });
+
+  await assert.rejects(queue.add(() => client.getRepository('acme', 'missing')), { status: 404 });
+  assert.equal(requests.length, 1);
+  assert.equal(queue.stats.retried, 0);
+});
+
+test('pauses before starting more work when a rate-limit bucket runs low', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client } = replayClient();
+  const queue = new FetchQueue({ client, minRemaining: 50 });
+  const paused = [];
+  queue.on('paused', event => paused.push(event));
+
+  // The response leaves 10 core requests until a reset far in the future
+  await queue.add(() => client.getRepository('acme', 'gadgets'));
+  assert.equal(client.rateLimits.core.remaining, 10);
+
+  let started = false;
+  const next = queue.add(async () => { started = true; });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(started, false);
+  assert.equal(paused.length, 1);
+  assert.equal(paused[0].reason, 'core rate limit low (10 left)');
+  assert.equal(queue.getProgress().pending, 1);
+  assert.ok(queue.getProgress().pausedUntil);
+
+  // Cancelling drops the waiting task (and the resume timer)
+  queue.clear(new Error('Fetch cancelled'));
+  await assert.rejects(next, /Fetch cancelled/);
+  await assert.rejects(queue.add(async () => {}), /Fetch cancelled/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { GitHubClient, GitHubApiError, ReplayBackend, createBackendFromEnv } = require('../github-client');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'github');
+
+function replayClient() {
+  return new GitHubClient({ backend: new ReplayBackend({ fixturesDir }) });
+}
+
+test('createBackendFromEnv picks the replay backend without a token or gh', () => {
+  const backend = createBackendFromEnv({ GITHUB_BACKEND: 'replay', GITHUB_FIXTURES_DIR: fixturesDir });
+  assert.ok(backend instanceof ReplayBackend);
+  assert.equal(backend.fixturesDir, fixturesDir);
+});
+
+test('getRepository maps a recorded response and tracks rate limits', async () => {
+  const client = replayClient();
+
+  assert.deepEqual(await client.getRepository('acme', 'widgets'), {
+    name: 'widgets',
+    owner: { login: 'acme' },
+    url: 'https://github.com/acme/widgets',
+    updatedAt: '2026-10-02T08:00:00Z',
+    pushedAt: '2026-10-02T07:30:00Z'
+  });
+  assert.deepEqual(client.rateLimits.core, { limit: 5000, remaining: 4999, used: 1, reset: 1790000000 * 1000 });
+});
+
+test('listReviewComments follows the Link header across recorded pages', async () => {
+  const comments = await replayClient().listReviewComments('acme', 'widgets', 7);
+
+  assert.deepEqual(comments.map(comment => comment.id), [101, 102, 103]);
+  assert.equal(comments[2].body, '```suggestion\nreturn [];\n```');
+});
+
+test('recorded error responses surface as GitHubApiError', async () => {
+  await assert.rejects(replayClient().getRepository('acme', 'missing'), error => {
+    assert.ok(error instanceof GitHubApiError);
+    assert.equal(error.status, 404);
+    assert.match(error.message, /GET repos\/acme\/missing: Not Found/);
+    return true;
+  });
+});
+
+test('requests without a fixture fail with the expected fixture path', async () => {
+  await assert.rejects(replayClient().getRepository('acme', 'unrecorded'), error => {
+    assert.equal(error.status, 404);
+    assert.match(error.message, /No recorded fixture for GET repos\/acme\/unrecorded/);
+    assert.ok(error.message.includes(path.join(fixturesDir, 'get-repos_acme_unrecorded.json')));
+    return true;
+  });
+});
+
+test('dry-run writes return the request instead of sending it', async () => {
+  const client = replayClient();
+
+  // There is no fixture for this write, so sending it would fail
+  assert.deepEqual(await client.createIssueComment('acme', 'widgets', 7, 'Please add a test', { dryRun: true }), {
+    dryRun: true,
+    method: 'POST',
+    path: 'repos/acme/widgets/issues/7/comments',
+    body: { body: 'Please add a test' }
+  });
+  await assert.rejects(client.createIssueComment('acme', 'widgets', 7, 'Please add a test'), /No recorded fixture/);
+});
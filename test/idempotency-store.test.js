@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdempotencyStore = require('../idempotency-store');
+const { idempotencyMarker, requestFingerprint, validateKey } = IdempotencyStore;
+
+function tempStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new IdempotencyStore({ file: path.join(dir, 'keys.json'), ...options });
+}
+
+test('validateKey rejects empty, long and unsafe keys', () => {
+  assert.doesNotThrow(() => validateKey('post-123'));
+  assert.throws(() => validateKey(''), /1-255 characters/);
+  assert.throws(() => validateKey('x'.repeat(256)), /1-255 characters/);
+  assert.throws(() => validateKey('a b'), /spaces or angle brackets/);
+  assert.throws(() => validateKey('-->'), /spaces or angle brackets/);
+  assert.equal(idempotencyMarker('k1'), '<!-- pr-comment-tool:idempotency-key=k1 -->');
+});
+
+test('a completed request runs once and is replayed', async t => {
+  const store = tempStore(t);
+  const fingerprint = requestFingerprint('POST', '/comments', { body: 'hi' });
+  let runs = 0;
+  const post = async () => ({ status: 201, body: { success: true, id: ++runs } });
+
+  assert.deepEqual(await store.run('k1', fingerprint, post), { result: { status: 201, body: { success: true, id: 1 } }, replayed: false });
+  assert.deepEqual(await store.run('k1', fingerprint, post), { result: { status: 201, body: { success: true, id: 1 } }, replayed: true });
+  assert.equal(runs, 1);
+});
+
+test('a key reused for a different request is a conflict', async t => {
+  const store = tempStore(t);
+  await store.run('k1', requestFingerprint('a'), async () => ({ status: 200, body: {} }));
+  assert.deepEqual(await store.run('k1', requestFingerprint('b'), async () => ({ status: 200, body: {} })), { conflict: true });
+});
+
+test('concurrent repeats wait for the running request', async t => {
+  const store = tempStore(t);
+  let runs = 0;
+  const slow = async () => {
+    runs++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { status: 200, body: { ok: true } };
+  };
+  const [first, second] = await Promise.all([store.run('k1', 'f', slow), store.run('k1', 'f', slow)]);
+  assert.equal(runs, 1);
+  assert.equal(first.replayed, false);
+  assert.equal(second.replayed, true);
+  assert.deepEqual(second.result, first.result);
+});
+
+test('a failed attempt is retried with the previous attempt passed in', async t => {
+  const store = tempStore(t);
+  const previousAttempts = [];
+  const attempt = status => async previous => {
+    previousAttempts.push(previous && { status: previous.status, attempts: previous.attempts });
+    return { status, body: {} };
+  };
+
+  await store.run('k1', 'f', attempt(502));
+  await assert.rejects(store.run('k1', 'f', async () => { throw new Error('timeout'); }), /timeout/);
+  const { result, replayed } = await store.run('k1', 'f', attempt(201));
+
+  assert.equal(result.status, 201);
+  assert.equal(replayed, false);
+  assert.deepEqual(previousAttempts, [null, { status: 'failed', attempts: 2 }]);
+});
+
+test('keys expire after their time to live', async t => {
+  const store = tempStore(t, { ttlHours: 1 });
+  await store.run('k1', 'f', async () => ({ status: 200, body: { n: 1 } }));
+
+  const saved = store.load();
+  saved.keys.k1.createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(store.file, JSON.stringify(saved));
+
+  const { result, replayed } = await store.run('k1', 'f', async () => ({ status: 200, body: { n: 2 } }));
+  assert.equal(replayed, false);
+  assert.deepEqual(result.body, { n: 2 });
+});
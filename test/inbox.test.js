@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitHubClient, ReplayBackend } = require('../github-client');
+const GitHubDataFetcher = require('../data-fetcher');
+const RepositoryRegistry = require('../repo-registry');
+const SnapshotStore = require('../snapshot-store');
+const TriageStore = require('../triage-store');
+const { mentionsUser, buildInbox } = require('../inbox');
+
+const client = new GitHubClient({ backend: new ReplayBackend({ fixturesDir: path.join(__dirname, 'fixtures', 'github') }) });
+
+// Cached data for acme/widgets from a full fetch of the replayed fixtures
+async function cachedData(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const configFile = path.join(dir, 'repositories.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    defaults: { activityWindowDays: null, closedWindowDays: null },
+    repositories: [{ name: 'acme/widgets' }]
+  }));
+  const fetcher = new GitHubDataFetcher({
+    client,
+    registry: new RepositoryRegistry({ client, configFile }),
+    snapshots: new SnapshotStore({ dir: path.join(dir, 'snapshots') }),
+    triage: new TriageStore({ file: path.join(dir, 'triage-state.json') }),
+    dataPath: dir
+  });
+  return fetcher.fetchAllData();
+}
+
+const item = entry => (entry.kind === 'comment' ? `${entry.repository}#${entry.prNumber}:${entry.id}` : `${entry.repository}#${entry.prNumber}`);
+
+test('mentionsUser only counts @mentions in prose', () => {
+  assert.ok(mentionsUser('@Bob can you take a look?', 'bob'));
+  assert.ok(mentionsUser('Thoughts, @bob?', 'bob'));
+  assert.ok(!mentionsUser('@bobby can you take a look?', 'bob'));
+  assert.ok(!mentionsUser('mail bob@example.com', 'bob'));
+  assert.ok(!mentionsUser('> @bob said so\n\n`@bob`', 'bob'));
+});
+
+test('the PR author gets unanswered questions and outstanding feedback on their PRs', async t => {
+  const data = await cachedData(t);
+
+  const inbox = buildInbox(data, 'dave');
+
+  assert.deepEqual(inbox.sections.questions.map(item), ['acme/widgets#7:201']);
+  assert.equal(inbox.sections.questions[0].author, 'carol');
+  // 101's thread is resolved. Most recent activity first.
+  assert.deepEqual(inbox.sections.authored.map(item), ['acme/widgets#7:301', 'acme/widgets#7:103']);
+  assert.deepEqual(inbox.counts, { questions: 1, mentions: 0, authored: 2, reviewRequested: 0 });
+  assert.equal(inbox.total, 3);
+});
+
+test('reviewers get review requests and mentions from search, and not their own feedback', async t => {
+  const data = await cachedData(t);
+  const search = query => client.searchPullRequests(`is:open archived:false ${query}`);
+
+  const inbox = buildInbox(data, 'bob', {
+    reviewRequested: await search('review-requested:bob'),
+    mentioned: await search('mentions:bob')
+  });
+
+  assert.deepEqual(inbox.sections.reviewRequested.map(item), ['acme/widgets#8']);
+  assert.deepEqual(inbox.sections.mentions.map(item), ['acme/widgets#7']);
+  assert.deepEqual(inbox.sections.questions, []);
+  assert.deepEqual(inbox.sections.authored, []);
+});
+
+test('a mention stays in the inbox until the user has the last word', async t => {
+  const data = await cachedData(t);
+  const suggestion = data.repositories[0].pullRequests[0].actionableComments.find(comment => comment.id === 103);
+  suggestion.replies = [{ id: 104, author: 'dave', body: '@erin is this right?', createdAt: '2026-10-02T12:00:00Z', url: 'https://github.com/acme/widgets/pull/7#discussion_r104' }];
+  suggestion.lastResponder = 'dave';
+
+  const [mention] = buildInbox(data, 'erin').sections.mentions;
+  assert.deepEqual([mention.id, mention.mentionedBy, mention.mentionUrl], [103, 'dave', 'https://github.com/acme/widgets/pull/7#discussion_r104']);
+  assert.equal(mention.lastActivityAt, '2026-10-02T12:00:00Z');
+
+  suggestion.lastResponder = 'erin';
+  assert.equal(buildInbox(data, 'erin').total, 0);
+});
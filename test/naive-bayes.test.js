@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NaiveBayesClassifier = require('../naive-bayes');
+const { tokenize } = NaiveBayesClassifier;
+
+test('tokenize lowercases words, keeps question marks and adds bigrams', () => {
+  assert.deepEqual(tokenize('Why not Foo_bar?'), ['why', 'not', 'foo_bar', '?', 'why not', 'not foo_bar', 'foo_bar ?']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('predict picks the class whose words match and returns probabilities', () => {
+  const model = new NaiveBayesClassifier()
+    .train('please fix this bug', 'actionable')
+    .train('this breaks the build, fix it', 'actionable')
+    .train('looks good to me', 'not_actionable')
+    .train('thanks, nice work', 'not_actionable');
+
+  const fix = model.predict('fix the bug please');
+  assert.equal(fix.label, 'actionable');
+  assert.ok(fix.probabilities.actionable > 0.5);
+  assert.ok(Math.abs(fix.probabilities.actionable + fix.probabilities.not_actionable - 1) < 1e-9);
+  assert.equal(model.predict('nice, looks good').label, 'not_actionable');
+});
+
+test('an untrained model predicts nothing and models survive a JSON round trip', () => {
+  assert.equal(new NaiveBayesClassifier().predict('anything'), null);
+
+  const model = new NaiveBayesClassifier().train('fix this', 'actionable').train('thanks', 'not_actionable');
+  const restored = NaiveBayesClassifier.fromJSON(JSON.parse(JSON.stringify(model)));
+  assert.deepEqual(restored.predict('please fix'), model.predict('please fix'));
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChanges, parsePullRequestRef, parsePullRequestRefs, applyChanges, MAX_BULK_PULL_REQUESTS } = require('../pr-housekeeping');
+
+test('parseChanges accepts lists and comma-separated strings', () => {
+  assert.deepEqual(parseChanges({ addLabels: 'bug, needs-tests ,bug', requestReviewers: ['bob', ' org/core '], draft: false }), {
+    addLabels: ['bug', 'needs-tests'],
+    removeLabels: [],
+    requestReviewers: ['bob', 'org/core'],
+    removeReviewers: [],
+    addAssignees: [],
+    removeAssignees: [],
+    draft: false
+  });
+  assert.equal(parseChanges({ removeAssignees: 'alice' }).draft, null);
+});
+
+test('parseChanges rejects empty and malformed change sets', () => {
+  assert.throws(() => parseChanges({}), /Nothing to change/);
+  assert.throws(() => parseChanges({ addLabels: ' , ' }), /Nothing to change/);
+  assert.throws(() => parseChanges({ draft: 'yes' }), /draft must be true/);
+  assert.throws(() => parseChanges({ addLabels: [1] }), /addLabels must be a list of names/);
+});
+
+test('parsePullRequestRef(s) read owner/repo#number and drop duplicates', () => {
+  assert.deepEqual(parsePullRequestRef('h1-aot/aot-base#12'), { owner: 'h1-aot', repo: 'aot-base', number: 12 });
+  assert.deepEqual(parsePullRequestRef({ owner: 'o', repo: 'r', number: '3' }), { owner: 'o', repo: 'r', number: 3 });
+  assert.throws(() => parsePullRequestRef('o/r'), /expected owner\/repo#123/);
+  assert.throws(() => parsePullRequestRef({ owner: 'o', repo: 'r', number: 0 }), /owner, repo and number/);
+
+  assert.deepEqual(parsePullRequestRefs(['o/r#1', 'O/R#1', 'o/r#2']).map(pr => pr.number), [1, 2]);
+  assert.throws(() => parsePullRequestRefs([]), /at least one/);
+  assert.throws(() => parsePullRequestRefs(Array.from({ length: MAX_BULK_PULL_REQUESTS + 1 }, (_, i) => `o/r#${i + 1}`)), /At most/);
+});
+
+// GitHub client double recording the calls housekeeping makes
+function fakeGitHub(state, { failing = [] } = {}) {
+  const calls = [];
+  const call = name => async (...args) => {
+    calls.push([name, ...args.slice(2)]);
+    if (failing.includes(name)) {
+      throw Object.assign(new Error(`${name} rejected`), { status: 422 });
+    }
+    return { dryRun: false };
+  };
+  return {
+    calls,
+    getPullRequestDetails: async () => ({ state: 'OPEN', nodeId: 'PR_1', reviewDecision: null, ...state }),
+    addLabels: call('addLabels'),
+    removeLabel: call('removeLabel'),
+    requestReviewers: call('requestReviewers'),
+    removeRequestedReviewers: call('removeRequestedReviewers'),
+    addAssignees: call('addAssignees'),
+    removeAssignees: call('removeAssignees'),
+    setDraft: async (id, draft, options) => { calls.push(['setDraft', id, draft, options]); return draft; }
+  };
+}
+
+test('applyChanges skips changes already in place and splits team reviewers', async () => {
+  const github = fakeGitHub({ isDraft: false, labels: ['wip'], assignees: ['alice'], requestedReviewers: ['bob'] });
+  const changes = parseChanges({
+    addLabels: 'WIP, bug', removeLabels: 'stale', requestReviewers: 'bob, carol, org/core', addAssignees: 'alice', draft: true
+  });
+  const result = await applyChanges(github, { owner: 'o', repo: 'r', number: 1 }, changes);
+
+  assert.deepEqual(result.applied.map(step => [step.action, step.names]), [
+    ['addLabels', ['bug']],
+    ['requestReviewers', ['carol', 'org/core']],
+    ['convertToDraft', []]
+  ]);
+  assert.deepEqual(result.skipped.map(step => `${step.action}:${step.name}`), [
+    'addLabels:WIP', 'removeLabels:stale', 'requestReviewers:bob', 'addAssignees:alice'
+  ]);
+  assert.deepEqual(github.calls, [
+    ['addLabels', 1, ['bug'], { dryRun: false }],
+    ['requestReviewers', 1, { reviewers: ['carol'], teamReviewers: ['core'] }, { dryRun: false }],
+    ['setDraft', 'PR_1', true, { dryRun: false }]
+  ]);
+  assert.equal(result.state, 'OPEN');
+});
+
+test('applyChanges keeps going after a failed step and reports it', async () => {
+  const github = fakeGitHub({ isDraft: true, labels: [], assignees: [], requestedReviewers: [] }, { failing: ['requestReviewers'] });
+  const changes = parseChanges({ requestReviewers: 'ghost', addAssignees: 'alice', draft: true });
+  const result = await applyChanges(github, { owner: 'o', repo: 'r', number: 1 }, changes);
+
+  assert.deepEqual(result.applied.map(step => step.action), ['addAssignees']);
+  assert.deepEqual(result.failed, [{ action: 'requestReviewers', names: ['ghost'], status: 422, error: 'requestReviewers rejected' }]);
+  assert.deepEqual(result.skipped, [{ action: 'convertToDraft', reason: 'already a draft' }]);
+});
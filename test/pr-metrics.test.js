@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLifecycle, computeMetrics } = require('../pr-metrics');
+
+const user = login => ({ login, is_bot: false });
+const reviewer = (login, isTeam = false) => ({ login, is_team: isTeam });
+const review = (login, state, submittedAt) => ({ author: user(login), state, submittedAt });
+
+// A PR as listPullRequestHistory() returns it
+function historyPr(fields) {
+  return {
+    number: 1,
+    title: 'Change',
+    url: 'https://github.com/acme/widgets/pull/1',
+    author: user('dave'),
+    state: 'OPEN',
+    isDraft: false,
+    createdAt: '2026-09-01T10:00:00Z',
+    updatedAt: '2026-09-01T10:00:00Z',
+    closedAt: null,
+    mergedAt: null,
+    reviews: [],
+    reviewRequests: [],
+    reviewRequestEvents: [],
+    ...fields
+  };
+}
+
+test('buildLifecycle takes first review and approval from other people\'s submitted reviews', () => {
+  const record = buildLifecycle(historyPr({
+    reviews: [
+      review('dave', 'COMMENTED', '2026-09-01T11:00:00Z'),
+      review('bob', 'APPROVED', '2026-09-03T10:00:00Z'),
+      review('alice', 'CHANGES_REQUESTED', '2026-09-02T10:00:00Z'),
+      review('carol', 'PENDING', null),
+      review('alice', 'CHANGES_REQUESTED', '2026-09-02T18:00:00Z')
+    ]
+  }));
+
+  assert.equal(record.firstReviewAt, '2026-09-02T10:00:00Z');
+  assert.equal(record.approvedAt, '2026-09-03T10:00:00Z');
+  assert.deepEqual(record.reviewers, ['alice', 'bob']);
+  // Two requests for changes, then the approving round
+  assert.equal(record.reviewRounds, 3);
+
+  assert.equal(buildLifecycle(historyPr({ reviews: [review('bob', 'COMMENTED', '2026-09-02T10:00:00Z')] })).reviewRounds, 1);
+  assert.equal(buildLifecycle(historyPr()).reviewRounds, 0);
+});
+
+test('buildLifecycle tracks the latest request per reviewer and whether they reviewed after it', () => {
+  const record = buildLifecycle(historyPr({
+    reviews: [review('bob', 'COMMENTED', '2026-09-02T09:00:00Z'), review('alice', 'APPROVED', '2026-09-03T10:00:00Z')],
+    reviewRequests: [reviewer('bob'), reviewer('acme/core', true), reviewer('erin')],
+    reviewRequestEvents: [
+      { action: 'requested', reviewer: reviewer('bob'), createdAt: '2026-09-01T12:00:00Z' },
+      // A re-request restarts the clock, so bob's earlier review doesn't count
+      { action: 'requested', reviewer: reviewer('bob'), createdAt: '2026-09-02T12:00:00Z' },
+      { action: 'requested', reviewer: reviewer('alice'), createdAt: '2026-09-01T12:00:00Z' },
+      { action: 'requested', reviewer: reviewer('frank'), createdAt: '2026-09-01T12:00:00Z' },
+      { action: 'removed', reviewer: reviewer('frank'), createdAt: '2026-09-01T13:00:00Z' },
+      { action: 'requested', reviewer: reviewer('acme/core', true), createdAt: '2026-09-01T12:00:00Z' }
+    ]
+  }));
+
+  assert.deepEqual(record.reviewRequests, [
+    { reviewer: 'bob', isTeam: false, requestedAt: '2026-09-02T12:00:00Z', pending: true, reviewedAt: null },
+    { reviewer: 'alice', isTeam: false, requestedAt: '2026-09-01T12:00:00Z', pending: false, reviewedAt: '2026-09-03T10:00:00Z' },
+    { reviewer: 'acme/core', isTeam: true, requestedAt: '2026-09-01T12:00:00Z', pending: true, reviewedAt: null },
+    // Requested before the timeline we fetched: counts from PR creation
+    { reviewer: 'erin', isTeam: false, requestedAt: '2026-09-01T10:00:00Z', pending: true, reviewedAt: null }
+  ]);
+});
+
+const lifecycleData = {
+  lastUpdate: '2026-10-02T09:00:00.000Z',
+  repositories: {
+    'acme/widgets': {
+      pullRequests: [
+        buildLifecycle(historyPr({
+          number: 5,
+          state: 'MERGED',
+          createdAt: '2026-09-20T10:00:00Z',
+          mergedAt: '2026-09-22T16:00:00Z',
+          closedAt: '2026-09-22T16:00:00Z',
+          reviews: [review('alice', 'APPROVED', '2026-09-21T10:00:00Z')]
+        })),
+        buildLifecycle(historyPr({ number: 4, state: 'CLOSED', createdAt: '2026-09-10T10:00:00Z', closedAt: '2026-09-18T11:00:00Z' }))
+      ]
+    },
+    'acme/gadgets': {
+      pullRequests: [
+        buildLifecycle(historyPr({
+          number: 2,
+          author: user('erin'),
+          createdAt: '2026-09-25T10:00:00Z',
+          reviews: [review('bob', 'CHANGES_REQUESTED', '2026-09-25T12:00:00Z'), review('bob', 'APPROVED', '2026-09-26T10:00:00Z')]
+        }))
+      ]
+    }
+  }
+};
+
+test('computeMetrics summarizes durations in hours per repository and per author', () => {
+  const metrics = computeMetrics(lifecycleData);
+
+  assert.equal(metrics.lastUpdate, lifecycleData.lastUpdate);
+  assert.equal(metrics.totals.pullRequests, 3);
+  assert.deepEqual([metrics.totals.open, metrics.totals.merged, metrics.totals.closed], [1, 1, 1]);
+  assert.deepEqual(metrics.totals.timeToFirstReview, { count: 2, median: 13, average: 13 });
+  assert.deepEqual(metrics.totals.timeToMerge, { count: 1, median: 54, average: 54 });
+  assert.deepEqual(metrics.totals.reviewRounds, { count: 2, median: 1.5, average: 1.5 });
+
+  assert.deepEqual(Object.keys(metrics.repositories), ['acme/widgets', 'acme/gadgets']);
+  assert.deepEqual(metrics.repositories['acme/gadgets'].timeToApproval, { count: 1, median: 24, average: 24 });
+  assert.deepEqual(Object.keys(metrics.authors), ['dave', 'erin']);
+  assert.equal(metrics.authors.dave.pullRequests, 2);
+});
+
+test('computeMetrics narrows to a repository, an author and PRs created since a date', () => {
+  assert.equal(computeMetrics(lifecycleData, { repository: 'ACME/Gadgets' }).totals.pullRequests, 1);
+  assert.equal(computeMetrics(lifecycleData, { author: 'Dave' }).totals.pullRequests, 2);
+  assert.equal(computeMetrics(lifecycleData, { since: '2026-09-15T00:00:00Z' }).totals.pullRequests, 2);
+
+  const none = computeMetrics(lifecycleData, { repository: 'acme/widgets', author: 'erin' });
+  assert.deepEqual(none.totals.timeToMerge, { count: 0, median: null, average: null });
+  assert.deepEqual(none.repositories, {});
+  assert.equal(computeMetrics({}).totals.pullRequests, 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitHubClient, ReplayBackend } = require('../github-client');
+const RepositoryRegistry = require('../repo-registry');
+const { DEFAULT_SETTINGS, validateSettings } = RepositoryRegistry;
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'github');
+
+// Registry over a temp config file, discovering orgs through the replay fixtures
+function tempRegistry(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configFile = path.join(dir, 'repositories.json');
+  if (config) fs.writeFileSync(configFile, JSON.stringify(config));
+
+  const client = new GitHubClient({ backend: new ReplayBackend({ fixturesDir }) });
+  return new RepositoryRegistry({ client, configFile });
+}
+
+test('validateSettings accepts known positive whole numbers and null where it turns a setting off', () => {
+  validateSettings(undefined);
+  validateSettings({ prLimit: 50, closedWindowDays: null, reviewSlaHours: 4 });
+
+  assert.throws(() => validateSettings({ prLimit: 'abc' }), /"prLimit" must be a positive whole number$/);
+  assert.throws(() => validateSettings({ prLimit: null }), /"prLimit" must be a positive whole number$/);
+  assert.throws(() => validateSettings({ staleAfterHours: 1.5 }), /or null/);
+  assert.throws(() => validateSettings({ activityWindowDays: 0 }), /positive whole number/);
+  assert.throws(() => validateSettings({ colour: 'blue' }), /Unknown setting "colour"/);
+  assert.throws(() => validateSettings([]), /settings must be an object/);
+});
+
+test('creates a config with the default settings when the file does not exist', t => {
+  const registry = tempRegistry(t);
+
+  assert.deepEqual(registry.getConfig(), { defaults: DEFAULT_SETTINGS, repositories: [], organizations: [] });
+  assert.deepEqual(JSON.parse(fs.readFileSync(registry.configFile, 'utf8')), registry.getConfig());
+});
+
+test('resolves org discovery with globs, explicit entries and per-repo settings', async t => {
+  t.mock.method(console, 'error', () => {});
+  const registry = tempRegistry(t, {
+    defaults: { prLimit: 20 },
+    organizations: [{ org: 'acme', include: ['*'], exclude: ['legacy-*'], settings: { reviewSlaHours: 4 } }],
+    repositories: [
+      { name: 'acme/gadgets', settings: { prLimit: 5 } },
+      { name: 'acme/sandbox', enabled: false },
+      { name: 'other/tool' },
+      { name: 'not a repository' },
+      null
+    ]
+  });
+
+  const repos = await registry.resolveRepositories();
+
+  assert.deepEqual(repos.map(repo => [repo.fullName, repo.source]), [
+    ['acme/widgets', 'org:acme'],
+    ['acme/gadgets', 'explicit'],
+    ['other/tool', 'explicit']
+  ]);
+  const [widgets, gadgets, tool] = repos;
+  assert.equal(widgets.details.pushedAt, '2026-10-02T07:30:00Z');
+  assert.deepEqual(widgets.settings, { ...DEFAULT_SETTINGS, prLimit: 20, reviewSlaHours: 4 });
+  // Explicit settings win over the org's, which win over the defaults
+  assert.deepEqual(gadgets.settings, { ...DEFAULT_SETTINGS, prLimit: 5, reviewSlaHours: 4 });
+  assert.equal(gadgets.details.name, 'gadgets');
+  assert.deepEqual(tool.settings, { ...DEFAULT_SETTINGS, prLimit: 20 });
+  assert.equal(tool.details, null);
+
+  assert.deepEqual(await registry.getSettings('ACME', 'Widgets'), widgets.settings);
+  assert.deepEqual(await registry.getSettings('acme', 'unknown'), { ...DEFAULT_SETTINGS, prLimit: 20 });
+});
+
+test('adds, updates and removes repositories, saving each change without leaving temp files', async t => {
+  const registry = tempRegistry(t, { repositories: [] });
+  const changes = [];
+  registry.on('changed', config => changes.push(config.repositories.length));
+
+  assert.deepEqual(registry.addRepository('acme/widgets', { prLimit: 10 }), { name: 'acme/widgets', settings: { prLimit: 10 } });
+  assert.throws(() => registry.addRepository('acme/widgets'), /already registered/);
+  assert.throws(() => registry.addRepository('acme/gadgets', { prLimit: -1 }), /positive whole number/);
+
+  registry.updateRepository('acme/widgets', { settings: { closedWindowDays: null }, enabled: false });
+  assert.throws(() => registry.updateRepository('acme/widgets', { settings: { prLimit: 'abc' } }), /positive whole number/);
+  assert.throws(() => registry.updateRepository('acme/unknown', { settings: { prLimit: 1 } }), /not registered/);
+
+  const saved = JSON.parse(fs.readFileSync(registry.configFile, 'utf8'));
+  assert.deepEqual(saved.repositories, [{ name: 'acme/widgets', settings: { prLimit: 10, closedWindowDays: null }, enabled: false }]);
+
+  assert.deepEqual(await registry.removeRepository('acme/widgets'), { name: 'acme/widgets', disabled: false });
+  await assert.rejects(registry.removeRepository('acme/widgets'), /not registered/);
+  assert.deepEqual(changes, [1, 1, 0]);
+  assert.deepEqual(fs.readdirSync(path.dirname(registry.configFile)), ['repositories.json']);
+});
+
+test('removing a discovered repository keeps it as a disabled entry', async t => {
+  const registry = tempRegistry(t, { organizations: [{ org: 'acme' }], repositories: [] });
+
+  assert.deepEqual(await registry.removeRepository('acme/gadgets'), { name: 'acme/gadgets', disabled: true });
+  assert.deepEqual(registry.getConfig().repositories, [{ name: 'acme/gadgets', enabled: false }]);
+  assert.ok(!(await registry.resolveRepositories()).some(repo => repo.name === 'gadgets'));
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReviewDraftStore = require('../review-drafts');
+const { parseAnchor } = ReviewDraftStore;
+
+test('parseAnchor reads single lines, ranges and file-level anchors', () => {
+  assert.deepEqual(parseAnchor({ file: '/src/app.js', line: '12' }),
+    { path: 'src/app.js', line: 12, side: 'RIGHT', startLine: null, startSide: null });
+  assert.deepEqual(parseAnchor({ file: 'src/app.js', startLine: 10, line: 12, side: 'left' }),
+    { path: 'src/app.js', line: 12, side: 'LEFT', startLine: 10, startSide: 'LEFT' });
+  assert.deepEqual(parseAnchor({ file: 'src/app.js', startLine: 20, startSide: 'LEFT', line: 12 }),
+    { path: 'src/app.js', line: 12, side: 'RIGHT', startLine: 20, startSide: 'LEFT' });
+  assert.deepEqual(parseAnchor({ file: 'src/app.js' }),
+    { path: 'src/app.js', line: null, side: null, startLine: null, startSide: null });
+  assert.equal(parseAnchor({}), null);
+});
+
+test('parseAnchor rejects anchors GitHub would refuse', () => {
+  assert.throws(() => parseAnchor({ line: 3 }), /file is required/);
+  assert.throws(() => parseAnchor({ file: 'a.js', startLine: 3 }), /line is required/);
+  assert.throws(() => parseAnchor({ file: 'a.js', line: 0 }), /positive line number/);
+  assert.throws(() => parseAnchor({ file: 'a.js', line: 2.5 }), /positive line number/);
+  assert.throws(() => parseAnchor({ file: 'a.js', line: 3, side: 'MIDDLE' }), /side must be/);
+  assert.throws(() => parseAnchor({ file: 'a.js', line: 3, startLine: 3 }), /startLine must be before line/);
+  assert.throws(() => parseAnchor({ file: 'a.js', line: 3, startLine: -1 }), /startLine must be a positive/);
+  assert.throws(() => parseAnchor({ file: 42, line: 3 }), /file must be a path/);
+});
+
+test('drafts queue comments on the commit they started on', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-drafts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new ReviewDraftStore({ file: path.join(dir, 'drafts.json') });
+
+  store.addComment('o/r', 7, { body: 'First', anchor: parseAnchor({ file: 'a.js', line: 1 }), commitId: 'abc' });
+  const { draft, comment } = store.addComment('o/r', 7, { body: 'Second', anchor: parseAnchor({ file: 'a.js', line: 2 }), commitId: 'def' });
+  assert.equal(draft.commitId, 'abc');
+  assert.equal(comment.id, 2);
+  assert.throws(() => store.addComment('o/r', 7, { body: 'x', anchor: parseAnchor({ file: 'a.js' }) }), /need a file and line/);
+
+  assert.deepEqual(store.removeComment('o/r', 7, 1).comments.map(queued => queued.body), ['Second']);
+  assert.equal(store.removeComment('o/r', 7, 1), null);
+  assert.equal(store.discard('o/r', 7), true);
+  assert.equal(store.get('o/r', 7), null);
+});
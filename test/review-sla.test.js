@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { businessHoursBetween, computeSlaReport } = require('../review-sla');
+
+const officeHours = { startHour: 9, endHour: 17, workdays: [1, 2, 3, 4, 5] };
+// Local times, like the office hours themselves. 2025-11-07 is a Friday.
+const at = (day, hour, minute = 0) => new Date(2025, 10, day, hour, minute);
+
+test('businessHoursBetween counts only working hours on workdays', () => {
+  assert.equal(businessHoursBetween(at(10, 10), at(10, 12, 30), officeHours), 2.5);
+  assert.equal(businessHoursBetween(at(10, 7), at(10, 10), officeHours), 1);     // before opening
+  assert.equal(businessHoursBetween(at(10, 16), at(10, 20), officeHours), 1);    // after closing
+  assert.equal(businessHoursBetween(at(7, 15), at(10, 11), officeHours), 4);     // over a weekend
+  assert.equal(businessHoursBetween(at(8, 10), at(9, 18), officeHours), 0);      // weekend only
+  assert.equal(businessHoursBetween(at(10, 9), at(17, 9), officeHours), 40);     // a full week
+});
+
+test('businessHoursBetween is zero for an empty or reversed range', () => {
+  assert.equal(businessHoursBetween(at(10, 12), at(10, 12), officeHours), 0);
+  assert.equal(businessHoursBetween(at(10, 12), at(10, 10), officeHours), 0);
+  assert.equal(businessHoursBetween(at(10, 10).toISOString(), at(10, 11).toISOString(), officeHours), 1);
+});
+
+test('computeSlaReport flags breached requests and stale PRs, leaving drafts out', () => {
+  const pr = (number, fields) => ({
+    number, title: `PR ${number}`, url: `u${number}`, author: 'carol', state: 'OPEN', isDraft: false,
+    createdAt: at(3, 9).toISOString(), updatedAt: at(11, 9).toISOString(), reviewRequests: [], ...fields
+  });
+  const lifecycleData = {
+    lastUpdate: at(11, 12).toISOString(),
+    repositories: {
+      'o/r': {
+        pullRequests: [
+          pr(1, { reviewRequests: [
+            { reviewer: 'bob', isTeam: false, requestedAt: at(10, 9).toISOString(), pending: true },
+            { reviewer: 'erin', isTeam: false, requestedAt: at(11, 9).toISOString(), pending: true },
+            { reviewer: 'dave', isTeam: false, requestedAt: at(3, 9).toISOString(), pending: false }
+          ] }),
+          pr(2, { updatedAt: at(6, 9).toISOString() }),
+          pr(3, { isDraft: true, updatedAt: at(3, 9).toISOString() }),
+          pr(4, { state: 'MERGED', updatedAt: at(3, 9).toISOString() })
+        ]
+      }
+    }
+  };
+  const report = computeSlaReport(lifecycleData, {
+    officeHours,
+    settingsFor: () => ({ reviewSlaHours: 8, staleAfterHours: 24 }),
+    now: at(11, 12)
+  });
+
+  assert.deepEqual(report.totals, { openPullRequests: 2, pendingRequests: 2, breaches: 1, stale: 1 });
+  const [breached, stale] = report.repositories['o/r'].pullRequests;
+  assert.equal(breached.number, 1);
+  assert.deepEqual(breached.pendingRequests.map(request => [request.reviewer, request.waitingHours, request.breached]),
+    [['bob', 11, true], ['erin', 3, false]]);
+  assert.equal(stale.number, 2);
+  assert.equal(stale.idleHours, 27);
+
+  const forErin = computeSlaReport(lifecycleData, {
+    officeHours,
+    settingsFor: () => ({ reviewSlaHours: 8, staleAfterHours: null }),
+    reviewer: 'ERIN',
+    now: at(11, 12)
+  });
+  assert.deepEqual(forErin.totals, { openPullRequests: 1, pendingRequests: 1, breaches: 0, stale: 0 });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { GitHubClient, ReplayBackend } = require('../github-client');
+const {
+  isAcknowledgement,
+  groupReviewComments,
+  classifyThread,
+  threadDetails,
+  reviewerOf,
+  resolutionOf,
+  applyThreadState,
+  parseResolutionFilter,
+  filterByResolution,
+  withReply
+} = require('../review-threads');
+
+const client = new GitHubClient({ backend: new ReplayBackend({ fixturesDir: path.join(__dirname, 'fixtures', 'github') }) });
+
+test('applyThreadState gives review comments the state of their GitHub thread', async () => {
+  const threads = await client.listReviewThreads('acme', 'widgets', 7);
+  const comments = [
+    { id: 101, type: 'review_comment' },
+    { id: 102, type: 'review_comment' },
+    { id: 201, type: 'general_comment' },
+    // Cached before its thread was fetched
+    { id: 199, type: 'review_comment' }
+  ];
+
+  assert.deepEqual(applyThreadState(comments, threads), [
+    { id: 101, type: 'review_comment', threadId: 'T_101', resolution: 'resolved', resolvedBy: 'dave' },
+    { id: 102, type: 'review_comment', threadId: 'T_102', resolution: 'open', resolvedBy: null },
+    { id: 201, type: 'general_comment', threadId: null, resolution: 'open', resolvedBy: null },
+    { id: 199, type: 'review_comment', threadId: null, resolution: 'open', resolvedBy: null }
+  ]);
+});
+
+test('a resolved thread stays resolved even when its code changed', () => {
+  assert.equal(resolutionOf({ isResolved: true, isOutdated: true }), 'resolved');
+  assert.equal(resolutionOf({ isResolved: false, isOutdated: true }), 'outdated');
+  assert.equal(resolutionOf({ isResolved: false, isOutdated: false }), 'open');
+});
+
+test('resolution filters default to open comments and reject unknown states', () => {
+  const comments = [{ id: 1, resolution: 'open' }, { id: 2, resolution: 'outdated' }, { id: 3, resolution: 'resolved' }, { id: 4 }];
+
+  assert.deepEqual(filterByResolution(comments).map(comment => comment.id), [1, 4]);
+  assert.deepEqual(filterByResolution(comments, 'open, outdated').map(comment => comment.id), [1, 2, 4]);
+  assert.deepEqual(filterByResolution(comments, 'all').map(comment => comment.id), [1, 2, 3, 4]);
+  assert.throws(() => parseResolutionFilter('open,closed'), /Unknown resolution "closed"/);
+});
+
+// PR #7's review comments plus the reply from the review comment webhook fixture
+async function reviewComments() {
+  const delivery = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', 'pull_request_review_comment.json'), 'utf8'));
+  return [delivery.comment, ...await client.listReviewComments('acme', 'widgets', 7)];
+}
+
+test('groups replies under the comment that started the conversation', async () => {
+  const comments = await reviewComments();
+  // A reply to the reply still belongs to the same thread
+  comments.push({ id: 105, in_reply_to_id: 104, user: { login: 'bob' }, body: 'Thanks!', created_at: '2026-10-02T11:00:00Z' });
+
+  const threads = groupReviewComments(comments, 'dave');
+
+  assert.deepEqual(threads.map(thread => [thread.root.id, thread.replies.map(reply => reply.id)]), [[101, []], [102, [104, 105]], [103, []]]);
+  const [, answered] = threads;
+  assert.equal(answered.lastResponder, 'bob');
+  assert.equal(answered.lastActivityAt, '2026-10-02T11:00:00Z');
+  assert.equal(answered.authorReplied, true);
+  assert.equal(answered.acknowledged, true);
+
+  assert.deepEqual(threadDetails(answered).replies.map(reply => [reply.id, reply.author]), [[104, 'dave'], [105, 'bob']]);
+  assert.equal(threadDetails(threads[2]).suggestionCount, 1);
+});
+
+test('a thread is classified by its root or the first actionable reviewer follow-up', () => {
+  const comment = (id, login, body) => ({ id, user: { login }, body, created_at: `2026-10-01T1${id}:00:00Z` });
+  const classify = raw => ({ actionable: /please/i.test(raw.body), type: 'request' });
+  const thread = { root: comment(1, 'alice', 'Hmm'), replies: [comment(2, 'dave', 'Please review'), comment(3, 'bob', 'Please add a test')] };
+
+  // The PR author's own "please" doesn't count
+  assert.deepEqual(classifyThread(thread, classify, 'dave'), { actionable: true, type: 'request', raisedBy: 'bob' });
+  assert.deepEqual(classifyThread({ ...thread, replies: [] }, classify, 'dave'), { actionable: false });
+});
+
+test('recognizes the PR author saying a comment was handled', () => {
+  ['Done', 'fixed', 'Good catch, updated', '👍', 'Addressed in 3f2c1ab0'].forEach(body => assert.ok(isAcknowledgement(body), body));
+  ['Not done yet', 'Why?', 'I fixed the other call site', null].forEach(body => assert.ok(!isAcknowledgement(body), body));
+});
+
+test('an item is attributed to the reviewer who raised it', () => {
+  assert.equal(reviewerOf({ author: 'alice', raisedBy: 'bob' }), 'bob');
+  assert.equal(reviewerOf({ author: 'alice', raisedBy: null }), 'alice');
+});
+
+test('withReply adds a reply once and updates who responded last', () => {
+  const comment = { id: 102, replyCount: 0, replies: [], authorReplied: false, acknowledged: false };
+  const reply = { id: 104, author: 'dave', body: 'Fixed in 3f2c1ab, thanks', createdAt: '2026-10-02T10:00:00Z' };
+
+  const updated = withReply(comment, reply, 'dave');
+
+  assert.equal(updated.replyCount, 1);
+  assert.equal(updated.lastResponder, 'dave');
+  assert.equal(updated.lastActivityAt, '2026-10-02T10:00:00Z');
+  assert.equal(updated.acknowledged, true);
+  assert.equal(withReply(updated, reply, 'dave'), updated);
+  assert.equal(withReply(comment, { ...reply, author: 'bob' }, 'dave').authorReplied, false);
+});
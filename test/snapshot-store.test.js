@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const SnapshotStore = require('../snapshot-store');
+
+function tempStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  return new SnapshotStore({ dir, retentionDays: 0, ...options });
+}
+
+const comment = (id, extra = {}) => ({ id, type: 'review_comment', body: `comment ${id}`, resolution: 'open', triage: null, ...extra });
+
+// Cached dataset: { "owner/name": { number: [comments] } }
+function dataset(lastUpdate, repositories) {
+  return {
+    lastUpdate,
+    repositories: Object.entries(repositories).map(([fullName, prs]) => {
+      const [owner, name] = fullName.split('/');
+      return {
+        owner,
+        name,
+        pullRequests: Object.entries(prs).map(([number, actionableComments]) => ({
+          number: parseInt(number),
+          title: `PR ${number}`,
+          url: `https://github.com/${fullName}/pull/${number}`,
+          actionableComments,
+          actionableCount: actionableComments.filter(c => c.resolution === 'open').length
+        }))
+      };
+    })
+  };
+}
+
+const monday = dataset('2026-10-05T09:00:00.000Z', {
+  'acme/widgets': { 7: [comment(1), comment(2)], 8: [comment(3)] },
+  'acme/gadgets': { 2: [comment(4)] }
+});
+const tuesday = dataset('2026-10-06T09:00:00.000Z', {
+  'acme/widgets': { 7: [comment(1), comment(2, { resolution: 'resolved' }), comment(5)], 9: [comment(6)] },
+  'acme/gadgets': { 2: [comment(4)] }
+});
+
+test('records snapshots with per-repository counts and reads them back', t => {
+  const store = tempStore(t);
+
+  const meta = store.record(monday, { mode: 'full', prsFetched: 3 });
+
+  assert.equal(meta.createdAt, monday.lastUpdate);
+  assert.equal(meta.mode, 'full');
+  assert.equal(meta.totalPRs, 3);
+  assert.equal(meta.totalActionableComments, 4);
+  assert.deepEqual(meta.repositories['acme/widgets'], { pullRequests: 2, actionableComments: 3 });
+  assert.deepEqual(store.get(meta.id).data, monday);
+  assert.equal(store.get('missing'), null);
+});
+
+test('resolves ids, "latest" and points in time', t => {
+  const store = tempStore(t);
+  const first = store.record(monday);
+  const second = store.record(tuesday);
+
+  assert.equal(store.resolve('latest').id, second.id);
+  assert.equal(store.resolve(first.id).id, first.id);
+  assert.equal(store.resolve('2026-10-05T18:00:00Z').id, first.id);
+  assert.equal(store.resolve('2026-10-06T09:00:00.000Z').id, second.id);
+  assert.equal(store.resolve('2026-10-01T00:00:00Z'), null);
+  assert.equal(store.resolve('not-a-snapshot'), null);
+  assert.throws(() => store.getAt('yesterday'), /Invalid time/);
+
+  assert.deepEqual(store.history('ACME/Widgets').map(entry => [entry.pullRequests, entry.actionableComments]), [[2, 3], [2, 3]]);
+  assert.deepEqual(store.history('acme/unknown').map(entry => entry.actionableComments), [0, 0]);
+  assert.deepEqual(store.list({ from: '2026-10-06T00:00:00Z' }).map(meta => meta.id), [second.id]);
+});
+
+test('diff reports added and removed PRs and outstanding comments, and count changes', t => {
+  const store = tempStore(t);
+  const first = store.record(monday);
+  const second = store.record(tuesday);
+
+  const diff = store.diff(first.id, second.id);
+
+  assert.deepEqual(diff.from, { id: first.id, createdAt: first.createdAt });
+  assert.deepEqual(diff.pullRequests.added.map(pr => `${pr.repository}#${pr.number}`), ['acme/widgets#9']);
+  assert.deepEqual(diff.pullRequests.removed.map(pr => `${pr.repository}#${pr.number}`), ['acme/widgets#8']);
+  assert.deepEqual(diff.comments.added.map(c => `${c.repository}#${c.prNumber}:${c.id}`), ['acme/widgets#7:5', 'acme/widgets#9:6']);
+  // A resolved thread counts as removed, just like a PR that went away
+  assert.deepEqual(diff.comments.removed.map(c => `${c.repository}#${c.prNumber}:${c.id}`), ['acme/widgets#7:2', 'acme/widgets#8:3']);
+  assert.deepEqual(diff.totals.actionableComments, { from: 4, to: 4, change: 0 });
+  assert.deepEqual(diff.repositories['acme/gadgets'].actionableComments, { from: 1, to: 1, change: 0 });
+  assert.deepEqual(diff.repositories['acme/widgets'].actionableComments, { from: 3, to: 3, change: 0 });
+
+  const gadgets = store.diff(first.id, 'latest', { repository: 'acme/gadgets' });
+  assert.deepEqual(Object.keys(gadgets.repositories), ['acme/gadgets']);
+  assert.deepEqual(gadgets.comments, { added: [], removed: [] });
+
+  assert.throws(() => store.diff(first.id, 'nope'), /Snapshot not found: nope/);
+});
+
+test('compare leaves out comments triaged as done', t => {
+  const store = tempStore(t);
+  const done = dataset(tuesday.lastUpdate, { 'acme/gadgets': { 2: [comment(4, { triage: { status: 'done' } })] } });
+
+  const { comments } = store.compare(monday, done, { repository: 'acme/gadgets' });
+
+  assert.deepEqual(comments.added, []);
+  assert.deepEqual(comments.removed.map(c => c.id), [4]);
+});
+
+test('prunes snapshots past the retention window but always keeps the latest', t => {
+  const store = tempStore(t, { retentionDays: 30 });
+  const old = store.record(dataset('2020-01-01T00:00:00.000Z', {}));
+  const older = store.record(dataset('2019-01-01T00:00:00.000Z', {}));
+
+  assert.deepEqual(store.list().map(meta => meta.id), [old.id]);
+  assert.ok(!fs.existsSync(path.join(store.dir, older.file)));
+
+  const current = store.record(dataset(new Date().toISOString(), {}));
+  assert.deepEqual(store.list().map(meta => meta.id), [current.id]);
+});
+
+test('takes over an index lock left behind by a crashed process', t => {
+  const store = tempStore(t);
+  fs.writeFileSync(store.lockFile, '');
+  const stale = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(store.lockFile, stale, stale);
+
+  store.record(monday);
+
+  assert.equal(store.list().length, 1);
+  assert.ok(!fs.existsSync(store.lockFile));
+});
+
+test('processes recording at the same time keep each other\'s index entries', async t => {
+  const store = tempStore(t);
+  const script = `
+    const SnapshotStore = require(${JSON.stringify(require.resolve('../snapshot-store'))});
+    const store = new SnapshotStore({ dir: process.argv[1], retentionDays: 0 });
+    console.log = () => {};
+    for (let i = 0; i < 15; i++) store.record({ lastUpdate: new Date().toISOString(), repositories: [] });
+  `;
+  const run = () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, store.dir], { timeout: 30000 }, error => (error ? reject(error) : resolve()));
+  });
+
+  await Promise.all([run(), run(), run()]);
+
+  assert.equal(store.list().length, 45);
+  assert.equal(fs.readdirSync(store.dir).filter(file => file.endsWith('.json.gz')).length, 45);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseSuggestions, buildPatch } = require('../suggestion-patch');
+
+const lines = count => Array.from({ length: count }, (_, index) => `l${index + 1}`);
+
+function comment(id, { path: filePath = 'f.txt', line, startLine = null, body, createdAt = '2025-11-01T00:00:00Z', side = 'RIGHT' }) {
+  return {
+    id,
+    user: { login: 'bob' },
+    path: filePath,
+    line,
+    start_line: startLine,
+    side,
+    body,
+    html_url: `https://github.com/o/r/pull/1#discussion_r${id}`,
+    created_at: createdAt
+  };
+}
+
+test('parseSuggestions turns suggestion blocks into line replacements', () => {
+  const [range] = parseSuggestions(comment(1, { line: 4, startLine: 2, body: '```suggestion\nx\n```' }));
+  assert.equal(range.id, '1-0');
+  assert.equal(range.startLine, 2);
+  assert.equal(range.endLine, 4);
+  assert.deepEqual(range.replacement, ['x']);
+  assert.equal(range.applicable, true);
+
+  const [outdated] = parseSuggestions(comment(2, { line: null, body: '```suggestion\nx\n```' }));
+  assert.equal(outdated.applicable, false);
+  assert.match(outdated.reason, /outdated/);
+
+  const [oldSide] = parseSuggestions(comment(3, { line: 2, side: 'LEFT', body: '```suggestion\nx\n```' }));
+  assert.equal(oldSide.applicable, false);
+});
+
+test('buildPatch shifts later hunks and marks a missing final newline', () => {
+  const content = lines(12).join('\n'); // no newline at the end
+  const suggestions = [
+    ...parseSuggestions(comment(1, { line: 2, body: '```suggestion\nA\nB\n```' })),
+    ...parseSuggestions(comment(2, { line: 12, startLine: 11, body: '```suggestion\nZ\n```' }))
+  ];
+  const { patch, applied, skipped } = buildPatch(suggestions, { 'f.txt': content });
+
+  assert.equal(applied.length, 2);
+  assert.deepEqual(skipped, []);
+  assert.equal(patch, [
+    'diff --git a/f.txt b/f.txt',
+    '--- a/f.txt',
+    '+++ b/f.txt',
+    '@@ -1,5 +1,6 @@',
+    ' l1',
+    '-l2',
+    '+A',
+    '+B',
+    ' l3',
+    ' l4',
+    ' l5',
+    '@@ -8,5 +9,4 @@',
+    ' l8',
+    ' l9',
+    ' l10',
+    '-l11',
+    '-l12',
+    '\\ No newline at end of file',
+    '+Z',
+    '\\ No newline at end of file',
+    ''
+  ].join('\n'));
+});
+
+test('buildPatch output applies with git apply', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suggestion-patch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const content = lines(20).join('\n') + '\n';
+  fs.writeFileSync(path.join(dir, 'f.txt'), content);
+  const suggestions = [
+    ...parseSuggestions(comment(1, { line: 3, body: '```suggestion\n```' })),                      // delete a line
+    ...parseSuggestions(comment(2, { line: 6, body: '```suggestion\nsix\nsix and a half\n```' })), // same hunk
+    ...parseSuggestions(comment(3, { line: 18, startLine: 17, body: '```suggestion\nend\n```' }))
+  ];
+  const { patch } = buildPatch(suggestions, { 'f.txt': content });
+  fs.writeFileSync(path.join(dir, 'suggestions.patch'), patch);
+
+  try {
+    execFileSync('git', ['apply', 'suggestions.patch'], { cwd: dir, stdio: 'pipe' });
+  } catch (error) {
+    if (error.code === 'ENOENT') return t.skip('git is not installed');
+    throw new Error(`git apply failed: ${error.stderr}`);
+  }
+
+  const expected = lines(20);
+  expected.splice(16, 2, 'end');
+  expected.splice(5, 1, 'six', 'six and a half');
+  expected.splice(2, 1);
+  assert.equal(fs.readFileSync(path.join(dir, 'f.txt'), 'utf8'), expected.join('\n') + '\n');
+});
+
+test('buildPatch skips overlapping, missing and out-of-range suggestions', () => {
+  const suggestions = [
+    ...parseSuggestions(comment(1, { line: 3, startLine: 2, body: '```suggestion\nfirst\n```', createdAt: '2025-11-01T00:00:00Z' })),
+    ...parseSuggestions(comment(2, { line: 4, startLine: 3, body: '```suggestion\nlater\n```', createdAt: '2025-11-02T00:00:00Z' })),
+    ...parseSuggestions(comment(3, { path: 'gone.txt', line: 1, body: '```suggestion\nx\n```' })),
+    ...parseSuggestions(comment(4, { line: 40, body: '```suggestion\nx\n```' }))
+  ];
+  const { applied, skipped } = buildPatch(suggestions, { 'f.txt': lines(5).join('\n') + '\n' });
+
+  assert.deepEqual(applied.map(suggestion => suggestion.id), ['1-0']);
+  assert.deepEqual(skipped.map(suggestion => suggestion.id).sort(), ['2-0', '3-0', '4-0']);
+  assert.match(skipped.find(suggestion => suggestion.id === '2-0').reason, /Overlaps suggestion 1-0/);
+  assert.match(skipped.find(suggestion => suggestion.id === '3-0').reason, /not found/);
+  assert.match(skipped.find(suggestion => suggestion.id === '4-0').reason, /past the end/);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TriageStore = require('../triage-store');
+const { triageStatus, parseTriageFilter, filterByTriage } = TriageStore;
+const { isOutstanding } = require('../review-threads');
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  return new TriageStore({ file: path.join(dir, 'triage-state.json') });
+}
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+test('update changes only the fields it is given', t => {
+  const store = tempStore(t);
+
+  store.update('acme/widgets', 7, 'review_comment', '102', { status: 'in_progress', assignee: 'dave', notes: 'Needs a test first' }, { updatedBy: 'dave' });
+  const triage = store.update('acme/widgets', '7', 'review_comment', 102, { notes: null });
+
+  assert.equal(triage.status, 'in_progress');
+  assert.equal(triage.assignee, 'dave');
+  assert.equal(triage.notes, '');
+  assert.equal(triage.updatedBy, null);
+
+  const [entry] = store.list();
+  assert.equal(entry.key, 'acme/widgets#7:review_comment:102');
+  assert.deepEqual([entry.prNumber, entry.commentId], [7, 102]);
+  assert.deepEqual(fs.readdirSync(path.dirname(store.file)), ['triage-state.json']);
+});
+
+test('update rejects unknown statuses, bad snoozes, long notes and invalid assignees', t => {
+  const store = tempStore(t);
+  const update = changes => store.update('acme/widgets', 7, 'general_comment', 201, changes);
+
+  assert.throws(() => update({ status: 'closed' }), /Unknown triage status "closed"/);
+  assert.throws(() => update({ status: 'snoozed' }), /snoozedUntil must be a date/);
+  assert.throws(() => update({ status: 'snoozed', snoozedUntil: '2020-01-01' }), /must be in the future/);
+  assert.throws(() => update({ notes: 42 }), /notes must be text/);
+  assert.throws(() => update({ notes: 'x'.repeat(10001) }), /at most 10000 characters/);
+  assert.throws(() => update({ assignee: 'not a login' }), /Invalid assignee/);
+  assert.deepEqual(store.list(), []);
+
+  // Leaving the snoozed status clears the date
+  update({ status: 'snoozed', snoozedUntil: tomorrow() });
+  assert.equal(update({ status: 'todo' }).snoozedUntil, null);
+});
+
+test('a lapsed snooze counts as todo again', () => {
+  const lapsed = { status: 'snoozed', snoozedUntil: '2026-10-01T00:00:00.000Z' };
+
+  assert.equal(triageStatus(null), 'todo');
+  assert.equal(triageStatus(lapsed, Date.parse('2026-09-30T00:00:00Z')), 'snoozed');
+  assert.equal(triageStatus(lapsed), 'todo');
+});
+
+test('annotates comments and filters them by status and assignee', t => {
+  const store = tempStore(t);
+  store.update('acme/widgets', 7, 'review_comment', 102, { status: 'done' });
+  store.update('acme/widgets', 7, 'review_comment', 103, { assignee: 'Alice' });
+  store.update('acme/widgets', 7, 'general_comment', 201, { status: 'snoozed', snoozedUntil: tomorrow() });
+
+  const comments = store.annotate('acme/widgets', 7, [
+    { id: 102, type: 'review_comment' },
+    { id: 103, type: 'review_comment' },
+    { id: 201, type: 'general_comment' },
+    { id: 301, type: 'review' }
+  ]);
+
+  assert.equal(comments[3].triage, null);
+  assert.deepEqual(filterByTriage(comments).map(comment => comment.id), [103, 301]);
+  assert.deepEqual(filterByTriage(comments, 'all', { assignee: 'alice' }).map(comment => comment.id), [103]);
+  assert.deepEqual(filterByTriage(comments, 'done,snoozed', { assignee: 'none' }).map(comment => comment.id), [102, 201]);
+  assert.deepEqual(comments.filter(isOutstanding).map(comment => comment.id), [103, 301]);
+  assert.throws(() => parseTriageFilter('todo,later'), /Unknown triage status "later"/);
+
+  assert.deepEqual(store.list({ status: 'done' }).map(entry => entry.commentId), [102]);
+  assert.deepEqual(store.list({ assignee: 'ALICE' }).map(entry => entry.commentId), [103]);
+  assert.deepEqual(store.list({ repository: 'acme/gadgets' }), []);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const WebhookHandler = require('../webhook-handler');
+
+const SECRET = 'webhook-test-secret';
+const delivery = fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', 'pull_request_review_comment.json'));
+const payload = JSON.parse(delivery);
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Handler for a registry monitoring acme/widgets, with a fetcher that records refreshes
+// and finishes each one when the test calls `finish()`
+function testHandler(t) {
+  t.mock.method(console, 'log', () => {});
+  const refreshed = [];
+  const pending = [];
+  const fetcher = {
+    refreshPullRequest: (owner, repo, number) => {
+      refreshed.push(`${owner}/${repo}#${number}`);
+      return new Promise(resolve => pending.push(() => resolve({ pullRequest: null })));
+    }
+  };
+  const registry = { resolveRepositories: async () => [{ fullName: 'acme/widgets' }] };
+  const handler = new WebhookHandler({ fetcher, registry, secret: SECRET });
+
+  // Let the refresh loop run until it waits on the fetcher again
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  const finish = async () => {
+    pending.shift()();
+    await settle();
+  };
+  return { handler, refreshed, finish, settle };
+}
+
+test('accepts the HMAC-SHA256 signature of the exact delivery body', () => {
+  const handler = new WebhookHandler({ fetcher: {}, registry: {}, secret: SECRET });
+
+  assert.equal(handler.verifySignature(delivery, sign(delivery)), true);
+  // Re-serializing the payload changes the bytes, so the signature no longer matches
+  assert.equal(handler.verifySignature(Buffer.from(JSON.stringify(payload)), sign(delivery)), false);
+  assert.equal(handler.verifySignature(Buffer.concat([delivery, Buffer.from(' ')]), sign(delivery)), false);
+  assert.equal(handler.verifySignature(delivery, sign(delivery, 'another-secret')), false);
+  assert.equal(handler.verifySignature(delivery, sign(delivery).slice(0, -2)), false);
+  assert.equal(handler.verifySignature(delivery, sign(delivery).replace('sha256=', 'sha1=')), false);
+  assert.equal(handler.verifySignature(delivery, undefined), false);
+});
+
+test('rejects every delivery when no secret is configured', () => {
+  const handler = new WebhookHandler({ fetcher: {}, registry: {}, secret: '' });
+
+  assert.equal(handler.isConfigured(), false);
+  assert.equal(handler.verifySignature(delivery, sign(delivery, '')), false);
+});
+
+test('parses JSON and form-encoded deliveries', () => {
+  const handler = new WebhookHandler({ fetcher: {}, registry: {}, secret: SECRET });
+  const form = Buffer.from(new URLSearchParams({ payload: delivery.toString('utf8') }).toString());
+
+  assert.deepEqual(handler.parsePayload(delivery, 'application/json'), payload);
+  assert.deepEqual(handler.parsePayload(form, 'application/x-www-form-urlencoded'), payload);
+});
+
+test('maps PR, review, comment and thread events to the PR they touch', () => {
+  const handler = new WebhookHandler({ fetcher: {}, registry: {}, secret: SECRET });
+  const ref = { owner: 'acme', repo: 'widgets', number: 7 };
+  const { repository } = payload;
+
+  assert.deepEqual(handler.getPullRequestRef('pull_request_review_comment', payload), ref);
+  assert.deepEqual(handler.getPullRequestRef('pull_request_review_thread', { action: 'resolved', repository, pull_request: { number: 7 } }), ref);
+  assert.deepEqual(handler.getPullRequestRef('pull_request', { action: 'labeled', repository, pull_request: { number: 7 } }), ref);
+  assert.deepEqual(handler.getPullRequestRef('issue_comment', { action: 'created', repository, issue: { number: 7, pull_request: {} } }), ref);
+
+  assert.equal(handler.getPullRequestRef('pull_request', { action: 'locked', repository, pull_request: { number: 7 } }), null);
+  assert.equal(handler.getPullRequestRef('issue_comment', { action: 'created', repository, issue: { number: 3 } }), null);
+  assert.equal(handler.getPullRequestRef('push', { repository }), null);
+  assert.equal(handler.getPullRequestRef('pull_request_review_comment', { ...payload, repository: undefined }), null);
+});
+
+test('ignores pings, unrelated events and unmonitored repositories', async t => {
+  const { handler, refreshed } = testHandler(t);
+
+  assert.deepEqual(await handler.handle('ping', { zen: 'Keep it simple' }), { status: 'ignored', reason: 'pong' });
+  assert.deepEqual(await handler.handle('push', payload), { status: 'ignored', reason: 'push.created does not affect cached data' });
+  assert.deepEqual(
+    await handler.handle('pull_request_review_comment', { ...payload, repository: { name: 'other', owner: { login: 'acme' } } }),
+    { status: 'ignored', reason: 'acme/other is not a monitored repository' }
+  );
+  assert.deepEqual(refreshed, []);
+});
+
+test('queues a refresh and coalesces a burst of deliveries into one more', async t => {
+  const { handler, refreshed, finish, settle } = testHandler(t);
+
+  assert.deepEqual(await handler.handle('pull_request_review_comment', payload), { status: 'queued', pullRequest: 'acme/widgets#7' });
+  await handler.handle('pull_request_review_comment', payload);
+  await handler.handle('pull_request_review', { ...payload, action: 'submitted' });
+  await settle();
+  assert.deepEqual(refreshed, ['acme/widgets#7']);
+
+  await finish();
+  assert.deepEqual(refreshed, ['acme/widgets#7', 'acme/widgets#7']);
+
+  await finish();
+  assert.equal(handler.refreshes.size, 0);
+
+  await handler.handle('pull_request_review_comment', payload);
+  assert.equal(refreshed.length, 3);
+  await finish();
+});
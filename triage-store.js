@@ -0,0 +1,187 @@
+/**
+ * Triage Store
+ * Per-comment triage state that survives refreshes: a status (todo, in
+ * progress, done, won't fix, or snoozed until a date), notes and an assignee.
+ * Stored in data/triage-state.json keyed like the snapshot store's comments
+ * ("owner/name#123:review_comment:456"). The fetcher attaches each comment's
+ * state as `triage` when it builds PR entries. Done, won't-fix and snoozed
+ * comments no longer count as outstanding; a snooze lapses on its date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRIAGE_FILE = path.join(__dirname, 'data', 'triage-state.json');
+const TRIAGE_STATUSES = ['todo', 'in_progress', 'done', 'wont_fix', 'snoozed'];
+const DEFAULT_TRIAGE_FILTER = ['todo', 'in_progress'];
+const MAX_NOTES_LENGTH = 10000;
+
+function commentKey(repository, prNumber, commentType, commentId) {
+  return `${repository}#${prNumber}:${commentType}:${commentId}`;
+}
+
+// Effective status: untriaged comments are 'todo', and so are ones whose snooze has lapsed
+function triageStatus(triage, now = Date.now()) {
+  if (!triage) return 'todo';
+  if (triage.status === 'snoozed' && new Date(triage.snoozedUntil).getTime() <= now) return 'todo';
+  return triage.status;
+}
+
+// Whether a comment still needs someone to act on it, as far as triage goes
+function needsAttention(comment) {
+  return DEFAULT_TRIAGE_FILTER.includes(triageStatus(comment.triage));
+}
+
+// Parse a triage filter: "todo,in_progress" (the default), "all", or a
+// comma-separated list of statuses
+function parseTriageFilter(filter) {
+  if (!filter) return DEFAULT_TRIAGE_FILTER;
+  if (filter === 'all') return TRIAGE_STATUSES;
+
+  const statuses = filter.split(',').map(status => status.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !TRIAGE_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown triage status "${unknown.join(', ')}" - expected ${TRIAGE_STATUSES.join(', ')} or all`);
+  }
+  return statuses;
+}
+
+// Narrow comments to triage statuses and, optionally, an assignee ("none" for unassigned)
+function filterByTriage(comments, filter, { assignee } = {}) {
+  const statuses = parseTriageFilter(filter);
+  return comments.filter(comment => {
+    if (!statuses.includes(triageStatus(comment.triage))) return false;
+    if (!assignee) return true;
+
+    const current = comment.triage && comment.triage.assignee;
+    return assignee === 'none' ? !current : Boolean(current) && current.toLowerCase() === assignee.toLowerCase();
+  });
+}
+
+class TriageStore {
+  constructor({ file = process.env.TRIAGE_FILE || DEFAULT_TRIAGE_FILE } = {}) {
+    this.file = file;
+  }
+
+  // Re-read on every call so the server and the scheduled fetcher share one file
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading triage state:', error.message);
+    }
+    return { comments: {} };
+  }
+
+  save(store) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Triage entries, most recently updated first (?repository, ?status, ?assignee)
+  list({ repository, status, assignee } = {}) {
+    const statuses = status ? parseTriageFilter(status) : null;
+    return Object.entries(this.load().comments)
+      .map(([key, entry]) => ({ key, ...entry, effectiveStatus: triageStatus(entry) }))
+      .filter(entry => !repository || entry.repository.toLowerCase() === repository.toLowerCase())
+      .filter(entry => !statuses || statuses.includes(entry.effectiveStatus))
+      .filter(entry => !assignee || (entry.assignee || '').toLowerCase() === assignee.toLowerCase())
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  // Attach each comment's triage state (or null) as `triage`
+  annotate(repository, prNumber, comments) {
+    const stored = this.load().comments;
+    return comments.map(comment => {
+      const entry = stored[commentKey(repository, prNumber, comment.type, comment.id)];
+      return { ...comment, triage: entry ? toTriage(entry) : null };
+    });
+  }
+
+  // Change a comment's triage state. `changes` may set any of status, snoozedUntil
+  // (required when snoozing), notes and assignee (null or "" to clear); the rest
+  // are kept. Returns the new state.
+  update(repository, prNumber, commentType, commentId, changes, { updatedBy = null } = {}) {
+    const key = commentKey(repository, prNumber, commentType, commentId);
+    const store = this.load();
+    const existing = store.comments[key] || { status: 'todo', snoozedUntil: null, notes: '', assignee: null };
+    const next = { ...existing };
+
+    if (changes.status !== undefined) {
+      if (!TRIAGE_STATUSES.includes(changes.status)) {
+        throw new Error(`Unknown triage status "${changes.status}" - expected ${TRIAGE_STATUSES.join(', ')}`);
+      }
+      next.status = changes.status;
+    }
+    if (changes.snoozedUntil !== undefined) {
+      next.snoozedUntil = changes.snoozedUntil || null;
+    }
+    if (next.status === 'snoozed') {
+      const until = new Date(next.snoozedUntil);
+      if (!next.snoozedUntil || isNaN(until.getTime())) {
+        throw new Error('snoozedUntil must be a date when snoozing');
+      }
+      if (until.getTime() <= Date.now()) {
+        throw new Error('snoozedUntil must be in the future');
+      }
+      next.snoozedUntil = until.toISOString();
+    } else {
+      next.snoozedUntil = null;
+    }
+    if (changes.notes !== undefined) {
+      if (changes.notes !== null && typeof changes.notes !== 'string') {
+        throw new Error('notes must be text');
+      }
+      if ((changes.notes || '').length > MAX_NOTES_LENGTH) {
+        throw new Error(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+      }
+      next.notes = changes.notes || '';
+    }
+    if (changes.assignee !== undefined) {
+      if (changes.assignee && !/^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(changes.assignee)) {
+        throw new Error(`Invalid assignee "${changes.assignee}" - expected a GitHub login`);
+      }
+      next.assignee = changes.assignee || null;
+    }
+
+    store.comments[key] = {
+      ...next,
+      repository,
+      prNumber: parseInt(prNumber),
+      commentType,
+      commentId: /^\d+$/.test(String(commentId)) ? Number(commentId) : commentId,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+    this.save(store);
+    console.log(`🗂️  Triage for ${key}: ${next.status}${next.assignee ? ` (assigned to ${next.assignee})` : ''}`);
+    return toTriage(store.comments[key]);
+  }
+}
+
+// The part of a stored entry that travels with the comment
+function toTriage(entry) {
+  return {
+    status: entry.status,
+    snoozedUntil: entry.snoozedUntil,
+    notes: entry.notes,
+    assignee: entry.assignee,
+    updatedAt: entry.updatedAt,
+    updatedBy: entry.updatedBy
+  };
+}
+
+module.exports = TriageStore;
+module.exports.TRIAGE_STATUSES = TRIAGE_STATUSES;
+module.exports.commentKey = commentKey;
+module.exports.triageStatus = triageStatus;
+module.exports.needsAttention = needsAttention;
+module.exports.parseTriageFilter = parseTriageFilter;
+module.exports.filterByTriage = filterByTriage;
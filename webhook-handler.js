@@ -0,0 +1,121 @@
+/**
+ * GitHub Webhook Handler
+ * Verifies X-Hub-Signature-256 signatures and turns pull request, review and
+ * comment events into single-PR cache refreshes, so new comments show up
+ * within seconds instead of waiting for the next scheduled fetch.
+ */
+
+const crypto = require('crypto');
+
+// Actions that don't change anything the cache stores (labels, assignees and
+// review requests are cached, so those actions refresh the PR)
+const IGNORED_PULL_REQUEST_ACTIONS = ['locked', 'unlocked', 'milestoned', 'demilestoned'];
+
+class WebhookHandler {
+  constructor({ fetcher, registry, secret = process.env.GITHUB_WEBHOOK_SECRET } = {}) {
+    this.fetcher = fetcher;
+    this.registry = registry || fetcher.registry;
+    this.secret = secret;
+    this.refreshes = new Map(); // PR key -> { again } while a refresh is running
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  // Constant-time check of the `sha256=<hex>` HMAC GitHub sends with each delivery
+  verifySignature(rawBody, signature) {
+    if (!this.secret || !rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Webhooks can be delivered as JSON or as a form-encoded `payload` field
+  parsePayload(rawBody, contentType = '') {
+    const text = rawBody.toString('utf8');
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return JSON.parse(new URLSearchParams(text).get('payload'));
+    }
+    return JSON.parse(text);
+  }
+
+  // The PR an event is about, or null if the event doesn't affect cached data
+  getPullRequestRef(event, payload) {
+    const repository = payload.repository;
+    if (!repository) return null;
+
+    const ref = { owner: repository.owner.login, repo: repository.name };
+
+    switch (event) {
+      case 'pull_request':
+        if (IGNORED_PULL_REQUEST_ACTIONS.includes(payload.action)) return null;
+        return { ...ref, number: payload.pull_request.number };
+      case 'pull_request_review':
+      case 'pull_request_review_comment':
+      case 'pull_request_review_thread': // resolved / unresolved
+        return { ...ref, number: payload.pull_request.number };
+      case 'issue_comment':
+        // Issue comments fire for plain issues too - only PR conversations matter here
+        return payload.issue && payload.issue.pull_request ? { ...ref, number: payload.issue.number } : null;
+      default:
+        return null;
+    }
+  }
+
+  // Handle a verified delivery. The refresh itself runs in the background so
+  // GitHub gets its response well within the delivery timeout.
+  async handle(event, payload) {
+    if (event === 'ping') {
+      return { status: 'ignored', reason: 'pong' };
+    }
+
+    const ref = this.getPullRequestRef(event, payload);
+    if (!ref) {
+      return { status: 'ignored', reason: `${event}${payload.action ? `.${payload.action}` : ''} does not affect cached data` };
+    }
+
+    const fullName = `${ref.owner}/${ref.repo}`;
+    const monitored = (await this.registry.resolveRepositories())
+      .some(entry => entry.fullName.toLowerCase() === fullName.toLowerCase());
+    if (!monitored) {
+      return { status: 'ignored', reason: `${fullName} is not a monitored repository` };
+    }
+
+    console.log(`🪝 Webhook ${event}${payload.action ? `.${payload.action}` : ''} for ${fullName}#${ref.number}`);
+    this.refresh(ref);
+    return { status: 'queued', pullRequest: `${fullName}#${ref.number}` };
+  }
+
+  // Refresh a PR, coalescing bursts of events (e.g. a review with many comments)
+  // into at most one extra refresh after the one in flight
+  refresh({ owner, repo, number }) {
+    const key = `${owner}/${repo}#${number}`;
+    const inFlight = this.refreshes.get(key);
+    if (inFlight) {
+      inFlight.again = true;
+      return;
+    }
+
+    const state = { again: false };
+    this.refreshes.set(key, state);
+
+    (async () => {
+      do {
+        state.again = false;
+        try {
+          const change = await this.fetcher.refreshPullRequest(owner, repo, number);
+          console.log(`  ✅ ${key}: ${change.pullRequest ? `${change.pullRequest.actionableCount} actionable comments` : 'removed from cache'}`);
+        } catch (error) {
+          console.error(`❌ Error refreshing ${key} from webhook:`, error.message);
+        }
+      } while (state.again);
+      this.refreshes.delete(key);
+    })();
+  }
+}
+
+module.exports = WebhookHandler;